@@ -0,0 +1,29 @@
+-- ============================================
+-- Location master: subdivision level
+-- ============================================
+--
+-- Adds the revenue subdivision level between district and mandal, and the
+-- unique code constraints the location import (scripts/import-locations.js)
+-- upserts on.
+
+CREATE TABLE IF NOT EXISTS subdivision (
+  subdivision_id   SERIAL PRIMARY KEY,
+  district_id      INTEGER NOT NULL REFERENCES district (district_id),
+  subdivision_code VARCHAR(20) NOT NULL,
+  subdivision_name VARCHAR(150) NOT NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS subdivision_code_key ON subdivision (subdivision_code);
+CREATE INDEX IF NOT EXISTS subdivision_district_id_idx ON subdivision (district_id);
+
+ALTER TABLE city_mandal
+  ADD COLUMN IF NOT EXISTS subdivision_id INTEGER REFERENCES subdivision (subdivision_id);
+
+CREATE INDEX IF NOT EXISTS city_mandal_subdivision_id_idx ON city_mandal (subdivision_id);
+
+-- Codes are the census/LGD codes from the master file and identify a row
+CREATE UNIQUE INDEX IF NOT EXISTS state_code_key ON state (state_code);
+CREATE UNIQUE INDEX IF NOT EXISTS district_code_key ON district (district_code);
+CREATE UNIQUE INDEX IF NOT EXISTS city_mandal_code_key ON city_mandal (city_code);
+CREATE UNIQUE INDEX IF NOT EXISTS village_area_code_key ON village_area (village_or_area_code);
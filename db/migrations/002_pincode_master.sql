@@ -0,0 +1,20 @@
+-- ============================================
+-- Pincode master
+-- ============================================
+--
+-- Maps each postal pincode to the district, and where known the mandals, it
+-- serves. A pincode can cover several mandals, so there is one row per
+-- pincode/mandal pair. Loaded with scripts/import-pincodes.js.
+
+CREATE TABLE IF NOT EXISTS pincode_location (
+  pincode_location_id SERIAL PRIMARY KEY,
+  pincode             INTEGER NOT NULL CHECK (pincode BETWEEN 100000 AND 999999),
+  district_id         INTEGER NOT NULL REFERENCES district (district_id),
+  city_id             INTEGER REFERENCES city_mandal (city_id),
+  post_office_name    VARCHAR(150),
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS pincode_location_pincode_district_city_key
+  ON pincode_location (pincode, district_id, COALESCE(city_id, 0));
+CREATE INDEX IF NOT EXISTS pincode_location_pincode_idx ON pincode_location (pincode);
@@ -0,0 +1,29 @@
+-- ============================================
+-- Master data administration
+-- ============================================
+--
+-- Master rows are never deleted: establishments, workers and child rows keep
+-- pointing at them. Deactivated rows disappear from the public dropdowns but
+-- stay resolvable by id.
+
+ALTER TABLE establishment_category    ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE establishment_work_nature ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE state                     ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE district                  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE subdivision               ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE city_mandal               ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE village_area              ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- One row per create/update/deactivate/reactivate of a master record
+CREATE TABLE IF NOT EXISTS master_data_audit (
+  audit_id    BIGSERIAL PRIMARY KEY,
+  table_name  VARCHAR(64) NOT NULL,
+  record_id   INTEGER NOT NULL,
+  action      VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'deactivate', 'reactivate')),
+  old_values  JSONB,
+  new_values  JSONB,
+  changed_by  INTEGER REFERENCES department_user (department_user_id),
+  changed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS master_data_audit_record_idx ON master_data_audit (table_name, record_id, changed_at DESC);
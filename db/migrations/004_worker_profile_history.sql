@@ -0,0 +1,20 @@
+-- ============================================
+-- Worker profile change history
+-- ============================================
+--
+-- One row per changed field per profile update, so reviewers can see what a
+-- worker changed after approval. Rows of one update share change_id.
+
+CREATE TABLE IF NOT EXISTS worker_profile_history (
+  history_id      BIGSERIAL PRIMARY KEY,
+  worker_id       INTEGER NOT NULL REFERENCES worker (worker_id),
+  change_id       UUID NOT NULL,
+  field_name      VARCHAR(64) NOT NULL,
+  old_value       TEXT,
+  new_value       TEXT,
+  changed_by_type VARCHAR(20) NOT NULL,
+  changed_by_id   INTEGER,
+  changed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS worker_profile_history_worker_idx ON worker_profile_history (worker_id, changed_at DESC);
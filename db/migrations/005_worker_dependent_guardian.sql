@@ -0,0 +1,6 @@
+-- ============================================
+-- Worker dependents: guardians for minor nominees
+-- ============================================
+
+ALTER TABLE worker_dependents ADD COLUMN IF NOT EXISTS guardian_name VARCHAR(150);
+ALTER TABLE worker_dependents ADD COLUMN IF NOT EXISTS guardian_relationship VARCHAR(50);
@@ -0,0 +1,92 @@
+-- ============================================
+-- Transactional worker registration
+-- ============================================
+--
+-- register_worker() inserts the worker and its dependents in one
+-- transaction, so a failure part way leaves nothing behind.
+--
+-- Clients may send an Idempotency-Key with the registration. It is stored in
+-- worker.registration_key; a retry with the same key returns the worker that
+-- was already created instead of failing on the unique Aadhaar index.
+
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS registration_key UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS worker_registration_key_key ON worker (registration_key);
+
+CREATE OR REPLACE FUNCTION register_worker(
+  p_worker JSONB,
+  p_dependents JSONB DEFAULT '[]'::jsonb,
+  p_registration_key UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_worker_id INTEGER;
+  v_existing JSONB;
+BEGIN
+  -- Replayed request: hand back what the first attempt created
+  IF p_registration_key IS NOT NULL THEN
+    SELECT to_jsonb(w) - 'password' INTO v_existing
+    FROM worker w
+    WHERE w.registration_key = p_registration_key;
+
+    IF v_existing IS NOT NULL THEN
+      RETURN jsonb_build_object('worker', v_existing, 'replayed', TRUE);
+    END IF;
+  END IF;
+
+  -- Insert only the columns that were sent so defaults (worker_id,
+  -- created_at, ...) still apply
+  SELECT string_agg(quote_ident(c.column_name), ', ')
+  INTO v_columns
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'worker'
+    AND p_worker ? c.column_name;
+
+  BEGIN
+    EXECUTE format(
+      'INSERT INTO worker (%1$s, registration_key)
+       SELECT %1$s, $2 FROM jsonb_populate_record(NULL::worker, $1)
+       RETURNING worker_id',
+      v_columns
+    )
+    INTO v_worker_id
+    USING p_worker, p_registration_key;
+  EXCEPTION WHEN unique_violation THEN
+    -- A concurrent attempt with the same key won the race
+    IF p_registration_key IS NOT NULL THEN
+      SELECT to_jsonb(w) - 'password' INTO v_existing
+      FROM worker w
+      WHERE w.registration_key = p_registration_key;
+
+      IF v_existing IS NOT NULL THEN
+        RETURN jsonb_build_object('worker', v_existing, 'replayed', TRUE);
+      END IF;
+    END IF;
+
+    RAISE;
+  END;
+
+  INSERT INTO worker_dependents (
+    worker_id, dependent_name, date_of_birth, relationship,
+    is_nominee_selected, percentage_of_benefits, guardian_name, guardian_relationship
+  )
+  SELECT
+    v_worker_id, d.dependent_name, d.date_of_birth, d.relationship,
+    d.is_nominee_selected, d.percentage_of_benefits, d.guardian_name, d.guardian_relationship
+  FROM jsonb_populate_recordset(NULL::worker_dependents, COALESCE(p_dependents, '[]'::jsonb)) d;
+
+  SELECT to_jsonb(w) - 'password' INTO v_existing
+  FROM worker w
+  WHERE w.worker_id = v_worker_id;
+
+  RETURN jsonb_build_object('worker', v_existing, 'replayed', FALSE);
+END;
+$$;
+
+-- Only the backend (service role) registers workers
+REVOKE EXECUTE ON FUNCTION register_worker(JSONB, JSONB, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION register_worker(JSONB, JSONB, UUID) TO service_role;
@@ -0,0 +1,19 @@
+-- ============================================
+-- Aadhaar encryption at rest
+-- ============================================
+--
+-- worker.aadhaar_number is replaced by an encrypted copy, a blind index
+-- (HMAC) for uniqueness and lookup, and the last four digits for masked
+-- display. See src/utils/aadhaar.js.
+--
+-- After applying, run `npm run encrypt:aadhaar` to move existing rows over;
+-- it clears aadhaar_number once the encrypted columns are filled.
+
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS aadhaar_encrypted TEXT;
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS aadhaar_hash CHAR(64);
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS aadhaar_last4 CHAR(4);
+
+CREATE UNIQUE INDEX IF NOT EXISTS worker_aadhaar_hash_key ON worker (aadhaar_hash);
+
+-- New registrations no longer write the plaintext column
+ALTER TABLE worker ALTER COLUMN aadhaar_number DROP NOT NULL;
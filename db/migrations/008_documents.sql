@@ -0,0 +1,32 @@
+-- ============================================
+-- Worker and establishment documents
+-- ============================================
+--
+-- Uploaded files live in the configured storage backend (local disk by
+-- default, see src/utils/documentStorage.js); this table holds their
+-- metadata and the department verification outcome.
+
+CREATE TABLE IF NOT EXISTS document (
+  document_id      BIGSERIAL PRIMARY KEY,
+  owner_type       VARCHAR(20) NOT NULL CHECK (owner_type IN ('worker', 'establishment')),
+  owner_id         INTEGER NOT NULL,
+  document_type    VARCHAR(40) NOT NULL,
+  file_name        VARCHAR(255) NOT NULL,
+  mime_type        VARCHAR(100) NOT NULL,
+  size_bytes       INTEGER NOT NULL,
+  checksum_sha256  CHAR(64) NOT NULL,
+  storage_backend  VARCHAR(20) NOT NULL,
+  storage_key      TEXT NOT NULL,
+  status           VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected')),
+  review_remarks   TEXT,
+  reviewed_by      INTEGER REFERENCES department_user (department_user_id),
+  reviewed_at      TIMESTAMPTZ,
+  uploaded_by_type VARCHAR(20) NOT NULL,
+  uploaded_by_id   INTEGER,
+  uploaded_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Rejections must say why
+  CHECK (status <> 'rejected' OR review_remarks IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS document_owner_idx ON document (owner_type, owner_id);
+CREATE INDEX IF NOT EXISTS document_status_idx ON document (status, uploaded_at);
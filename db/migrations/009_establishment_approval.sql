@@ -0,0 +1,25 @@
+-- ============================================
+-- Establishment approval workflow
+-- ============================================
+--
+-- Statuses: pending → active (approved) | rejected | changes_requested,
+-- changes_requested → pending (resubmitted by the establishment),
+-- active ⇄ suspended. Transitions are enforced in src/utils/statusWorkflow.js;
+-- every one is recorded in establishment_status_history.
+
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS status_remarks TEXT;
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS establishment_status_history (
+  history_id       BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  action           VARCHAR(30) NOT NULL,
+  from_status      VARCHAR(30) NOT NULL,
+  to_status        VARCHAR(30) NOT NULL,
+  remarks          TEXT NOT NULL,
+  changed_by       INTEGER REFERENCES department_user (department_user_id),
+  changed_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS establishment_status_history_idx
+  ON establishment_status_history (establishment_id, changed_at DESC);
@@ -0,0 +1,29 @@
+-- ============================================
+-- Worker registration lifecycle
+-- ============================================
+--
+-- submitted → under_review → approved | rejected; approved ⇄ suspended;
+-- approved or suspended → deceased | migrated. Transitions are enforced in
+-- src/utils/statusWorkflow.js; every one is recorded in worker_status_history.
+
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS status_remarks TEXT;
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+-- Workers registered before the lifecycle existed were live straight away
+UPDATE worker SET status = 'approved' WHERE status = 'active';
+
+ALTER TABLE worker ALTER COLUMN status SET DEFAULT 'submitted';
+
+CREATE TABLE IF NOT EXISTS worker_status_history (
+  history_id  BIGSERIAL PRIMARY KEY,
+  worker_id   INTEGER NOT NULL REFERENCES worker (worker_id),
+  action      VARCHAR(30) NOT NULL,
+  from_status VARCHAR(30) NOT NULL,
+  to_status   VARCHAR(30) NOT NULL,
+  remarks     TEXT,
+  changed_by  INTEGER REFERENCES department_user (department_user_id),
+  changed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS worker_status_history_idx
+  ON worker_status_history (worker_id, changed_at DESC);
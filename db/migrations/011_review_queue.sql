@@ -0,0 +1,50 @@
+-- ============================================
+-- Unified review queue
+-- ============================================
+--
+-- Worker and establishment applications in one view so they can be filtered
+-- and cursor-paginated together (ordered by submitted_at, queue_id).
+-- awaiting_review marks the statuses a reviewer still has to act on.
+-- Applications can be assigned to a department user.
+
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS reviewer_id INTEGER REFERENCES department_user (department_user_id);
+ALTER TABLE worker ADD COLUMN IF NOT EXISTS reviewer_assigned_at TIMESTAMPTZ;
+
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS reviewer_id INTEGER REFERENCES department_user (department_user_id);
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS reviewer_assigned_at TIMESTAMPTZ;
+
+CREATE OR REPLACE VIEW review_queue WITH (security_invoker = true) AS
+SELECT
+  'worker:' || w.worker_id              AS queue_id,
+  'worker'::text                        AS item_type,
+  w.worker_id                           AS item_id,
+  w.full_name::text                     AS applicant_name,
+  w.status::text                        AS status,
+  w.status IN ('submitted', 'under_review') AS awaiting_review,
+  w.created_at                          AS submitted_at,
+  w.per_district_id                     AS district_id,
+  w.per_city_id                         AS city_id,
+  w.mobile_number::text                 AS mobile_number,
+  w.email_id::text                      AS email_id,
+  w.reviewer_id,
+  w.reviewer_assigned_at
+FROM worker w
+UNION ALL
+SELECT
+  'establishment:' || e.establishment_id,
+  'establishment'::text,
+  e.establishment_id,
+  e.establishment_name::text,
+  e.status::text,
+  e.status = 'pending',
+  e.created_at,
+  e.district_id,
+  e.city_id,
+  e.mobile_number::text,
+  e.email_id::text,
+  e.reviewer_id,
+  e.reviewer_assigned_at
+FROM establishment e;
+
+CREATE INDEX IF NOT EXISTS worker_review_idx ON worker (created_at, worker_id) WHERE status IN ('submitted', 'under_review');
+CREATE INDEX IF NOT EXISTS establishment_review_idx ON establishment (created_at, establishment_id) WHERE status = 'pending';
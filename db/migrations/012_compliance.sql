@@ -0,0 +1,33 @@
+-- ============================================
+-- Establishment compliance records
+-- ============================================
+--
+-- One row per required item and period (e.g. cess for 2026-Q3). A record is
+-- pending until the department assesses it as pass or fail; pending records
+-- past their due date count as overdue. Evidence is an uploaded document of
+-- the establishment and/or a reference such as a challan number.
+-- The worker_count item is assessed by the server from the declared counts
+-- and the active establishment_worker rows (declared vs actual in details).
+
+CREATE TABLE IF NOT EXISTS compliance_record (
+  compliance_id        BIGSERIAL PRIMARY KEY,
+  establishment_id     INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  item_type            VARCHAR(40) NOT NULL,
+  period               VARCHAR(20) NOT NULL DEFAULT '',
+  due_date             DATE NOT NULL,
+  status               VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'pass', 'fail')),
+  evidence_document_id BIGINT REFERENCES document (document_id),
+  evidence_reference   VARCHAR(255),
+  details              JSONB,
+  remarks              TEXT,
+  assessed_by          INTEGER REFERENCES department_user (department_user_id),
+  assessed_at          TIMESTAMPTZ,
+  created_by           INTEGER REFERENCES department_user (department_user_id),
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (establishment_id, item_type, period),
+  -- Failures must say why
+  CHECK (status <> 'fail' OR remarks IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS compliance_record_due_idx ON compliance_record (status, due_date);
@@ -0,0 +1,62 @@
+-- ============================================
+-- Establishment inspections
+-- ============================================
+--
+-- An inspection is scheduled for an establishment and assigned to an
+-- inspector (department_user). The inspector files the report on site:
+-- checklist results, summary, GPS position and photos. Follow-up actions are
+-- compliance records linked to the inspection, so they are tracked and
+-- scored with the establishment's other compliance items.
+
+CREATE TABLE IF NOT EXISTS inspection (
+  inspection_id    BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  inspector_id     INTEGER NOT NULL REFERENCES department_user (department_user_id),
+  scheduled_for    TIMESTAMPTZ NOT NULL,
+  purpose          TEXT,
+  status           VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+  -- Report
+  checklist        JSONB,
+  summary          TEXT,
+  latitude         NUMERIC(9, 6),
+  longitude        NUMERIC(9, 6),
+  gps_accuracy_m   NUMERIC(8, 2),
+  inspected_at     TIMESTAMPTZ,
+  cancel_remarks   TEXT,
+  scheduled_by     INTEGER REFERENCES department_user (department_user_id),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (status <> 'completed' OR (checklist IS NOT NULL AND latitude IS NOT NULL AND longitude IS NOT NULL)),
+  CHECK (status <> 'cancelled' OR cancel_remarks IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS inspection_inspector_idx ON inspection (inspector_id, status, scheduled_for);
+CREATE INDEX IF NOT EXISTS inspection_establishment_idx ON inspection (establishment_id, scheduled_for);
+
+CREATE TABLE IF NOT EXISTS inspection_photo (
+  photo_id         BIGSERIAL PRIMARY KEY,
+  inspection_id    BIGINT NOT NULL REFERENCES inspection (inspection_id),
+  caption          VARCHAR(255),
+  mime_type        VARCHAR(100) NOT NULL,
+  size_bytes       INTEGER NOT NULL,
+  storage_backend  VARCHAR(20) NOT NULL,
+  storage_key      TEXT NOT NULL,
+  latitude         NUMERIC(9, 6),
+  longitude        NUMERIC(9, 6),
+  uploaded_by      INTEGER REFERENCES department_user (department_user_id),
+  uploaded_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS inspection_photo_inspection_idx ON inspection_photo (inspection_id);
+
+-- Follow-up actions
+ALTER TABLE compliance_record ADD COLUMN IF NOT EXISTS inspection_id BIGINT REFERENCES inspection (inspection_id);
+ALTER TABLE compliance_record ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- An inspection can raise several actions of the same type, so the
+-- one-per-period rule only holds for items tracked outside inspections
+ALTER TABLE compliance_record DROP CONSTRAINT IF EXISTS compliance_record_establishment_id_item_type_period_key;
+CREATE UNIQUE INDEX IF NOT EXISTS compliance_record_period_key
+  ON compliance_record (establishment_id, item_type, period)
+  WHERE inspection_id IS NULL;
+CREATE INDEX IF NOT EXISTS compliance_record_inspection_idx ON compliance_record (inspection_id);
@@ -0,0 +1,91 @@
+-- ============================================
+-- Establishment and check-in coordinates, map clustering
+-- ============================================
+--
+-- Establishments get a position (WGS84 degrees) and an optional site polygon
+-- stored as a GeoJSON Polygon. Check-ins and check-outs record the device GPS
+-- fix and its accuracy in metres.
+--
+-- map_location_clusters() groups active establishments and checked-in
+-- workers inside a bounding box into a grid of p_cell_size degrees, so the
+-- department map gets one marker per cell instead of every point. Cells
+-- holding a single point carry its id and name.
+
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS site_polygon JSONB;
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS establishment_position_idx ON establishment (latitude, longitude) WHERE latitude IS NOT NULL;
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_latitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_longitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_accuracy_m NUMERIC(8, 2);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_out_latitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_out_longitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_out_accuracy_m NUMERIC(8, 2);
+
+CREATE OR REPLACE FUNCTION map_location_clusters(
+  p_min_lat NUMERIC,
+  p_min_lng NUMERIC,
+  p_max_lat NUMERIC,
+  p_max_lng NUMERIC,
+  p_cell_size NUMERIC,
+  p_district_id INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  item_type TEXT,
+  point_count BIGINT,
+  latitude NUMERIC,
+  longitude NUMERIC,
+  item_id INTEGER,
+  item_name TEXT,
+  last_update TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH points AS (
+    SELECT
+      'establishment'::text AS kind,
+      e.establishment_id AS id,
+      e.establishment_name::text AS name,
+      e.latitude AS lat,
+      e.longitude AS lng,
+      e.location_updated_at AS updated_at
+    FROM establishment e
+    WHERE e.status = 'active'
+      AND e.latitude IS NOT NULL
+      AND (p_district_id IS NULL OR e.district_id = p_district_id)
+    UNION ALL
+    SELECT
+      'worker'::text,
+      a.worker_id,
+      w.full_name::text,
+      a.check_in_latitude,
+      a.check_in_longitude,
+      a.check_in_date_time
+    FROM attendance a
+    JOIN worker w ON w.worker_id = a.worker_id
+    JOIN establishment e ON e.establishment_id = a.establishment_id
+    WHERE a.status = 'i'
+      AND a.check_out_date_time IS NULL
+      AND a.check_in_latitude IS NOT NULL
+      AND (p_district_id IS NULL OR e.district_id = p_district_id)
+  )
+  SELECT
+    p.kind,
+    COUNT(*),
+    ROUND(AVG(p.lat), 6),
+    ROUND(AVG(p.lng), 6),
+    CASE WHEN COUNT(*) = 1 THEN MIN(p.id) END,
+    CASE WHEN COUNT(*) = 1 THEN MIN(p.name) END,
+    MAX(p.updated_at)
+  FROM points p
+  WHERE p.lat BETWEEN p_min_lat AND p_max_lat
+    AND p.lng BETWEEN p_min_lng AND p_max_lng
+  GROUP BY p.kind, FLOOR(p.lat / p_cell_size), FLOOR(p.lng / p_cell_size);
+$$;
+
+REVOKE EXECUTE ON FUNCTION map_location_clusters(NUMERIC, NUMERIC, NUMERIC, NUMERIC, NUMERIC, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION map_location_clusters(NUMERIC, NUMERIC, NUMERIC, NUMERIC, NUMERIC, INTEGER) TO service_role;
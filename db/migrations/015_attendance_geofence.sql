@@ -0,0 +1,51 @@
+-- ============================================
+-- Geofenced attendance
+-- ============================================
+--
+-- Establishments define one or more site geofences, either a circle (center
+-- and radius in metres) or a GeoJSON Polygon. Each punch is checked against
+-- the active fences of its establishment and stores the outcome and the
+-- distance outside the nearest fence (0 inside).
+--
+-- establishment.geofence_mode decides what happens to a punch outside the
+-- fence or without a usable GPS fix: 'reject' refuses it, 'flag' saves it for
+-- review, 'off' only records. NULL falls back to GEOFENCE_MODE.
+--
+-- review_status marks attendance rows someone has to look at (pending) and
+-- the decision taken; review_reason says why the row was held.
+
+CREATE TABLE IF NOT EXISTS site_geofence (
+  geofence_id      BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  name             VARCHAR(100) NOT NULL,
+  shape            VARCHAR(10) NOT NULL CHECK (shape IN ('circle', 'polygon')),
+  center_latitude  NUMERIC(9, 6),
+  center_longitude NUMERIC(9, 6),
+  radius_m         NUMERIC(8, 2),
+  polygon          JSONB,
+  is_active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (shape <> 'circle' OR (center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_m > 0)),
+  CHECK (shape <> 'polygon' OR polygon IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS site_geofence_establishment_idx ON site_geofence (establishment_id) WHERE is_active;
+
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS geofence_mode VARCHAR(10)
+  CHECK (geofence_mode IN ('off', 'flag', 'reject'));
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_geofence_status VARCHAR(20);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_in_distance_m NUMERIC(10, 2);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_out_geofence_status VARCHAR(20);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS check_out_distance_m NUMERIC(10, 2);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS review_status VARCHAR(20)
+  CHECK (review_status IN ('pending', 'accepted', 'rejected'));
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS review_reason VARCHAR(40);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS review_remarks TEXT;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS reviewed_by_type VARCHAR(20);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS reviewed_by_id INTEGER;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS attendance_review_idx ON attendance (establishment_id, check_in_date_time) WHERE review_status = 'pending';
@@ -0,0 +1,9 @@
+-- ============================================
+-- Establishment time zone
+-- ============================================
+--
+-- IANA zone name (e.g. Asia/Kolkata) used for the establishment's calendar
+-- days: today's attendance, the duplicate check-in check and its dashboard.
+-- NULL uses the deployment's APP_TIME_ZONE (default Asia/Kolkata).
+
+ALTER TABLE establishment ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
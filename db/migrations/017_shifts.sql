@@ -0,0 +1,52 @@
+-- ============================================
+-- Shifts and rosters
+-- ============================================
+--
+-- Establishments define shift templates (local start and end time, grace
+-- period, unpaid break); an overnight shift ends on the day after it starts.
+-- A roster puts a worker on one shift for a date range.
+--
+-- Each punch is attached to the rostered shift it falls in. work_date is the
+-- day the attendance counts towards: the shift's start date, so a night
+-- shift's 02:00 check-out belongs to the previous evening's shift. Punches
+-- without a shift use the local calendar date of the check-in.
+
+CREATE TABLE IF NOT EXISTS shift_template (
+  shift_id         BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  name             VARCHAR(60) NOT NULL,
+  start_time       TIME NOT NULL,
+  end_time         TIME NOT NULL,
+  grace_minutes    INTEGER NOT NULL DEFAULT 10 CHECK (grace_minutes >= 0),
+  break_minutes    INTEGER NOT NULL DEFAULT 0 CHECK (break_minutes >= 0),
+  is_overnight     BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Only overnight shifts may end at or before their start time
+  CHECK (is_overnight = (end_time <= start_time))
+);
+
+CREATE INDEX IF NOT EXISTS shift_template_establishment_idx ON shift_template (establishment_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS shift_roster (
+  roster_id        BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  worker_id        INTEGER NOT NULL REFERENCES worker (worker_id),
+  shift_id         BIGINT NOT NULL REFERENCES shift_template (shift_id),
+  effective_from   DATE NOT NULL,
+  effective_to     DATE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS shift_roster_worker_idx ON shift_roster (worker_id, establishment_id, effective_from);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS shift_id BIGINT REFERENCES shift_template (shift_id);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS work_date DATE;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS scheduled_start TIMESTAMPTZ;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS scheduled_end TIMESTAMPTZ;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS late_minutes INTEGER;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS early_exit_minutes INTEGER;
+
+CREATE INDEX IF NOT EXISTS attendance_work_date_idx ON attendance (worker_id, work_date);
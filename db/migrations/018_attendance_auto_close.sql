@@ -0,0 +1,30 @@
+-- ============================================
+-- Automatic check-out and establishment notifications
+-- ============================================
+--
+-- A background job closes sessions left open after their shift (plus a grace
+-- period) or after a maximum duration. auto_closed_at marks those rows; their
+-- check-out time is estimated, so they are held for review with
+-- review_reason 'auto_closed'.
+--
+-- establishment_notification is an inbox the establishment reads through the
+-- API; the job posts one notification per establishment per run.
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS auto_closed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS attendance_open_sessions_idx ON attendance (check_in_date_time)
+  WHERE status = 'i' AND check_out_date_time IS NULL;
+
+CREATE TABLE IF NOT EXISTS establishment_notification (
+  notification_id  BIGSERIAL PRIMARY KEY,
+  establishment_id INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  type             VARCHAR(40) NOT NULL,
+  title            VARCHAR(200) NOT NULL,
+  message          TEXT NOT NULL,
+  data             JSONB NOT NULL DEFAULT '{}'::jsonb,
+  read_at          TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS establishment_notification_inbox_idx
+  ON establishment_notification (establishment_id, created_at DESC);
@@ -0,0 +1,49 @@
+-- ============================================
+-- Attendance regularization
+-- ============================================
+--
+-- A worker or establishment asks for a punch to be corrected (or for a
+-- missed session to be added) with the times it should have had and a reason;
+-- the establishment or a department user approves or rejects it.
+--
+-- The request stores the times as they were when it was raised. On approval
+-- the attendance row takes the corrected times and keeps its first recorded
+-- punch in original_check_in_date_time / original_check_out_date_time, so the
+-- audit trail survives several corrections.
+
+CREATE TABLE IF NOT EXISTS attendance_regularization (
+  regularization_id     BIGSERIAL PRIMARY KEY,
+  attendance_id         BIGINT REFERENCES attendance (attendance_id),
+  establishment_id      INTEGER NOT NULL REFERENCES establishment (establishment_id),
+  worker_id             INTEGER NOT NULL REFERENCES worker (worker_id),
+  original_check_in     TIMESTAMPTZ,
+  original_check_out    TIMESTAMPTZ,
+  requested_check_in    TIMESTAMPTZ,
+  requested_check_out   TIMESTAMPTZ,
+  reason                TEXT NOT NULL,
+  status                VARCHAR(10) NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by_type     VARCHAR(20) NOT NULL,
+  requested_by_id       INTEGER NOT NULL,
+  decided_by_type       VARCHAR(20),
+  decided_by_id         INTEGER,
+  decided_at            TIMESTAMPTZ,
+  decision_remarks      TEXT,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (requested_check_in IS NOT NULL OR requested_check_out IS NOT NULL),
+  -- A missed session needs both times
+  CHECK (attendance_id IS NOT NULL OR (requested_check_in IS NOT NULL AND requested_check_out IS NOT NULL)),
+  CHECK (status <> 'rejected' OR decision_remarks IS NOT NULL)
+);
+
+-- One open request per attendance row
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_regularization_pending_idx
+  ON attendance_regularization (attendance_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS attendance_regularization_establishment_idx
+  ON attendance_regularization (establishment_id, status, created_at);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS original_check_in_date_time TIMESTAMPTZ;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS original_check_out_date_time TIMESTAMPTZ;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS regularization_id BIGINT REFERENCES attendance_regularization (regularization_id);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS regularized_at TIMESTAMPTZ;
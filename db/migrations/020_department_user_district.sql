@@ -0,0 +1,12 @@
+-- ============================================
+-- District scope for department users
+-- ============================================
+--
+-- A department user with a district_id sees attendance only for
+-- establishments in that district. Only the role names listed in
+-- ATTENDANCE_STATEWIDE_ROLES see every district; NULL sees none. The district
+-- is set by a department admin, not at registration.
+
+ALTER TABLE department_user ADD COLUMN IF NOT EXISTS district_id INTEGER REFERENCES district (district_id);
+
+CREATE INDEX IF NOT EXISTS establishment_district_idx ON establishment (district_id);
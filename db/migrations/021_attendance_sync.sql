@@ -0,0 +1,26 @@
+-- ============================================
+-- Offline attendance sync
+-- ============================================
+--
+-- Punches captured while the device was offline are uploaded in batches to
+-- POST /api/attendance/sync, each under a UUID the device generated. A row
+-- here claims that UUID before the punch is applied and keeps its outcome, so
+-- a batch resent after a dropped response returns the stored results instead
+-- of punching twice. attendance_id is the session the punch opened, closed or
+-- ran into, which lets a later check-out name its check-in by client UUID.
+--
+-- result is NULL while the punch is being applied.
+
+CREATE TABLE IF NOT EXISTS attendance_sync_item (
+  client_uuid         UUID PRIMARY KEY,
+  worker_id           INTEGER NOT NULL REFERENCES worker (worker_id),
+  establishment_id    INTEGER REFERENCES establishment (establishment_id),
+  attendance_id       BIGINT REFERENCES attendance (attendance_id),
+  action              CHAR(1) NOT NULL CHECK (action IN ('i', 'o')),
+  device_time         TIMESTAMPTZ NOT NULL,
+  result              JSONB,
+  received_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS attendance_sync_item_worker_idx
+  ON attendance_sync_item (worker_id, device_time);
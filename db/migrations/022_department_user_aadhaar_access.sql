@@ -0,0 +1,12 @@
+-- ============================================
+-- Full Aadhaar access for department users
+-- ============================================
+--
+-- Seeing full Aadhaar numbers is a permission a department admin grants to
+-- one department user, not something that comes with a role a registrant
+-- can pick. The grant records who gave it and when; revoking it clears all
+-- three columns.
+
+ALTER TABLE department_user ADD COLUMN IF NOT EXISTS can_view_full_aadhaar BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE department_user ADD COLUMN IF NOT EXISTS aadhaar_access_granted_by INTEGER REFERENCES department_user (department_user_id);
+ALTER TABLE department_user ADD COLUMN IF NOT EXISTS aadhaar_access_granted_at TIMESTAMPTZ;
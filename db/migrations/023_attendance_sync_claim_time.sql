@@ -0,0 +1,14 @@
+-- ============================================
+-- Offline sync: when a punch was claimed
+-- ============================================
+--
+-- A sync item with no result is a punch being applied. If the server stops
+-- between claiming and storing the result, the row would block its clientId
+-- for good. claimed_at lets a later upload take over a claim older than
+-- SYNC_CLAIM_TIMEOUT_SECONDS: it looks for the punch in attendance first and
+-- applies it again only when it is not there.
+
+ALTER TABLE attendance_sync_item ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS attendance_sync_item_unfinished_idx
+  ON attendance_sync_item (claimed_at) WHERE result IS NULL;
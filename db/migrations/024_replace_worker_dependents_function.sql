@@ -0,0 +1,187 @@
+-- ============================================
+-- Transactional dependents changes
+-- ============================================
+--
+-- replace_worker_dependents() saves a worker's full list of dependents in
+-- one transaction: rows left out are removed, rows with a dependent_id are
+-- updated and the rest are added. change_worker_dependent() adds, updates or
+-- removes one dependent. A failure part way leaves the list as it was.
+--
+-- Both lock the worker row, so saves for the same worker run one after the
+-- other, and check the nominee shares of the saved list under that lock: a
+-- change that would leave them not adding up to 100 raises check_violation
+-- (23514). A dependent_id that is not the worker's raises no_data_found
+-- (P0002); one listed twice raises invalid_parameter_value (22023).
+
+CREATE OR REPLACE FUNCTION check_worker_nominee_shares(p_worker_id INTEGER)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_nominees INTEGER;
+  v_total NUMERIC;
+BEGIN
+  -- Shares may have two decimals (e.g. 33.33); compare in hundredths
+  SELECT
+    count(*) FILTER (WHERE is_nominee_selected),
+    COALESCE(sum(round(percentage_of_benefits * 100)) FILTER (WHERE is_nominee_selected), 0)
+  INTO v_nominees, v_total
+  FROM worker_dependents
+  WHERE worker_id = p_worker_id;
+
+  IF v_nominees > 0 AND v_total <> 10000 THEN
+    RAISE EXCEPTION 'Nominee shares of worker % add up to %', p_worker_id, v_total / 100
+      USING ERRCODE = 'check_violation';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION lock_worker_for_dependents(p_worker_id INTEGER)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM 1 FROM worker WHERE worker_id = p_worker_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Worker % not found', p_worker_id USING ERRCODE = 'no_data_found';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION replace_worker_dependents(
+  p_worker_id INTEGER,
+  p_dependents JSONB DEFAULT '[]'::jsonb
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_listed_ids INTEGER[];
+  v_kept_ids INTEGER[];
+  v_updated INTEGER;
+  v_saved JSONB;
+BEGIN
+  PERFORM lock_worker_for_dependents(p_worker_id);
+
+  SELECT COALESCE(array_agg(d.dependent_id), '{}')
+  INTO v_listed_ids
+  FROM jsonb_populate_recordset(NULL::worker_dependents, COALESCE(p_dependents, '[]'::jsonb)) d
+  WHERE d.dependent_id IS NOT NULL;
+
+  SELECT COALESCE(array_agg(DISTINCT id), '{}') INTO v_kept_ids FROM unnest(v_listed_ids) id;
+
+  IF cardinality(v_kept_ids) <> cardinality(v_listed_ids) THEN
+    RAISE EXCEPTION 'A dependent is listed twice' USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  DELETE FROM worker_dependents
+  WHERE worker_id = p_worker_id
+    AND dependent_id <> ALL (v_kept_ids);
+
+  UPDATE worker_dependents t
+  SET
+    dependent_name = d.dependent_name,
+    date_of_birth = d.date_of_birth,
+    relationship = d.relationship,
+    is_nominee_selected = d.is_nominee_selected,
+    percentage_of_benefits = d.percentage_of_benefits,
+    guardian_name = d.guardian_name,
+    guardian_relationship = d.guardian_relationship
+  FROM jsonb_populate_recordset(NULL::worker_dependents, COALESCE(p_dependents, '[]'::jsonb)) d
+  WHERE t.dependent_id = d.dependent_id
+    AND t.worker_id = p_worker_id;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  IF v_updated <> cardinality(v_kept_ids) THEN
+    RAISE EXCEPTION 'Dependents do not belong to worker %', p_worker_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  INSERT INTO worker_dependents (
+    worker_id, dependent_name, date_of_birth, relationship,
+    is_nominee_selected, percentage_of_benefits, guardian_name, guardian_relationship
+  )
+  SELECT
+    p_worker_id, d.dependent_name, d.date_of_birth, d.relationship,
+    d.is_nominee_selected, d.percentage_of_benefits, d.guardian_name, d.guardian_relationship
+  FROM jsonb_populate_recordset(NULL::worker_dependents, COALESCE(p_dependents, '[]'::jsonb)) d
+  WHERE d.dependent_id IS NULL;
+
+  PERFORM check_worker_nominee_shares(p_worker_id);
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(w) ORDER BY w.dependent_id), '[]'::jsonb)
+  INTO v_saved
+  FROM worker_dependents w
+  WHERE w.worker_id = p_worker_id;
+
+  RETURN v_saved;
+END;
+$$;
+
+-- Add (p_dependent_id NULL), update, or remove (p_dependent NULL) one
+-- dependent; returns the row added, updated or removed
+CREATE OR REPLACE FUNCTION change_worker_dependent(
+  p_worker_id INTEGER,
+  p_dependent_id INTEGER,
+  p_dependent JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row worker_dependents;
+BEGIN
+  PERFORM lock_worker_for_dependents(p_worker_id);
+
+  IF p_dependent IS NULL THEN
+    DELETE FROM worker_dependents
+    WHERE dependent_id = p_dependent_id
+      AND worker_id = p_worker_id
+    RETURNING * INTO v_row;
+  ELSIF p_dependent_id IS NULL THEN
+    INSERT INTO worker_dependents (
+      worker_id, dependent_name, date_of_birth, relationship,
+      is_nominee_selected, percentage_of_benefits, guardian_name, guardian_relationship
+    )
+    SELECT
+      p_worker_id, d.dependent_name, d.date_of_birth, d.relationship,
+      d.is_nominee_selected, d.percentage_of_benefits, d.guardian_name, d.guardian_relationship
+    FROM jsonb_populate_record(NULL::worker_dependents, p_dependent) d
+    RETURNING * INTO v_row;
+  ELSE
+    UPDATE worker_dependents t
+    SET
+      dependent_name = d.dependent_name,
+      date_of_birth = d.date_of_birth,
+      relationship = d.relationship,
+      is_nominee_selected = d.is_nominee_selected,
+      percentage_of_benefits = d.percentage_of_benefits,
+      guardian_name = d.guardian_name,
+      guardian_relationship = d.guardian_relationship
+    FROM jsonb_populate_record(NULL::worker_dependents, p_dependent) d
+    WHERE t.dependent_id = p_dependent_id
+      AND t.worker_id = p_worker_id
+    RETURNING t.* INTO v_row;
+  END IF;
+
+  IF v_row.dependent_id IS NULL THEN
+    RAISE EXCEPTION 'Dependent % does not belong to worker %', p_dependent_id, p_worker_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  PERFORM check_worker_nominee_shares(p_worker_id);
+
+  RETURN to_jsonb(v_row);
+END;
+$$;
+
+-- Only the backend (service role) saves dependents
+REVOKE EXECUTE ON FUNCTION check_worker_nominee_shares(INTEGER) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION lock_worker_for_dependents(INTEGER) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION replace_worker_dependents(INTEGER, JSONB) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION change_worker_dependent(INTEGER, INTEGER, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION check_worker_nominee_shares(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION lock_worker_for_dependents(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION replace_worker_dependents(INTEGER, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION change_worker_dependent(INTEGER, INTEGER, JSONB) TO service_role;
@@ -0,0 +1,66 @@
+-- ============================================
+-- Transactional inspection report
+-- ============================================
+--
+-- submit_inspection_report() completes a scheduled inspection and inserts
+-- its follow-up actions as compliance records in one transaction, so an
+-- inspection is never completed without the actions its report raised.
+--
+-- p_report holds inspection columns (checklist, summary, latitude, longitude,
+-- gps_accuracy_m, inspected_at, updated_at); p_actions compliance_record
+-- columns (item_type, description, due_date). Returns NULL when the
+-- inspection is no longer scheduled, otherwise { actions: [...] }.
+
+CREATE OR REPLACE FUNCTION submit_inspection_report(
+  p_inspection_id BIGINT,
+  p_report JSONB,
+  p_actions JSONB DEFAULT '[]'::jsonb,
+  p_created_by INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_establishment_id INTEGER;
+  v_actions JSONB;
+BEGIN
+  UPDATE inspection i
+  SET
+    status = 'completed',
+    checklist = r.checklist,
+    summary = r.summary,
+    latitude = r.latitude,
+    longitude = r.longitude,
+    gps_accuracy_m = r.gps_accuracy_m,
+    inspected_at = r.inspected_at,
+    updated_at = r.updated_at
+  FROM jsonb_populate_record(NULL::inspection, p_report) r
+  WHERE i.inspection_id = p_inspection_id
+    AND i.status = 'scheduled'
+  RETURNING i.establishment_id INTO v_establishment_id;
+
+  -- Completed or cancelled in the meantime
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO compliance_record (
+      establishment_id, inspection_id, item_type, description, due_date, created_by
+    )
+    SELECT
+      v_establishment_id, p_inspection_id, a.item_type, a.description, a.due_date, p_created_by
+    FROM jsonb_populate_recordset(NULL::compliance_record, COALESCE(p_actions, '[]'::jsonb)) a
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted) ORDER BY inserted.compliance_id), '[]'::jsonb)
+  INTO v_actions
+  FROM inserted;
+
+  RETURN jsonb_build_object('actions', v_actions);
+END;
+$$;
+
+-- Only the backend (service role) files reports
+REVOKE EXECUTE ON FUNCTION submit_inspection_report(BIGINT, JSONB, JSONB, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION submit_inspection_report(BIGINT, JSONB, JSONB, INTEGER) TO service_role;
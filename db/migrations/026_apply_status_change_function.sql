@@ -0,0 +1,69 @@
+-- ============================================
+-- Transactional status changes
+-- ============================================
+--
+-- apply_status_change() moves a worker or establishment (p_table) from
+-- p_from to p_to and appends the matching row to its status history table
+-- in one transaction, so a status never changes without its history entry.
+--
+-- Returns the updated row, or NULL when the row is missing or its status is
+-- no longer p_from (another reviewer acted in the meantime).
+
+CREATE OR REPLACE FUNCTION apply_status_change(
+  p_table TEXT,
+  p_id INTEGER,
+  p_action TEXT,
+  p_from TEXT,
+  p_to TEXT,
+  p_remarks TEXT DEFAULT NULL,
+  p_changed_by INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_changed_at TIMESTAMPTZ := now();
+  v_record JSONB;
+BEGIN
+  IF p_table = 'worker' THEN
+    UPDATE worker w
+    SET status = p_to, status_remarks = p_remarks, status_updated_at = v_changed_at
+    WHERE w.worker_id = p_id
+      AND w.status = p_from
+    RETURNING to_jsonb(w) INTO v_record;
+
+    IF NOT FOUND THEN
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO worker_status_history (
+      worker_id, action, from_status, to_status, remarks, changed_by, changed_at
+    )
+    VALUES (p_id, p_action, p_from, p_to, p_remarks, p_changed_by, v_changed_at);
+  ELSIF p_table = 'establishment' THEN
+    UPDATE establishment e
+    SET status = p_to, status_remarks = p_remarks, status_updated_at = v_changed_at
+    WHERE e.establishment_id = p_id
+      AND e.status = p_from
+    RETURNING to_jsonb(e) INTO v_record;
+
+    IF NOT FOUND THEN
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO establishment_status_history (
+      establishment_id, action, from_status, to_status, remarks, changed_by, changed_at
+    )
+    VALUES (p_id, p_action, p_from, p_to, p_remarks, p_changed_by, v_changed_at);
+  ELSE
+    RAISE EXCEPTION 'No status workflow for table %', p_table
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  RETURN v_record;
+END;
+$$;
+
+-- Only the backend (service role) changes statuses
+REVOKE EXECUTE ON FUNCTION apply_status_change(TEXT, INTEGER, TEXT, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION apply_status_change(TEXT, INTEGER, TEXT, TEXT, TEXT, TEXT, INTEGER) TO service_role;
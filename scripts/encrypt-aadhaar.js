@@ -0,0 +1,138 @@
+/**
+ * Aadhaar Encryption Backfill
+ *
+ * Moves plaintext Aadhaar numbers into the encrypted columns added by
+ * db/migrations/007_worker_aadhaar_encryption.sql:
+ *
+ *   - worker: fills aadhaar_encrypted, aadhaar_hash and aadhaar_last4, then
+ *     clears aadhaar_number
+ *   - establishment_worker: replaces aadhaar_card_number with its masked form
+ *
+ * Rows that are already migrated are skipped, so the script can be re-run.
+ * Invalid numbers are still encrypted but listed for follow-up.
+ *
+ * Usage:
+ *   npm run encrypt:aadhaar [-- --dry-run]
+ *
+ * Requires AADHAAR_ENCRYPTION_KEY and AADHAAR_INDEX_KEY in the environment.
+ */
+
+import { parseArgs } from 'util';
+import { supabase } from '../src/config/supabase.js';
+import { validateAadhaar } from '../src/utils/validation.js';
+import { toAadhaarColumns, maskAadhaar } from '../src/utils/aadhaar.js';
+
+const PAGE_SIZE = 500;
+
+/**
+ * Encrypt worker rows that still hold a plaintext aadhaar_number
+ */
+const migrateWorkers = async (dryRun) => {
+  const counts = { migrated: 0, duplicates: 0 };
+  const invalid = [];
+  let from = 0;
+
+  for (;;) {
+    // Migrated rows drop out of the filter; in a dry run nothing changes
+    const { data, error } = await supabase
+      .from('worker')
+      .select('worker_id, aadhaar_number')
+      .not('aadhaar_number', 'is', null)
+      .order('worker_id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const worker of data) {
+      const aadhaar = String(worker.aadhaar_number).trim();
+      if (!validateAadhaar(aadhaar)) invalid.push(worker.worker_id);
+
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from('worker')
+          .update({ ...toAadhaarColumns(aadhaar), aadhaar_number: null })
+          .eq('worker_id', worker.worker_id);
+
+        if (updateError?.code === '23505') {
+          // Aadhaar already migrated for another worker: leave this one for manual review
+          counts.duplicates++;
+          console.log(`⚠️  Worker ${worker.worker_id}: Aadhaar already used by another worker, left unchanged`);
+          continue;
+        }
+
+        if (updateError) throw updateError;
+      }
+
+      counts.migrated++;
+    }
+
+    if (data.length < PAGE_SIZE) break;
+    // Rows left unchanged stay in the filter, skip past them
+    from = dryRun ? from + PAGE_SIZE : counts.duplicates;
+  }
+
+  return { ...counts, invalid };
+};
+
+/**
+ * Mask the Aadhaar copies kept on establishment assignments
+ */
+const maskAssignments = async (dryRun) => {
+  let masked = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('establishment_worker')
+      .select('estmt_worker_id, aadhaar_card_number')
+      .not('aadhaar_card_number', 'like', 'XXXX-%')
+      .order('estmt_worker_id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const assignment of data) {
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from('establishment_worker')
+          .update({ aadhaar_card_number: maskAadhaar(assignment.aadhaar_card_number) })
+          .eq('estmt_worker_id', assignment.estmt_worker_id);
+
+        if (updateError) throw updateError;
+      }
+
+      masked++;
+    }
+
+    if (data.length < PAGE_SIZE) return masked;
+    if (!dryRun) from -= PAGE_SIZE; // masked rows drop out of the filter
+  }
+};
+
+const run = async () => {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const dryRun = values['dry-run'];
+
+  console.log(`🔐 Encrypting stored Aadhaar numbers${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  const workers = await migrateWorkers(dryRun);
+  const assignments = await maskAssignments(dryRun);
+
+  console.log(`   Workers encrypted: ${workers.migrated}, duplicates left: ${workers.duplicates}`);
+  console.log(`   Establishment assignments masked: ${assignments}`);
+
+  if (workers.invalid.length > 0) {
+    console.log(`⚠️  Workers with an Aadhaar failing the checksum: ${workers.invalid.join(', ')}`);
+  }
+
+  console.log('✅ Aadhaar encryption complete');
+};
+
+run().catch(error => {
+  console.error('❌ Aadhaar encryption failed:', error.message || error);
+  process.exit(1);
+});
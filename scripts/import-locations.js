@@ -0,0 +1,312 @@
+/**
+ * Location Master Data Import
+ *
+ * Loads the district → subdivision → mandal → village hierarchy from
+ * "districts-SubDivisions 1 (1).json" into the state, district, subdivision,
+ * city_mandal and village_area tables.
+ *
+ * Rows are matched on their census code, so the import can be re-run safely:
+ * only new rows and rows whose name or parent changed are written. Rows that
+ * exist in the database under the imported state but are missing from the
+ * file are reported as orphaned and left untouched.
+ *
+ * Usage:
+ *   npm run import:locations -- [file] [--dry-run] [--state-code AP] [--state-name "Andhra Pradesh"]
+ *
+ * Requires db/migrations/001_location_subdivision.sql to be applied.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { supabase } from '../src/config/supabase.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'districts-SubDivisions 1 (1).json');
+
+// Supabase caps result sets at 1000 rows, and long `in` filters overflow the URL
+const PAGE_SIZE = 1000;
+const FILTER_CHUNK_SIZE = 200;
+const UPSERT_BATCH_SIZE = 500;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Fetch every row of `table` whose `column` is one of `values`
+ */
+const fetchWhereIn = async (table, columns, column, values) => {
+  const rows = [];
+
+  for (const valueChunk of chunk(values, FILTER_CHUNK_SIZE)) {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .in(column, valueChunk)
+        .order(column)
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Bring one level of the hierarchy in line with the file
+ *
+ * `rows` carry the code column plus every column the file owns. Existing rows
+ * are looked up within the parent scope; anything in scope but absent from
+ * `rows` is reported as orphaned.
+ *
+ * Returns the code → id map for the next level down, plus stats.
+ */
+const syncLevel = async ({ label, table, idColumn, codeColumn, scopeColumn, scopeIds, rows, dryRun }) => {
+  const stats = { inserted: 0, updated: 0, unchanged: 0, orphaned: [], duplicates: [] };
+  const columns = [idColumn, codeColumn, ...Object.keys(rows[0] || {}).filter(c => c !== codeColumn)];
+
+  // The source file repeats a handful of codes; first occurrence wins
+  const uniqueRows = new Map();
+  rows.forEach(row => {
+    if (uniqueRows.has(row[codeColumn])) {
+      stats.duplicates.push(row[codeColumn]);
+    } else {
+      uniqueRows.set(row[codeColumn], row);
+    }
+  });
+
+  const scopeValues = scopeIds.filter(id => id !== undefined);
+  const existingRows = scopeValues.length > 0
+    ? await fetchWhereIn(table, columns.join(', '), scopeColumn, scopeValues)
+    : [];
+
+  const idsByCode = new Map();
+  const existingByCode = new Map();
+  existingRows.forEach(row => {
+    existingByCode.set(String(row[codeColumn]), row);
+    idsByCode.set(String(row[codeColumn]), row[idColumn]);
+  });
+
+  const pending = [];
+  uniqueRows.forEach((row, code) => {
+    const existing = existingByCode.get(code);
+
+    if (!existing) {
+      stats.inserted++;
+      pending.push(row);
+    } else if (Object.keys(row).some(c => String(existing[c] ?? '') !== String(row[c] ?? ''))) {
+      stats.updated++;
+      pending.push(row);
+    } else {
+      stats.unchanged++;
+    }
+  });
+
+  existingByCode.forEach((row, code) => {
+    if (!uniqueRows.has(code)) {
+      stats.orphaned.push({ id: row[idColumn], code });
+    }
+  });
+
+  if (!dryRun) {
+    for (const batch of chunk(pending, UPSERT_BATCH_SIZE)) {
+      const { data, error } = await supabase
+        .from(table)
+        .upsert(batch, { onConflict: codeColumn })
+        .select(`${idColumn}, ${codeColumn}`);
+
+      if (error) throw error;
+      data.forEach(row => idsByCode.set(String(row[codeColumn]), row[idColumn]));
+    }
+  }
+
+  console.log(
+    `   ${label.padEnd(12)} inserted: ${stats.inserted}, updated: ${stats.updated}, ` +
+    `unchanged: ${stats.unchanged}, orphaned: ${stats.orphaned.length}` +
+    (stats.duplicates.length > 0 ? `, duplicate codes skipped: ${stats.duplicates.join(', ')}` : '')
+  );
+
+  return { idsByCode, stats };
+};
+
+/**
+ * Import the hierarchy for a single state
+ */
+const importLocations = async ({ file = DEFAULT_FILE, stateCode, stateName, dryRun = false }) => {
+  const { districts } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(districts)) {
+    throw new Error(`${file} does not contain a "districts" array`);
+  }
+
+  // State
+  const { data: existingState, error: stateError } = await supabase
+    .from('state')
+    .select('state_id, state_code, state_name')
+    .eq('state_code', stateCode)
+    .maybeSingle();
+
+  if (stateError) throw stateError;
+
+  let stateId = existingState?.state_id;
+
+  if (!existingState && !dryRun) {
+    const { data, error } = await supabase
+      .from('state')
+      .insert({ state_code: stateCode, state_name: stateName })
+      .select('state_id')
+      .single();
+
+    if (error) throw error;
+    stateId = data.state_id;
+  }
+
+  console.log(`📍 State ${stateCode} (${stateName}): ${existingState ? 'existing' : 'inserted'}`);
+
+  // District
+  const district = await syncLevel({
+    label: 'Districts',
+    table: 'district',
+    idColumn: 'district_id',
+    codeColumn: 'district_code',
+    scopeColumn: 'state_id',
+    scopeIds: [stateId],
+    rows: districts.map(d => ({
+      district_code: String(d.code),
+      district_name: d.name.trim(),
+      state_id: stateId
+    })),
+    dryRun
+  });
+
+  const districtIds = [...district.idsByCode.values()];
+
+  // Subdivision
+  const subdivisionRows = [];
+  districts.forEach(d => {
+    (d.subdivisions || []).forEach(s => {
+      subdivisionRows.push({
+        subdivision_code: String(s.code),
+        subdivision_name: s.name.trim(),
+        district_id: district.idsByCode.get(String(d.code))
+      });
+    });
+  });
+
+  const subdivision = await syncLevel({
+    label: 'Subdivisions',
+    table: 'subdivision',
+    idColumn: 'subdivision_id',
+    codeColumn: 'subdivision_code',
+    scopeColumn: 'district_id',
+    scopeIds: districtIds,
+    rows: subdivisionRows,
+    dryRun
+  });
+
+  // Mandal
+  const mandalRows = [];
+  districts.forEach(d => {
+    (d.subdivisions || []).forEach(s => {
+      (s.mandals || []).forEach(m => {
+        mandalRows.push({
+          city_code: String(m.code),
+          city_name: m.name.trim(),
+          district_id: district.idsByCode.get(String(d.code)),
+          subdivision_id: subdivision.idsByCode.get(String(s.code))
+        });
+      });
+    });
+  });
+
+  const mandal = await syncLevel({
+    label: 'Mandals',
+    table: 'city_mandal',
+    idColumn: 'city_id',
+    codeColumn: 'city_code',
+    scopeColumn: 'district_id',
+    scopeIds: districtIds,
+    rows: mandalRows,
+    dryRun
+  });
+
+  // Village
+  const villageRows = [];
+  districts.forEach(d => {
+    (d.subdivisions || []).forEach(s => {
+      (s.mandals || []).forEach(m => {
+        (m.villages || []).forEach(v => {
+          villageRows.push({
+            village_or_area_code: String(v.code),
+            village_or_area_name: v.name.trim(),
+            city_id: mandal.idsByCode.get(String(m.code))
+          });
+        });
+      });
+    });
+  });
+
+  const village = await syncLevel({
+    label: 'Villages',
+    table: 'village_area',
+    idColumn: 'village_or_area_id',
+    codeColumn: 'village_or_area_code',
+    scopeColumn: 'city_id',
+    scopeIds: [...mandal.idsByCode.values()],
+    rows: villageRows,
+    dryRun
+  });
+
+  return {
+    district: district.stats,
+    subdivision: subdivision.stats,
+    mandal: mandal.stats,
+    village: village.stats
+  };
+};
+
+const run = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'state-code': { type: 'string', default: 'AP' },
+      'state-name': { type: 'string', default: 'Andhra Pradesh' }
+    }
+  });
+
+  const file = positionals[0] ? path.resolve(positionals[0]) : DEFAULT_FILE;
+  const dryRun = values['dry-run'];
+
+  console.log(`🔄 Importing locations from ${path.basename(file)}${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  const report = await importLocations({
+    file,
+    stateCode: values['state-code'],
+    stateName: values['state-name'],
+    dryRun
+  });
+
+  Object.entries(report).forEach(([level, stats]) => {
+    if (stats.orphaned.length > 0) {
+      console.log(`⚠️  Orphaned ${level} rows (in database, not in file): ${stats.orphaned.map(o => `${o.code} (id ${o.id})`).join(', ')}`);
+    }
+  });
+
+  console.log('✅ Location import complete');
+};
+
+run().catch(error => {
+  console.error('❌ Location import failed:', error.message || error);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * Pincode Master Import
+ *
+ * Loads a CSV of pincodes into pincode_location. The CSV needs a header row
+ * with these columns (extra columns are ignored):
+ *
+ *   pincode, district_code, city_code, post_office_name
+ *
+ * `district_code` and `city_code` are the census codes used by the location
+ * import; `city_code` (the mandal) and `post_office_name` may be empty.
+ *
+ * Every pincode in the file replaces the rows already stored for it, so the
+ * import can be re-run safely. Pincodes not in the file are left alone.
+ *
+ * Usage:
+ *   npm run import:pincodes -- path/to/pincodes.csv [--dry-run]
+ *
+ * Requires db/migrations/002_pincode_master.sql to be applied and the
+ * location master to be imported first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { supabase } from '../src/config/supabase.js';
+import { validatePincode } from '../src/utils/validation.js';
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 200;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Minimal CSV parser: quoted fields, escaped quotes, CRLF line endings
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim()));
+  const columns = header.map(h => h.trim().toLowerCase());
+
+  return records.map(record => Object.fromEntries(columns.map((c, i) => [c, (record[i] || '').trim()])));
+};
+
+/**
+ * Map code → id for a location table
+ */
+const loadCodeMap = async (table, idColumn, codeColumn) => {
+  const ids = new Map();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(`${idColumn}, ${codeColumn}`)
+      .order(idColumn)
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    data.forEach(row => ids.set(String(row[codeColumn]), row[idColumn]));
+    if (data.length < PAGE_SIZE) return ids;
+  }
+};
+
+const run = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!positionals[0]) {
+    throw new Error('Usage: npm run import:pincodes -- path/to/pincodes.csv [--dry-run]');
+  }
+
+  const file = path.resolve(positionals[0]);
+  const dryRun = values['dry-run'];
+
+  console.log(`🔄 Importing pincodes from ${path.basename(file)}${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  const records = parseCsv(fs.readFileSync(file, 'utf8'));
+  const districtIds = await loadCodeMap('district', 'district_id', 'district_code');
+  const cityIds = await loadCodeMap('city_mandal', 'city_id', 'city_code');
+
+  const rowsByPincode = new Map();
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const line = index + 2; // header is line 1
+    const districtId = districtIds.get(record.district_code);
+    const cityId = record.city_code ? cityIds.get(record.city_code) : null;
+
+    if (!validatePincode(record.pincode)) {
+      skipped.push(`line ${line}: invalid pincode "${record.pincode}"`);
+    } else if (!districtId) {
+      skipped.push(`line ${line}: unknown district_code "${record.district_code}"`);
+    } else if (cityId === undefined) {
+      skipped.push(`line ${line}: unknown city_code "${record.city_code}"`);
+    } else {
+      const pincode = parseInt(record.pincode);
+      const rows = rowsByPincode.get(pincode) || [];
+      const isDuplicate = rows.some(r => r.district_id === districtId && r.city_id === cityId);
+
+      if (!isDuplicate) {
+        rows.push({
+          pincode,
+          district_id: districtId,
+          city_id: cityId,
+          post_office_name: record.post_office_name || null
+        });
+        rowsByPincode.set(pincode, rows);
+      }
+    }
+  });
+
+  let rowCount = 0;
+
+  if (!dryRun) {
+    for (const pincodes of chunk([...rowsByPincode.keys()], BATCH_SIZE)) {
+      const { error: deleteError } = await supabase
+        .from('pincode_location')
+        .delete()
+        .in('pincode', pincodes);
+
+      if (deleteError) throw deleteError;
+
+      const rows = pincodes.flatMap(pincode => rowsByPincode.get(pincode));
+      const { error: insertError } = await supabase
+        .from('pincode_location')
+        .insert(rows);
+
+      if (insertError) throw insertError;
+      rowCount += rows.length;
+    }
+  } else {
+    rowsByPincode.forEach(rows => { rowCount += rows.length; });
+  }
+
+  console.log(`   Pincodes: ${rowsByPincode.size}, rows: ${rowCount}, skipped lines: ${skipped.length}`);
+  skipped.forEach(reason => console.log(`⚠️  Skipped ${reason}`));
+  console.log('✅ Pincode import complete');
+};
+
+run().catch(error => {
+  console.error('❌ Pincode import failed:', error.message || error);
+  process.exit(1);
+});
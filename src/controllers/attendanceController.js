@@ -1,5 +1,13 @@
 import { supabase } from '../config/supabase.js';
-import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { successResponse } from '../utils/response.js';
+import {
+  APP_TIME_ZONE,
+  zonedDayBounds,
+  applyDateRange,
+  getEstablishmentTimeZone
+} from '../utils/dateTime.js';
+import { recordPunch, punchSummary } from '../utils/attendancePunch.js';
+import { scopedColumns, scopeAttendanceQuery } from '../middleware/attendancePolicy.js';
 
 /**
  * Worker check-in or check-out
@@ -7,110 +15,20 @@ import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.j
  */
 export const checkInOrOut = async (req, res, next) => {
   try {
-    const {
-      attendanceId,
-      establishmentId,
-      workerId,
-      estmtWorkerId,
-      workLocation,
-      checkInDateTime,
-      checkOutDateTime,
-      status
-    } = req.body;
-
-    // Validate required fields
-    if (!establishmentId || !workerId || !estmtWorkerId || !status) {
-      return res.status(400).json(
-        errorResponse(
-          ERROR_CODES.VALIDATION_ERROR,
-          'establishmentId, workerId, estmtWorkerId, and status are required',
-          'validation'
-        )
-      );
-    }
+    const outcome = await recordPunch(req.attendanceScope, req.body);
 
-    // Validate status
-    if (!['i', 'o'].includes(status)) {
-      return res.status(400).json(
-        errorResponse(
-          ERROR_CODES.VALIDATION_ERROR,
-          'Status must be either "i" (check-in) or "o" (check-out)',
-          'status'
-        )
-      );
+    if (outcome.error) {
+      return res.status(outcome.httpStatus).json(outcome.error);
     }
 
-    let result;
-    let message;
-
-    if (attendanceId && attendanceId !== 0) {
-      // Update existing attendance (check-out)
-      const { data, error } = await supabase
-        .from('attendance')
-        .update({
-          check_out_date_time: checkOutDateTime || new Date().toISOString(),
-          status: 'o'
-        })
-        .eq('attendance_id', attendanceId)
-        .select()
-        .single();
-
-      if (error) throw error;
-      result = data;
-      message = 'Checked out successfully';
-
-    } else {
-      // Check if worker is already checked in today
-      const today = new Date().toISOString().split('T')[0];
-      const { data: existingCheckIn, error: checkError } = await supabase
-        .from('attendance')
-        .select('*')
-        .eq('worker_id', workerId)
-        .eq('establishment_id', establishmentId)
-        .gte('check_in_date_time', `${today}T00:00:00`)
-        .eq('status', 'i')
-        .is('check_out_date_time', null)
-        .maybeSingle();
-
-      if (checkError && checkError.code !== 'PGRST116') { // PGRST116 is "no rows returned"
-        throw checkError;
-      }
-
-      if (existingCheckIn && status === 'i') {
-        return res.status(400).json(
-          errorResponse(
-            ERROR_CODES.VALIDATION_ERROR,
-            'Worker is already checked in. Please check out first.',
-            'workerId',
-            ['Use the existing attendanceId to check out']
-          )
-        );
-      }
-
-      // Create new attendance (check-in)
-      const { data, error } = await supabase
-        .from('attendance')
-        .insert({
-          establishment_id: establishmentId,
-          worker_id: workerId,
-          estmt_worker_id: estmtWorkerId,
-          work_location: workLocation || '',
-          check_in_date_time: checkInDateTime || new Date().toISOString(),
-          check_out_date_time: null,
-          status: 'i'
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
-      result = data;
-      message = 'Checked in successfully';
-    }
+    const { message, geofence, shift } = punchSummary(outcome);
 
     res.json(successResponse({
       statusCode: 200,
-      message: message,
-      data: result
+      message,
+      data: outcome.data,
+      geofence,
+      shift
     }));
 
   } catch (error) {
@@ -129,24 +47,22 @@ export const getWorkerAttendance = async (req, res, next) => {
 
     let query = supabase
       .from('attendance')
-      .select(`
+      .select(scopedColumns(`
         *,
         establishment:establishment_id (
           establishment_id,
           establishment_name
         )
-      `)
+      `, req.attendanceScope))
       .eq('worker_id', workerId)
       .order('check_in_date_time', { ascending: false })
       .limit(limit);
 
-    if (startDate) {
-      query = query.gte('check_in_date_time', startDate);
-    }
+    // Establishments see the worker's records at their own site only
+    query = scopeAttendanceQuery(query, req.attendanceScope);
 
-    if (endDate) {
-      query = query.lte('check_in_date_time', endDate);
-    }
+    // Bare dates are whole days in APP_TIME_ZONE
+    query = applyDateRange(query, 'check_in_date_time', { from: startDate, to: endDate });
 
     const { data: attendance, error } = await query;
 
@@ -170,25 +86,28 @@ export const getEstablishmentAttendance = async (req, res, next) => {
 
     let query = supabase
       .from('attendance')
-      .select(`
+      .select(scopedColumns(`
         *,
         worker:worker_id (
           worker_id,
           full_name,
           mobile_number
         )
-      `)
+      `, req.attendanceScope))
       .eq('establishment_id', establishmentId)
       .order('check_in_date_time', { ascending: false })
       .limit(limit);
 
-    if (startDate) {
-      query = query.gte('check_in_date_time', startDate);
-    }
+    // The route guard checked the site; the query is narrowed as well
+    query = scopeAttendanceQuery(query, req.attendanceScope);
 
-    if (endDate) {
-      query = query.lte('check_in_date_time', endDate);
-    }
+    // Bare dates are whole days in the establishment's time zone
+    query = applyDateRange(
+      query,
+      'check_in_date_time',
+      { from: startDate, to: endDate },
+      await getEstablishmentTimeZone(establishmentId)
+    );
 
     const { data: attendance, error } = await query;
 
@@ -211,7 +130,7 @@ export const getCurrentlyCheckedInWorkers = async (req, res, next) => {
 
     let query = supabase
       .from('attendance')
-      .select(`
+      .select(scopedColumns(`
         *,
         worker:worker_id (
           worker_id,
@@ -222,10 +141,12 @@ export const getCurrentlyCheckedInWorkers = async (req, res, next) => {
           establishment_id,
           establishment_name
         )
-      `)
+      `, req.attendanceScope))
       .eq('status', 'i')
       .is('check_out_date_time', null);
 
+    query = scopeAttendanceQuery(query, req.attendanceScope);
+
     if (establishmentId) {
       query = query.eq('establishment_id', establishmentId);
     }
@@ -243,49 +164,36 @@ export const getCurrentlyCheckedInWorkers = async (req, res, next) => {
 
 /**
  * Get today's attendance
- * GET /api/attendance/today
- */
-/**
- * Get today's attendance
- * GET /api/attendance/today
+ * GET /api/attendance/today?establishmentId={id}
  */
 export const getTodayAttendance = async (req, res, next) => {
   try {
-    const user = req.user;
-    const today = new Date().toISOString().split('T')[0];
-
-    // Determine scope based on role
-    let establishmentId = null;
-    let workerId = null;
-
-    if (user.role === 'worker') {
-      workerId = user.workerId || user.id;
-    } else if (user.role === 'establishment') {
-      establishmentId = user.establishmentId;
-    } else if (user.role === 'department') {
-      if (req.query.establishmentId) {
-        establishmentId = req.query.establishmentId;
-      }
-    }
+    const scope = req.attendanceScope;
+    const establishmentId = scope.role === 'establishment' ? scope.establishmentId : req.query.establishmentId || null;
+
+    // One establishment's own day, otherwise the deployment's
+    const today = zonedDayBounds(
+      new Date(),
+      establishmentId ? await getEstablishmentTimeZone(establishmentId) : APP_TIME_ZONE
+    );
 
     let query = supabase
       .from('attendance')
-      .select(`
+      .select(scopedColumns(`
         *,
         worker:worker_id (full_name, worker_id),
         establishment:establishment_id (establishment_name)
-      `)
-      .gte('check_in_date_time', `${today}T00:00:00`)
+      `, scope))
+      .gte('check_in_date_time', today.start)
+      .lt('check_in_date_time', today.end)
       .order('check_in_date_time', { ascending: false });
 
+    query = scopeAttendanceQuery(query, scope);
+
     if (establishmentId) {
       query = query.eq('establishment_id', establishmentId);
     }
 
-    if (workerId) {
-      query = query.eq('worker_id', workerId);
-    }
-
     const { data, error } = await query;
 
     if (error) throw error;
@@ -302,37 +210,20 @@ export const getTodayAttendance = async (req, res, next) => {
  */
 export const getCurrentCount = async (req, res, next) => {
   try {
-    const user = req.user;
-
-    // Determine scope based on role
-    let establishmentId = null;
-    let workerId = null;
-
-    if (user.role === 'worker') {
-      workerId = user.workerId || user.id;
-    } else if (user.role === 'establishment') {
-      establishmentId = user.establishmentId;
-    } else if (user.role === 'department') {
-      // Department can see all, or filter by query param
-      if (req.query.establishmentId) {
-        establishmentId = req.query.establishmentId;
-      }
-    }
+    const { establishmentId } = req.query;
 
     let query = supabase
       .from('attendance')
-      .select('*', { count: 'exact', head: true }) // count only
+      .select(scopedColumns('*', req.attendanceScope), { count: 'exact', head: true }) // count only
       .eq('status', 'i')
       .is('check_out_date_time', null);
 
+    query = scopeAttendanceQuery(query, req.attendanceScope);
+
     if (establishmentId) {
       query = query.eq('establishment_id', establishmentId);
     }
 
-    if (workerId) {
-      query = query.eq('worker_id', workerId);
-    }
-
     const { count, error } = await query;
 
     if (error) throw error;
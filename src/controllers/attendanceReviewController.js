@@ -0,0 +1,127 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { scopedColumns, scopeAttendanceQuery } from '../middleware/attendancePolicy.js';
+
+const REVIEW_DECISIONS = ['accepted', 'rejected'];
+
+/**
+ * Id recorded as the reviewer; the routes keep workers out
+ */
+const reviewerId = (scope) =>
+  scope.role === 'establishment' ? scope.establishmentId : scope.departmentUserId;
+
+/**
+ * Get attendance held for review (oldest first)
+ * GET /api/attendance/review?establishmentId=&reason=&status=pending
+ */
+export const getAttendanceForReview = async (req, res, next) => {
+  try {
+    const { establishmentId, reason, status = 'pending', limit = 100, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('attendance')
+      .select(scopedColumns(`
+        *,
+        worker:worker_id (worker_id, full_name),
+        establishment:establishment_id (establishment_id, establishment_name)
+      `, req.attendanceScope))
+      .order('check_in_date_time', { ascending: true })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    query = scopeAttendanceQuery(query, req.attendanceScope);
+    query = status === 'all' ? query.not('review_status', 'is', null) : query.eq('review_status', status);
+    if (establishmentId) query = query.eq('establishment_id', establishmentId);
+    if (reason) query = query.eq('review_reason', reason);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse(data || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept or reject attendance held for review
+ * PUT /api/attendance/:attendanceId/review
+ *
+ * Body: { decision: accepted | rejected, remarks (required to reject) }
+ */
+export const reviewAttendance = async (req, res, next) => {
+  try {
+    const scope = req.attendanceScope;
+    const { decision } = req.body;
+    const remarks = (req.body.remarks || '').trim();
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`,
+          'decision'
+        )
+      );
+    }
+
+    if (decision === 'rejected' && !remarks) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Remarks are required',
+          'remarks'
+        )
+      );
+    }
+
+    // Scope is checked on the read; the update is guarded on the id alone
+    let lookup = supabase
+      .from('attendance')
+      .select(scopedColumns('attendance_id', scope))
+      .eq('attendance_id', req.params.attendanceId)
+      .eq('review_status', 'pending');
+
+    lookup = scopeAttendanceQuery(lookup, scope);
+
+    const { data: held, error: lookupError } = await lookup.maybeSingle();
+
+    if (lookupError) throw lookupError;
+
+    const { data, error } = held ? await supabase
+      .from('attendance')
+      .update({
+        review_status: decision,
+        review_remarks: remarks || null,
+        reviewed_by_type: scope.role,
+        reviewed_by_id: reviewerId(scope),
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('attendance_id', held.attendance_id)
+      .eq('review_status', 'pending')
+      .select()
+      .maybeSingle() : {};
+
+    if (error) throw error;
+
+    // Missing, out of scope, or decided in the meantime
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'No attendance awaiting review with this id',
+          'attendanceId'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      message: `Attendance ${decision}`,
+      data
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,77 @@
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { APP_TIME_ZONE, addDays, getEstablishmentTimeZone } from '../utils/dateTime.js';
+import { WORK_HOUR_LIMITS, fetchAttendanceForSummary, summarizeAttendance } from '../utils/workingHours.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 92;
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+/**
+ * Get worked hours, breaks, overtime and weekly rest violations
+ * GET /api/attendance/summary?workerId=&establishmentId=&from=&to=
+ *
+ * from and to are inclusive work dates (up to 92 days). Workers only see
+ * themselves and establishments only their own site; department users need
+ * a workerId or an establishmentId and stay within their district.
+ * Durations are in minutes.
+ */
+export const getAttendanceSummary = async (req, res, next) => {
+  try {
+    const scope = req.attendanceScope;
+    let { workerId, establishmentId } = req.query;
+    const { from, to } = req.query;
+
+    if (scope.role === 'worker') {
+      workerId = scope.workerId;
+    } else if (scope.role === 'establishment') {
+      establishmentId = scope.establishmentId;
+    } else if (!workerId && !establishmentId) {
+      return validationError(res, 'workerId or establishmentId is required', 'workerId');
+    }
+
+    if (!from || !to || !DATE_ONLY.test(from) || !DATE_ONLY.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+      return validationError(res, 'from and to are required as YYYY-MM-DD', 'from');
+    }
+
+    if (to < from) {
+      return validationError(res, 'to cannot be before from', 'to');
+    }
+
+    if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+      return validationError(res, `The range cannot be longer than ${MAX_RANGE_DAYS} days`, 'to');
+    }
+
+    const timeZone = establishmentId ? await getEstablishmentTimeZone(establishmentId) : APP_TIME_ZONE;
+    const { rows, fetchFrom, fetchTo } = await fetchAttendanceForSummary({
+      workerId,
+      establishmentId,
+      from,
+      to,
+      timeZone,
+      scope
+    });
+
+    res.json(successResponse({
+      from,
+      to,
+      timeZone,
+      establishmentId: establishmentId ? parseInt(establishmentId) : null,
+      limits: {
+        dailyHours: WORK_HOUR_LIMITS.dailyMinutes / 60,
+        weeklyHours: WORK_HOUR_LIMITS.weeklyMinutes / 60,
+        maxConsecutiveWorkDays: WORK_HOUR_LIMITS.maxConsecutiveDays
+      },
+      workers: summarizeAttendance(rows, { from, to, fetchFrom, fetchTo, timeZone })
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
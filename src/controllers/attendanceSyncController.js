@@ -0,0 +1,422 @@
+import { validate as isUuid } from 'uuid';
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validateDate } from '../utils/validation.js';
+import { recordPunch, punchSummary } from '../utils/attendancePunch.js';
+import { checkPunchAccess, canAccessAttendance } from '../middleware/attendancePolicy.js';
+
+const MAX_BATCH = parseInt(process.env.SYNC_MAX_BATCH_SIZE || '200');
+const MAX_CLOCK_SKEW_MINUTES = parseInt(process.env.SYNC_MAX_CLOCK_SKEW_MINUTES || '5');
+const MAX_AGE_DAYS = parseInt(process.env.SYNC_MAX_AGE_DAYS || '7');
+const CLAIM_TIMEOUT_SECONDS = parseInt(process.env.SYNC_CLAIM_TIMEOUT_SECONDS || '120');
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+/**
+ * Per-punch result that is not stored (the punch was never claimed)
+ */
+const unclaimed = (clientId, message, target) => ({
+  clientId: clientId ?? null,
+  status: 'rejected',
+  attendanceId: null,
+  message,
+  error: errorResponse(ERROR_CODES.VALIDATION_ERROR, message, target).error
+});
+
+/**
+ * Check what a punch needs before it can be claimed: its client UUID, action,
+ * worker and a device time inside the accepted window
+ */
+const checkShape = (punch, now) => {
+  if (!punch || typeof punch !== 'object') return ['Each punch must be an object', 'punches'];
+  if (!punch.clientId || !isUuid(String(punch.clientId))) return ['clientId must be a UUID', 'clientId'];
+  if (!['i', 'o'].includes(punch.status)) return ['Status must be either "i" (check-in) or "o" (check-out)', 'status'];
+  if (!punch.workerId) return ['workerId is required', 'workerId'];
+  if (!punch.deviceTime || !validateDate(punch.deviceTime)) return ['deviceTime must be a valid timestamp', 'deviceTime'];
+
+  const deviceTime = new Date(punch.deviceTime);
+
+  if (deviceTime - now > MAX_CLOCK_SKEW_MINUTES * 60 * 1000) {
+    return ['deviceTime is in the future; check the device clock', 'deviceTime'];
+  }
+
+  if (now - deviceTime > MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return [`Punches older than ${MAX_AGE_DAYS} days cannot be synced; submit a regularization request`, 'deviceTime'];
+  }
+
+  return null;
+};
+
+/**
+ * Claim a client UUID. Resolves to { claimed: true } when this upload may
+ * apply the punch (resumed: true when it took over a stale claim), otherwise
+ * to { existing } with the row already holding it.
+ */
+const claim = async (punch) => {
+  const { error } = await supabase
+    .from('attendance_sync_item')
+    .insert({
+      client_uuid: punch.clientId,
+      worker_id: punch.workerId,
+      establishment_id: punch.establishmentId || null,
+      action: punch.status,
+      device_time: new Date(punch.deviceTime).toISOString()
+    });
+
+  if (!error) return { claimed: true };
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: existingError } = await supabase
+    .from('attendance_sync_item')
+    .select('worker_id, establishment_id, attendance_id, result, claimed_at')
+    .eq('client_uuid', punch.clientId)
+    .single();
+
+  if (existingError) throw existingError;
+
+  const stale = !existing.result
+    && String(existing.worker_id) === String(punch.workerId)
+    && Date.now() - Date.parse(existing.claimed_at) > CLAIM_TIMEOUT_SECONDS * 1000;
+
+  if (!stale) return { existing };
+
+  // The upload that claimed it stopped before storing a result; one retry
+  // takes the claim over
+  const { data: taken, error: takeError } = await supabase
+    .from('attendance_sync_item')
+    .update({ claimed_at: new Date().toISOString() })
+    .eq('client_uuid', punch.clientId)
+    .is('result', null)
+    .eq('claimed_at', existing.claimed_at)
+    .select('client_uuid')
+    .maybeSingle();
+
+  if (takeError) throw takeError;
+  return taken ? { claimed: true, resumed: true } : { existing };
+};
+
+/**
+ * Whether the caller may be answered with a claimed punch: its worker and
+ * establishment must be in the scope. A check-out synced without an
+ * establishmentId is placed by the session it closed.
+ */
+const canReplay = async (scope, existing) => {
+  if (scope.role === 'department') return false;
+
+  let establishmentId = existing.establishment_id;
+
+  if (establishmentId === null && existing.attendance_id) {
+    const { data, error } = await supabase
+      .from('attendance')
+      .select('establishment_id')
+      .eq('attendance_id', existing.attendance_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    establishmentId = data?.establishment_id ?? null;
+  }
+
+  return canAccessAttendance(scope, { worker_id: existing.worker_id, establishment_id: establishmentId });
+};
+
+/**
+ * Session a stale claim's punch was already saved to, found by the worker
+ * and the device time it was recorded with
+ */
+const findSavedPunch = async (punch) => {
+  const column = punch.status === 'i' ? 'check_in_date_time' : 'check_out_date_time';
+
+  let query = supabase
+    .from('attendance')
+    .select('attendance_id')
+    .eq('worker_id', punch.workerId)
+    .eq(column, new Date(punch.deviceTime).toISOString())
+    .limit(1);
+
+  if (punch.establishmentId) query = query.eq('establishment_id', punch.establishmentId);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data?.attendance_id ?? null;
+};
+
+const storeResult = async (clientId, result) => {
+  const { error } = await supabase
+    .from('attendance_sync_item')
+    .update({ attendance_id: result.attendanceId, result })
+    .eq('client_uuid', clientId);
+
+  if (error) throw error;
+};
+
+/**
+ * Let a punch that failed on a server error be sent again
+ */
+const releaseClaim = async (clientId) => {
+  const { error } = await supabase
+    .from('attendance_sync_item')
+    .delete()
+    .eq('client_uuid', clientId)
+    .is('result', null);
+
+  if (error) console.error(`⚠️  Attendance sync: could not release ${clientId}:`, error.message);
+};
+
+/**
+ * Session a check-out closes: the attendanceId it names, the session its
+ * check-in (checkInClientId) opened or ran into, or else the worker's latest
+ * open session at the establishment
+ */
+const resolveSession = async (punch, sessionsByClientId) => {
+  if (punch.attendanceId) return punch.attendanceId;
+
+  if (punch.checkInClientId) {
+    if (sessionsByClientId.has(punch.checkInClientId)) {
+      return sessionsByClientId.get(punch.checkInClientId);
+    }
+
+    if (!isUuid(String(punch.checkInClientId))) return null;
+
+    const { data, error } = await supabase
+      .from('attendance_sync_item')
+      .select('attendance_id')
+      .eq('client_uuid', punch.checkInClientId)
+      .eq('worker_id', punch.workerId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.attendance_id ?? null;
+  }
+
+  if (!punch.establishmentId) return null;
+
+  const { data, error } = await supabase
+    .from('attendance')
+    .select('attendance_id')
+    .eq('worker_id', punch.workerId)
+    .eq('establishment_id', punch.establishmentId)
+    .eq('status', 'i')
+    .is('check_out_date_time', null)
+    .lte('check_in_date_time', new Date(punch.deviceTime).toISOString())
+    .order('check_in_date_time', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.attendance_id ?? null;
+};
+
+/**
+ * Apply one claimed punch through the same rules as checkinorout
+ */
+const applyPunch = async (scope, punch, sessionsByClientId) => {
+  const { clientId, status, deviceTime } = punch;
+  const outcome = (fields) => ({ clientId, attendanceId: null, ...fields });
+
+  let attendanceId = null;
+
+  if (status === 'o') {
+    attendanceId = await resolveSession(punch, sessionsByClientId);
+
+    if (!attendanceId) {
+      const message = punch.checkInClientId
+        ? 'The check-in for this check-out was not recorded'
+        : 'No open attendance session to check out of';
+
+      return outcome({
+        status: 'rejected',
+        message,
+        error: errorResponse(ERROR_CODES.NOT_FOUND, message, punch.checkInClientId ? 'checkInClientId' : 'attendanceId').error
+      });
+    }
+  }
+
+  const body = {
+    ...punch,
+    attendanceId,
+    checkInDateTime: status === 'i' ? deviceTime : undefined,
+    checkOutDateTime: status === 'o' ? deviceTime : undefined
+  };
+
+  const refusal = await checkPunchAccess(scope, body);
+
+  if (refusal) {
+    return outcome({
+      status: 'rejected',
+      message: refusal.message,
+      error: errorResponse(ERROR_CODES.AUTHORIZATION_ERROR, refusal.message, refusal.target).error
+    });
+  }
+
+  const result = await recordPunch(scope, body);
+
+  // The server already holds the other side of this punch: an open session
+  // for a check-in, or a closed one for a check-out
+  if (result.error) {
+    return outcome({
+      status: result.conflictAttendanceId ? 'conflict' : 'rejected',
+      attendanceId: result.conflictAttendanceId ?? null,
+      message: result.error.error.message,
+      error: result.error.error
+    });
+  }
+
+  const { message, geofence, shift } = punchSummary(result);
+
+  return outcome({
+    status: 'applied',
+    attendanceId: result.data.attendance_id,
+    message,
+    geofence,
+    shift
+  });
+};
+
+/**
+ * Upload punches recorded while the device was offline
+ * POST /api/attendance/sync
+ *
+ * Body: { punches: [{ clientId, status, deviceTime, establishmentId, workerId,
+ * estmtWorkerId, workLocation, latitude, longitude, accuracy, attendanceId?,
+ * checkInClientId? }] }
+ *
+ * Punches are applied one at a time in deviceTime order with the checkinorout
+ * rules, and each clientId only once. Every punch gets a result, in the order
+ * sent: applied, duplicate (sent before; the stored result is returned),
+ * conflict (the server already has an open session for the check-in, or the
+ * session was already checked out), rejected, or failed (server error; send
+ * it again).
+ */
+export const syncAttendance = async (req, res, next) => {
+  try {
+    const scope = req.attendanceScope;
+    const { punches } = req.body;
+
+    if (!Array.isArray(punches) || punches.length === 0) {
+      return validationError(res, 'punches must be a non-empty array', 'punches');
+    }
+
+    if (punches.length > MAX_BATCH) {
+      return validationError(res, `A batch cannot have more than ${MAX_BATCH} punches`, 'punches');
+    }
+
+    const now = new Date();
+    const results = new Array(punches.length);
+    const sessionsByClientId = new Map();
+
+    // Oldest first; punches with the same device time keep the order sent
+    const queue = [];
+
+    punches.forEach((punch, index) => {
+      const shapeError = checkShape(punch, now);
+
+      if (shapeError) {
+        results[index] = unclaimed(punch?.clientId, ...shapeError);
+      } else {
+        queue.push({ punch, index, deviceTime: new Date(punch.deviceTime) });
+      }
+    });
+
+    queue.sort((a, b) => (a.deviceTime - b.deviceTime) || (a.index - b.index));
+
+    for (const { punch, index } of queue) {
+      let claimed;
+
+      try {
+        claimed = await claim(punch);
+      } catch (error) {
+        // Unknown worker or establishment, or ids of the wrong type
+        if (['23503', '22P02'].includes(error.code)) {
+          results[index] = unclaimed(punch.clientId, 'workerId or establishmentId is not valid', 'workerId');
+          continue;
+        }
+        throw error;
+      }
+
+      const { existing } = claimed;
+
+      if (existing) {
+        // A UUID is only ever answered to the worker it was recorded for
+        if (String(existing.worker_id) !== String(punch.workerId)) {
+          results[index] = unclaimed(punch.clientId, 'clientId has already been used', 'clientId');
+        } else if (!(await canReplay(scope, existing))) {
+          // Recorded by someone else, at a site outside the caller's scope
+          results[index] = {
+            clientId: punch.clientId,
+            status: 'conflict',
+            attendanceId: null,
+            message: 'clientId has already been used',
+            error: errorResponse(ERROR_CODES.DUPLICATE_ENTRY, 'clientId has already been used', 'clientId').error
+          };
+        } else if (!existing.result) {
+          results[index] = {
+            clientId: punch.clientId,
+            status: 'failed',
+            attendanceId: null,
+            message: `This punch is still being applied; send it again in ${CLAIM_TIMEOUT_SECONDS} seconds`
+          };
+        } else {
+          results[index] = { ...existing.result, status: 'duplicate', original: existing.result.status };
+          if (existing.attendance_id) sessionsByClientId.set(punch.clientId, existing.attendance_id);
+        }
+        continue;
+      }
+
+      try {
+        const savedAttendanceId = claimed.resumed ? await findSavedPunch(punch) : null;
+
+        // Saved before the earlier upload stopped: record it, do not punch again
+        if (savedAttendanceId) {
+          const result = {
+            clientId: punch.clientId,
+            status: 'applied',
+            attendanceId: savedAttendanceId,
+            message: 'The punch was saved by an earlier upload'
+          };
+
+          await storeResult(punch.clientId, result);
+          sessionsByClientId.set(punch.clientId, savedAttendanceId);
+          results[index] = { ...result, status: 'duplicate', original: result.status };
+          continue;
+        }
+
+        const result = await applyPunch(scope, punch, sessionsByClientId);
+
+        await storeResult(punch.clientId, result);
+        if (result.attendanceId) sessionsByClientId.set(punch.clientId, result.attendanceId);
+        results[index] = result;
+      } catch (error) {
+        console.error(`❌ Attendance sync: punch ${punch.clientId} failed:`, error.message);
+        await releaseClaim(punch.clientId);
+
+        results[index] = {
+          clientId: punch.clientId,
+          status: 'failed',
+          attendanceId: null,
+          message: 'The punch could not be saved; send it again'
+        };
+      }
+    }
+
+    const counts = results.reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, { applied: 0, duplicate: 0, conflict: 0, rejected: 0, failed: 0 });
+
+    res.json(successResponse({
+      received: punches.length,
+      ...counts,
+      results
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
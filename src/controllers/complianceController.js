@@ -0,0 +1,473 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validateDate } from '../utils/validation.js';
+import { toZonedDate } from '../utils/dateTime.js';
+import {
+  COMPLIANCE_ITEMS,
+  COMPLIANCE_STATES,
+  computeComplianceScore,
+  formatComplianceRecord,
+  assessWorkerCount
+} from '../utils/compliance.js';
+
+const RECORD_SELECT = `
+  *,
+  establishment:establishment_id (establishment_name)
+`;
+
+// Supabase caps responses at 1000 rows
+const PAGE_SIZE = 1000;
+
+const today = () => toZonedDate();
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+const recordNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Compliance record not found',
+    'complianceId'
+  )
+);
+
+const fetchRecord = async (complianceId) => {
+  const { data, error } = await supabase
+    .from('compliance_record')
+    .select('*')
+    .eq('compliance_id', complianceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Restrict a compliance query to an effective state
+ */
+const filterByState = (query, state, date) => {
+  if (state === 'overdue') return query.eq('status', 'pending').lt('due_date', date);
+  if (state === 'pending') return query.eq('status', 'pending').gte('due_date', date);
+  return query.eq('status', state);
+};
+
+/**
+ * Check and save evidence on a record
+ * A document must belong to the establishment and be of the type the item
+ * accepts. New evidence on a failed record reopens it for assessment.
+ */
+const saveEvidence = async (req, res, record) => {
+  const { documentId, reference } = req.body;
+
+  if (documentId === undefined && reference === undefined) {
+    return validationError(res, 'documentId or reference is required', 'evidence');
+  }
+
+  if (record.status === 'pass') {
+    return validationError(res, 'Evidence cannot be changed on a passed record', 'status');
+  }
+
+  if (documentId) {
+    const { data: document, error } = await supabase
+      .from('document')
+      .select('document_id, owner_type, owner_id, document_type, status')
+      .eq('document_id', documentId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const expectedType = COMPLIANCE_ITEMS[record.item_type]?.evidenceDocumentType;
+
+    if (!document || document.owner_type !== 'establishment' || document.owner_id !== record.establishment_id) {
+      return validationError(res, 'documentId must be a document uploaded by this establishment', 'documentId');
+    }
+
+    if (document.status === 'rejected') {
+      return validationError(res, 'This document was rejected. Upload a new one.', 'documentId');
+    }
+
+    if (expectedType && document.document_type !== expectedType) {
+      return validationError(res, `Evidence for this item must be a ${expectedType} document`, 'documentId');
+    }
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (documentId !== undefined) updates.evidence_document_id = documentId || null;
+  if (reference !== undefined) updates.evidence_reference = (reference || '').trim() || null;
+
+  if (record.status === 'fail') {
+    Object.assign(updates, { status: 'pending', assessed_by: null, assessed_at: null });
+  }
+
+  const { data, error } = await supabase
+    .from('compliance_record')
+    .update(updates)
+    .eq('compliance_id', record.compliance_id)
+    .eq('status', record.status)
+    .select(RECORD_SELECT)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    return validationError(res, 'Record changed in the meantime. Reload and try again.', 'status');
+  }
+
+  res.json(successResponse(formatComplianceRecord(data, today())));
+};
+
+/**
+ * Mark a pending record as passed or failed
+ */
+const applyAssessment = async (req, res, outcome) => {
+  const record = await fetchRecord(req.params.complianceId);
+  if (!record) return recordNotFound(res);
+
+  if (COMPLIANCE_ITEMS[record.item_type]?.automatic) {
+    return validationError(res, 'This item is assessed automatically. Use the check action instead.', 'itemType');
+  }
+
+  if (record.status !== 'pending') {
+    return validationError(res, `Record is already assessed as ${record.status}`, 'status');
+  }
+
+  const remarks = (req.body.remarks || '').trim();
+  if (outcome === 'fail' && !remarks) {
+    return validationError(res, 'Remarks are required', 'remarks');
+  }
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('compliance_record')
+    .update({
+      status: outcome,
+      remarks: remarks || null,
+      assessed_by: req.user.id,
+      assessed_at: now,
+      updated_at: now
+    })
+    .eq('compliance_id', record.compliance_id)
+    .eq('status', 'pending') // another reviewer may have acted meanwhile
+    .select(RECORD_SELECT)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    return validationError(res, 'Record changed in the meantime. Reload and try again.', 'status');
+  }
+
+  res.json(successResponse(formatComplianceRecord(data, today())));
+};
+
+/**
+ * Get compliance records
+ * GET /api/department/compliance
+ *
+ * Filters: establishmentId, itemType, status (pending | overdue | pass | fail).
+ * Earliest due first.
+ */
+export const getComplianceRecords = async (req, res, next) => {
+  try {
+    const { establishmentId, itemType, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (status && !COMPLIANCE_STATES.includes(status)) {
+      return validationError(res, `status must be one of: ${COMPLIANCE_STATES.join(', ')}`, 'status');
+    }
+
+    const date = today();
+
+    let query = supabase
+      .from('compliance_record')
+      .select(RECORD_SELECT)
+      .order('due_date', { ascending: true })
+      .order('compliance_id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (establishmentId) query = query.eq('establishment_id', establishmentId);
+    if (itemType) query = query.eq('item_type', itemType);
+    if (status) query = filterByState(query, status, date);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(row => formatComplianceRecord(row, date))));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get compliance scores per establishment (lowest first)
+ * GET /api/department/dashboard/compliance
+ */
+export const getComplianceScores = async (req, res, next) => {
+  try {
+    const { districtId } = req.query;
+
+    // Every record counts towards a score, so read them page by page
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('compliance_record')
+        .select(`
+          compliance_id,
+          establishment_id,
+          status,
+          due_date,
+          establishment:establishment_id!inner (establishment_name, district_id)
+        `)
+        .order('compliance_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (districtId) query = query.eq('establishment.district_id', districtId);
+
+      const { data: page, error } = await query;
+
+      if (error) throw error;
+
+      rows.push(...page);
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    const date = today();
+    const byEstablishment = new Map();
+
+    rows.forEach(row => {
+      if (!byEstablishment.has(row.establishment_id)) {
+        byEstablishment.set(row.establishment_id, { name: row.establishment?.establishment_name, records: [] });
+      }
+      byEstablishment.get(row.establishment_id).records.push(row);
+    });
+
+    const establishments = [...byEstablishment.entries()]
+      .map(([establishmentId, { name, records }]) => ({
+        establishmentId,
+        establishmentName: name,
+        ...computeComplianceScore(records, date)
+      }))
+      // Unscored establishments last
+      .sort((a, b) => (a.score ?? 101) - (b.score ?? 101));
+
+    const scored = establishments.filter(e => e.score !== null);
+
+    res.json(successResponse({
+      summary: {
+        establishments: establishments.length,
+        averageScore: scored.length > 0
+          ? Math.round(scored.reduce((sum, e) => sum + e.score, 0) / scored.length)
+          : null,
+        fullyCompliant: scored.filter(e => e.score === 100).length,
+        overdueItems: establishments.reduce((sum, e) => sum + e.overdue, 0)
+      },
+      establishments
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a compliance item for an establishment
+ * POST /api/department/establishments/:establishmentId/compliance
+ */
+export const createComplianceRecord = async (req, res, next) => {
+  try {
+    const { establishmentId } = req.params;
+    const { itemType, dueDate, period, reference } = req.body;
+
+    if (!COMPLIANCE_ITEMS[itemType] || COMPLIANCE_ITEMS[itemType].fromInspection) {
+      const allowed = Object.keys(COMPLIANCE_ITEMS).filter(key => !COMPLIANCE_ITEMS[key].fromInspection);
+      return validationError(res, `itemType must be one of: ${allowed.join(', ')}`, 'itemType');
+    }
+
+    if (!dueDate || !validateDate(dueDate)) {
+      return validationError(res, 'A valid dueDate is required', 'dueDate');
+    }
+
+    if (period && String(period).length > 20) {
+      return validationError(res, 'period must be at most 20 characters', 'period');
+    }
+
+    const { data: establishment, error: estError } = await supabase
+      .from('establishment')
+      .select('establishment_id')
+      .eq('establishment_id', establishmentId)
+      .maybeSingle();
+
+    if (estError) throw estError;
+
+    if (!establishment) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('compliance_record')
+      .insert({
+        establishment_id: establishment.establishment_id,
+        item_type: itemType,
+        period: period ? String(period).trim() : '',
+        due_date: dueDate,
+        evidence_reference: (reference || '').trim() || null,
+        created_by: req.user.id
+      })
+      .select(RECORD_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(
+          errorResponse(
+            ERROR_CODES.DUPLICATE_ENTRY,
+            'This item is already tracked for the establishment and period',
+            'period'
+          )
+        );
+      }
+      throw error;
+    }
+
+    res.status(201).json(successResponse(formatComplianceRecord(data, today())));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach evidence to a compliance record (department)
+ * PUT /api/department/compliance/:complianceId/evidence
+ */
+export const updateComplianceEvidence = async (req, res, next) => {
+  try {
+    const record = await fetchRecord(req.params.complianceId);
+    if (!record) return recordNotFound(res);
+
+    await saveEvidence(req, res, record);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a compliance record as passed
+ * PUT /api/department/compliance/:complianceId/pass
+ */
+export const passComplianceRecord = async (req, res, next) => {
+  try {
+    await applyAssessment(req, res, 'pass');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a compliance record as failed (remarks required)
+ * PUT /api/department/compliance/:complianceId/fail
+ */
+export const failComplianceRecord = async (req, res, next) => {
+  try {
+    await applyAssessment(req, res, 'fail');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-run an automatic check (declared vs actual workers)
+ * PUT /api/department/compliance/:complianceId/check
+ */
+export const checkComplianceRecord = async (req, res, next) => {
+  try {
+    const record = await fetchRecord(req.params.complianceId);
+    if (!record) return recordNotFound(res);
+
+    if (!COMPLIANCE_ITEMS[record.item_type]?.automatic) {
+      return validationError(res, 'Only automatic items can be checked. Use pass or fail instead.', 'itemType');
+    }
+
+    const assessment = await assessWorkerCount(record.establishment_id);
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('compliance_record')
+      .update({
+        ...assessment,
+        assessed_by: req.user.id,
+        assessed_at: now,
+        updated_at: now
+      })
+      .eq('compliance_id', record.compliance_id)
+      .select(RECORD_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.json(successResponse(formatComplianceRecord(data, today())));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an establishment's own compliance records and score
+ * GET /api/establishment/:establishmentId/compliance
+ */
+export const getEstablishmentCompliance = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('compliance_record')
+      .select(RECORD_SELECT)
+      .eq('establishment_id', req.params.establishmentId)
+      .order('due_date', { ascending: true });
+
+    if (error) throw error;
+
+    const date = today();
+
+    res.json(successResponse({
+      ...computeComplianceScore(data || [], date),
+      records: (data || []).map(row => formatComplianceRecord(row, date))
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach evidence to one of the establishment's own compliance records
+ * PUT /api/establishment/:establishmentId/compliance/:complianceId/evidence
+ */
+export const submitComplianceEvidence = async (req, res, next) => {
+  try {
+    const record = await fetchRecord(req.params.complianceId);
+
+    if (!record || String(record.establishment_id) !== String(req.params.establishmentId)) {
+      return recordNotFound(res);
+    }
+
+    await saveEvidence(req, res, record);
+  } catch (error) {
+    next(error);
+  }
+};
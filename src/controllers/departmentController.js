@@ -1,6 +1,14 @@
 import { supabase } from '../config/supabase.js';
 import { comparePassword, generateToken } from '../middleware/auth.js';
 import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { presentAadhaar } from '../utils/aadhaar.js';
+import { parseBoundingBox } from '../utils/geo.js';
+import { zonedDayBounds, isValidTimeZone } from '../utils/dateTime.js';
+import { isPrivilegedRole } from '../utils/departmentRoles.js';
+
+const DEFAULT_MAP_GRID = 40;
+const MAX_MAP_GRID = 200;
+const WHOLE_MAP = { minLat: -90, minLng: -180, maxLat: 90, maxLng: 180 };
 
 async function showTableColumns() {
   const { data, error } = await supabase
@@ -37,6 +45,35 @@ export const registerDepartment = async (req, res, next) => {
       );
     }
 
+    // Privileged roles are given out by an administrator, never self-selected
+    const { data: role, error: roleError } = await supabase
+      .from('department_role')
+      .select('department_role_id, role_name')
+      .eq('department_role_id', departmentRoleId)
+      .maybeSingle();
+
+    if (roleError) throw roleError;
+
+    if (!role) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Department role not found',
+          'departmentRoleId'
+        )
+      );
+    }
+
+    if (isPrivilegedRole(role.role_name)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'This department role is assigned by an administrator and cannot be chosen at registration',
+          'departmentRoleId'
+        )
+      );
+    }
+
     // Split full name into first and last name
     const nameParts = fullName.trim().split(' ');
     const firstName = nameParts[0];
@@ -96,6 +133,7 @@ export const registerDepartment = async (req, res, next) => {
       emailId: newUser.email_id,
       contactNumber: newUser.contact_number,
       departmentRoleId: newUser.department_role_id,
+      districtId: newUser.district_id,
       status: newUser.status,
       token
     };
@@ -233,19 +271,21 @@ export const loginDepartment = async (req, res, next) => {
  */
 export const getDepartmentCardDetails = async (req, res, next) => {
   try {
-    // Total workers in system
+    // Approved workers (those still under review cannot be present or absent)
     const { count: totalWorkers } = await supabase
       .from('worker')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'approved');
 
-    // Today's date for attendance queries
-    const today = new Date().toISOString().split('T')[0];
+    // Today in APP_TIME_ZONE for attendance queries
+    const today = zonedDayBounds();
 
     // Present workers today
     const { count: presentWorkers } = await supabase
       .from('attendance')
       .select('worker_id', { count: 'exact', head: true })
-      .gte('check_in_date_time', `${today}T00:00:00`)
+      .gte('check_in_date_time', today.start)
+      .lt('check_in_date_time', today.end)
       .eq('status', 'i');
 
     // Absent workers (total - present)
@@ -262,7 +302,8 @@ export const getDepartmentCardDetails = async (req, res, next) => {
     const { count: loggedOutWorkers } = await supabase
       .from('attendance')
       .select('*', { count: 'exact', head: true })
-      .gte('check_in_date_time', `${today}T00:00:00`)
+      .gte('check_in_date_time', today.start)
+      .lt('check_in_date_time', today.end)
       .eq('status', 'o');
 
     // New workers in establishment_worker table (last 7 days)
@@ -340,7 +381,7 @@ export const getAllWorkers = async (req, res, next) => {
 
     let query = supabase
       .from('worker')
-      .select('worker_id, full_name, aadhaar_number, mobile_number, email_id, status, created_at')
+      .select('worker_id, full_name, aadhaar_number, aadhaar_encrypted, aadhaar_last4, mobile_number, email_id, status, created_at')
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -352,7 +393,7 @@ export const getAllWorkers = async (req, res, next) => {
 
     if (error) throw error;
 
-    res.json(successResponse(workers || []));
+    res.json(successResponse((workers || []).map(w => presentAadhaar(w, req))));
 
   } catch (error) {
     next(error);
@@ -360,115 +401,121 @@ export const getAllWorkers = async (req, res, next) => {
 };
 
 /**
- * Get compliance records
- * GET /api/department/compliance
+ * Set the time zone an establishment's calendar days are counted in
+ * PUT /api/department/establishments/:establishmentId/time-zone
+ *
+ * Body: { timeZone: IANA name such as "Asia/Kolkata", or null for APP_TIME_ZONE }
  */
-export const getComplianceRecords = async (req, res, next) => {
+export const setEstablishmentTimeZone = async (req, res, next) => {
   try {
-    // TODO: Implement when compliance tracking table is added to database
-    // For now, return empty array to prevent frontend errors
-    // Future: Add compliance_records table with inspection data
-    res.json(successResponse([]));
+    const { timeZone } = req.body;
+
+    if (timeZone !== null && (typeof timeZone !== 'string' || !timeZone || !isValidTimeZone(timeZone))) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'timeZone must be an IANA time zone such as "Asia/Kolkata", or null',
+          'timeZone'
+        )
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('establishment')
+      .update({ time_zone: timeZone })
+      .eq('establishment_id', req.params.establishmentId)
+      .select('establishment_id, establishment_name, time_zone')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      establishmentId: data.establishment_id,
+      establishmentName: data.establishment_name,
+      timeZone: data.time_zone
+    }));
+
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get applications for review (pending workers and establishments)
- * GET /api/department/applications
+ * Set the district a department user works in (department admins only)
+ * PUT /api/department/users/:departmentUserId/district
+ *
+ * Body: { "districtId": 10 } or { "districtId": null }. Attendance is limited
+ * to establishments in that district; without one a department user sees no
+ * attendance unless their role is statewide.
  */
-export const getApplicationsForReview = async (req, res, next) => {
+export const setDepartmentUserDistrict = async (req, res, next) => {
   try {
-    const { type, status, limit = 100, offset = 0 } = req.query;
-
-    let applications = [];
-
-    // Get pending workers
-    if (!type || type === 'worker') {
-      const { data: workers, error: workerError } = await supabase
-        .from('worker')
-        .select('worker_id, full_name, aadhaar_number, mobile_number, email_id, status, created_at')
-        .eq('status', status || 'active')
-        .order('created_at', { ascending: false })
-        .range(offset, offset + Math.floor(limit / 2) - 1);
-
-      if (!workerError && workers) {
-        applications = applications.concat(
-          workers.map(w => ({
-            id: `W${w.worker_id}`,
-            type: 'worker',
-            applicantName: w.full_name,
-            registrationId: `WK${w.worker_id}`,
-            submissionDate: w.created_at,
-            status: w.status === 'active' ? 'approved' : 'pending',
-            priority: 'medium',
-            contactInfo: {
-              mobile: w.mobile_number?.toString(),
-              email: w.email_id
-            },
-            documents: {
-              total: 4,
-              verified: w.status === 'active' ? 4 : 2,
-              pending: w.status === 'active' ? 0 : 2,
-              rejected: 0
-            }
-          }))
-        );
-      }
+    const { districtId } = req.body;
+
+    if (districtId !== null && !(Number.isInteger(Number(districtId)) && Number(districtId) > 0)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'districtId must be a district id, or null',
+          'districtId'
+        )
+      );
     }
 
-    // Get pending establishments
-    if (!type || type === 'establishment') {
-      const { data: establishments, error: estError } = await supabase
-        .from('establishment')
-        .select(`
-          establishment_id,
-          establishment_name,
-          contact_person,
-          mobile_number,
-          email_id,
-          status,
-          created_at,
-          district:district_id (district_name),
-          city:city_id (city_name)
-        `)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + Math.floor(limit / 2) - 1);
-
-      if (!estError && establishments) {
-        applications = applications.concat(
-          establishments.map(e => ({
-            id: `E${e.establishment_id}`,
-            type: 'establishment',
-            applicantName: e.establishment_name,
-            registrationId: `EST${e.establishment_id}`,
-            submissionDate: e.created_at,
-            status: e.status,
-            priority: e.status === 'pending' ? 'high' : 'medium',
-            contactInfo: {
-              mobile: e.mobile_number?.toString(),
-              email: e.email_id
-            },
-            location: {
-              district: e.district?.district_name || '',
-              mandal: e.city?.city_name || ''
-            },
-            documents: {
-              total: 6,
-              verified: e.status === 'active' ? 6 : 4,
-              pending: e.status === 'pending' ? 2 : 0,
-              rejected: 0
-            }
-          }))
+    if (districtId !== null) {
+      const { data: district, error: districtError } = await supabase
+        .from('district')
+        .select('district_id')
+        .eq('district_id', districtId)
+        .maybeSingle();
+
+      if (districtError) throw districtError;
+
+      if (!district) {
+        return res.status(404).json(
+          errorResponse(
+            ERROR_CODES.NOT_FOUND,
+            'District not found',
+            'districtId'
+          )
         );
       }
     }
 
-    // Sort by submission date (newest first)
-    applications.sort((a, b) => new Date(b.submissionDate) - new Date(a.submissionDate));
+    const { data, error } = await supabase
+      .from('department_user')
+      .update({ district_id: districtId })
+      .eq('department_user_id', req.params.departmentUserId)
+      .select('department_user_id, email_id, district_id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Department user not found',
+          'departmentUserId'
+        )
+      );
+    }
 
-    res.json(successResponse(applications));
+    res.json(successResponse({
+      departmentUserId: data.department_user_id,
+      emailId: data.email_id,
+      districtId: data.district_id
+    }));
 
   } catch (error) {
     next(error);
@@ -476,86 +523,147 @@ export const getApplicationsForReview = async (req, res, next) => {
 };
 
 /**
- * Get documents for verification
- * GET /api/department/documents
+ * Grant or revoke full Aadhaar access for a department user (department admins only)
+ * PUT /api/department/users/:departmentUserId/aadhaar-access
+ *
+ * Body: { "allowed": true | false }. Admins cannot grant it to themselves.
  */
-export const getDocumentsForVerification = async (req, res, next) => {
+export const setDepartmentUserAadhaarAccess = async (req, res, next) => {
   try {
-    // TODO: Implement when document management/storage is added
-    // For now, return empty array to prevent frontend errors
-    // Future: Add documents table or integrate with Supabase Storage
-    res.json(successResponse([]));
+    const { allowed } = req.body;
+
+    if (typeof allowed !== 'boolean') {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'allowed must be true or false',
+          'allowed'
+        )
+      );
+    }
+
+    if (allowed && String(req.params.departmentUserId) === String(req.user.id)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'You cannot grant full Aadhaar access to yourself',
+          'departmentUserId'
+        )
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('department_user')
+      .update({
+        can_view_full_aadhaar: allowed,
+        aadhaar_access_granted_by: allowed ? req.user.id : null,
+        aadhaar_access_granted_at: allowed ? new Date().toISOString() : null
+      })
+      .eq('department_user_id', req.params.departmentUserId)
+      .select('department_user_id, email_id, can_view_full_aadhaar, aadhaar_access_granted_by, aadhaar_access_granted_at')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Department user not found',
+          'departmentUserId'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      departmentUserId: data.department_user_id,
+      emailId: data.email_id,
+      canViewFullAadhaar: data.can_view_full_aadhaar,
+      grantedBy: data.aadhaar_access_granted_by,
+      grantedAt: data.aadhaar_access_granted_at
+    }));
+
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get active locations (workers and establishments for map display)
- * GET /api/department/locations
+ * Get active locations (establishments and checked-in workers for map display)
+ * GET /api/department/locations?bbox=minLng,minLat,maxLng,maxLat&districtId=&type=&grid=
+ *
+ * Points are clustered in the database on a grid of `grid` cells across the
+ * wider side of the box (default 40). A cell with one point is returned as
+ * that establishment or worker; busier cells as a cluster with a count.
  */
 export const getActiveLocations = async (req, res, next) => {
   try {
-    let locations = [];
+    const { bbox, districtId, type } = req.query;
+    const grid = Math.min(Math.max(parseInt(req.query.grid) || DEFAULT_MAP_GRID, 1), MAX_MAP_GRID);
 
-    // Get currently checked-in workers with their locations
-    const { data: checkedInWorkers, error: workerError } = await supabase
-      .from('attendance')
-      .select(`
-        attendance_id,
-        work_location,
-        check_in_date_time,
-        worker:worker_id (
-          worker_id,
-          full_name
+    const box = bbox ? parseBoundingBox(bbox) : WHOLE_MAP;
+    if (!box) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'bbox must be "minLng,minLat,maxLng,maxLat"',
+          'bbox'
         )
-      `)
-      .eq('status', 'i')
-      .is('check_out_date_time', null)
-      .limit(50);
-
-    if (!workerError && checkedInWorkers) {
-      // For workers, we don't have exact lat/long in current schema
-      // Return placeholder data for now
-      // TODO: Add latitude/longitude to attendance table or worker location tracking
-      checkedInWorkers.forEach((attendance, index) => {
-        if (attendance.worker) {
-          locations.push({
-            id: `worker-${attendance.worker.worker_id}`,
-            name: attendance.worker.full_name,
-            latitude: 17.3850 + (Math.random() - 0.5) * 0.1, // Placeholder around Hyderabad
-            longitude: 78.4867 + (Math.random() - 0.5) * 0.1,
-            type: 'worker',
-            status: 'checked-in',
-            lastUpdate: attendance.check_in_date_time,
-            workLocation: attendance.work_location
-          });
-        }
-      });
+      );
     }
 
-    // Get active establishments (without exact location data for now)
-    const { data: establishments, error: estError } = await supabase
-      .from('establishment')
-      .select('establishment_id, establishment_name, status')
-      .eq('status', 'active')
-      .limit(20);
-
-    if (!estError && establishments) {
-      // TODO: Add latitude/longitude to establishment table for accurate map display
-      establishments.forEach((est, index) => {
-        locations.push({
-          id: `establishment-${est.establishment_id}`,
-          name: est.establishment_name,
-          latitude: 17.3800 + (Math.random() - 0.5) * 0.1, // Placeholder
-          longitude: 78.4800 + (Math.random() - 0.5) * 0.1,
-          type: 'establishment',
-          status: 'online',
-          lastUpdate: new Date().toISOString()
-        });
-      });
+    if (type && !['worker', 'establishment'].includes(type)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'type must be worker or establishment',
+          'type'
+        )
+      );
     }
 
+    const span = Math.max(box.maxLat - box.minLat, box.maxLng - box.minLng);
+
+    const { data, error } = await supabase.rpc('map_location_clusters', {
+      p_min_lat: box.minLat,
+      p_min_lng: box.minLng,
+      p_max_lat: box.maxLat,
+      p_max_lng: box.maxLng,
+      p_cell_size: span > 0 ? span / grid : 0.000001,
+      p_district_id: districtId ? parseInt(districtId) : null
+    });
+
+    if (error) throw error;
+
+    const locations = (data || [])
+      .filter(cell => !type || cell.item_type === type)
+      .map(cell => {
+        const latitude = Number(cell.latitude);
+        const longitude = Number(cell.longitude);
+
+        if (Number(cell.point_count) > 1) {
+          return {
+            id: `cluster-${cell.item_type}-${latitude}-${longitude}`,
+            type: 'cluster',
+            itemType: cell.item_type,
+            count: Number(cell.point_count),
+            latitude,
+            longitude,
+            lastUpdate: cell.last_update
+          };
+        }
+
+        return {
+          id: `${cell.item_type}-${cell.item_id}`,
+          name: cell.item_name,
+          latitude,
+          longitude,
+          type: cell.item_type,
+          status: cell.item_type === 'worker' ? 'checked-in' : 'online',
+          lastUpdate: cell.last_update
+        };
+      });
+
     res.json(successResponse(locations));
 
   } catch (error) {
@@ -0,0 +1,299 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { toDependentRow, formatDependent, validateDependents } from '../utils/dependents.js';
+
+/**
+ * Load the worker a dependents request is about, or send a 404
+ */
+const loadWorker = async (req, res) => {
+  const { data: worker, error } = await supabase
+    .from('worker')
+    .select('worker_id, date_of_birth')
+    .eq('worker_id', req.params.workerId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!worker) {
+    res.status(404).json(
+      errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        'Worker not found',
+        'workerId'
+      )
+    );
+  }
+
+  return worker;
+};
+
+const loadDependents = async (workerId) => {
+  const { data, error } = await supabase
+    .from('worker_dependents')
+    .select('*')
+    .eq('worker_id', workerId)
+    .order('dependent_id');
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Send the dependent rule violations, if any; returns true when sent
+ */
+const rejectInvalidDependents = (res, rows, worker) => {
+  const errors = validateDependents(rows, worker.date_of_birth);
+  if (errors.length === 0) return false;
+
+  res.status(400).json(
+    errorResponse(
+      ERROR_CODES.VALIDATION_ERROR,
+      errors[0].message,
+      errors[0].field,
+      errors
+    )
+  );
+  return true;
+};
+
+const dependentNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Dependent not found',
+    'dependentId'
+  )
+);
+
+/**
+ * Send the answer for an error raised by the dependents functions
+ * (db/migrations/024_replace_worker_dependents_function.sql); returns true
+ * when sent
+ */
+const rejectDependentsConflict = (res, error) => {
+  // A dependent removed meanwhile (P0002), or shares changed by another
+  // save so the total is no longer 100 (23514)
+  if (!['P0002', '23514'].includes(error.code)) return false;
+
+  res.status(400).json(
+    errorResponse(
+      ERROR_CODES.VALIDATION_ERROR,
+      'Dependents changed in the meantime. Reload and try again.',
+      'dependentId'
+    )
+  );
+  return true;
+};
+
+/**
+ * Add, update (row and dependentId) or remove (row null) one dependent,
+ * under the worker's lock; resolves to the row, or null once an error
+ * answer was sent
+ */
+const changeDependent = async (res, workerId, dependentId, row) => {
+  const { data, error } = await supabase
+    .rpc('change_worker_dependent', {
+      p_worker_id: workerId,
+      p_dependent_id: dependentId,
+      p_dependent: row
+    });
+
+  if (error) {
+    if (rejectDependentsConflict(res, error)) return null;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get a worker's dependents
+ * GET /api/worker/:workerId/dependents
+ */
+export const getWorkerDependents = async (req, res, next) => {
+  try {
+    const worker = await loadWorker(req, res);
+    if (!worker) return;
+
+    const dependents = await loadDependents(worker.worker_id);
+
+    res.json(successResponse(dependents.map(formatDependent)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a worker's full list of dependents
+ * PUT /api/worker/:workerId/dependents
+ *
+ * Dependents with a dependentId are updated, those without are added and
+ * stored dependents missing from the list are removed. Use this to move
+ * nominee shares around, since every change must keep the total at 100.
+ */
+export const replaceWorkerDependents = async (req, res, next) => {
+  try {
+    const { dependents } = req.body;
+
+    if (!Array.isArray(dependents)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'dependents must be an array',
+          'dependents'
+        )
+      );
+    }
+
+    const worker = await loadWorker(req, res);
+    if (!worker) return;
+
+    const existing = await loadDependents(worker.worker_id);
+    const existingIds = new Set(existing.map(d => String(d.dependent_id)));
+
+    const unknownIds = dependents
+      .filter(dep => dep.dependentId && !existingIds.has(String(dep.dependentId)))
+      .map(dep => dep.dependentId);
+
+    if (unknownIds.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Dependents do not belong to this worker: ${unknownIds.join(', ')}`,
+          'dependentId',
+          unknownIds
+        )
+      );
+    }
+
+    // The same dependent twice would count its share twice
+    const listedIds = dependents.filter(dep => dep.dependentId).map(dep => String(dep.dependentId));
+    const repeatedIds = [...new Set(listedIds.filter((id, index) => listedIds.indexOf(id) !== index))];
+
+    if (repeatedIds.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Dependents are listed more than once: ${repeatedIds.join(', ')}`,
+          'dependentId',
+          repeatedIds
+        )
+      );
+    }
+
+    const rows = dependents.map(dep => toDependentRow(dep, worker.worker_id));
+    if (rejectInvalidDependents(res, rows, worker)) return;
+
+    // Removed, updated and added in one transaction
+    // (db/migrations/024_replace_worker_dependents_function.sql)
+    const { data: saved, error } = await supabase
+      .rpc('replace_worker_dependents', {
+        p_worker_id: worker.worker_id,
+        p_dependents: rows.map((row, index) => ({
+          ...row,
+          dependent_id: dependents[index].dependentId ? parseInt(dependents[index].dependentId) : null
+        }))
+      });
+
+    if (error) {
+      if (rejectDependentsConflict(res, error)) return;
+      throw error;
+    }
+
+    res.json(successResponse({
+      message: 'Dependents saved successfully',
+      dependents: saved.map(formatDependent)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a dependent
+ * POST /api/worker/:workerId/dependents
+ */
+export const addWorkerDependent = async (req, res, next) => {
+  try {
+    const worker = await loadWorker(req, res);
+    if (!worker) return;
+
+    const existing = await loadDependents(worker.worker_id);
+    const row = toDependentRow(req.body, worker.worker_id);
+
+    if (rejectInvalidDependents(res, [...existing, row], worker)) return;
+
+    const dependent = await changeDependent(res, worker.worker_id, null, row);
+    if (!dependent) return;
+
+    res.status(201).json(successResponse({
+      message: 'Dependent added successfully',
+      dependent: formatDependent(dependent)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a dependent
+ * PUT /api/worker/:workerId/dependents/:dependentId
+ */
+export const updateWorkerDependent = async (req, res, next) => {
+  try {
+    const worker = await loadWorker(req, res);
+    if (!worker) return;
+
+    const existing = await loadDependents(worker.worker_id);
+    const current = existing.find(d => String(d.dependent_id) === String(req.params.dependentId));
+    if (!current) return dependentNotFound(res);
+
+    // Fields not sent keep their stored value
+    const row = toDependentRow({ ...formatDependent(current), ...req.body }, worker.worker_id);
+    const rows = existing.map(d => (d === current ? row : d));
+
+    if (rejectInvalidDependents(res, rows, worker)) return;
+
+    const dependent = await changeDependent(res, worker.worker_id, current.dependent_id, row);
+    if (!dependent) return;
+
+    res.json(successResponse({
+      message: 'Dependent updated successfully',
+      dependent: formatDependent(dependent)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a dependent
+ * DELETE /api/worker/:workerId/dependents/:dependentId
+ */
+export const deleteWorkerDependent = async (req, res, next) => {
+  try {
+    const worker = await loadWorker(req, res);
+    if (!worker) return;
+
+    const existing = await loadDependents(worker.worker_id);
+    const current = existing.find(d => String(d.dependent_id) === String(req.params.dependentId));
+    if (!current) return dependentNotFound(res);
+
+    const rows = existing.filter(d => d !== current);
+    if (rejectInvalidDependents(res, rows, worker)) return;
+
+    const removed = await changeDependent(res, worker.worker_id, current.dependent_id, null);
+    if (!removed) return;
+
+    res.json(successResponse({
+      message: 'Dependent removed successfully',
+      dependentId: current.dependent_id
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
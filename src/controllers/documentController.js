@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { DOCUMENT_TYPES, FILE_EXTENSIONS, detectMimeType, formatDocument } from '../utils/documents.js';
+import { getDocumentStorage } from '../utils/documentStorage.js';
+import { canViewFullAadhaar } from '../utils/aadhaar.js';
+
+const OWNER_TABLES = {
+  worker: { table: 'worker', idColumn: 'worker_id', param: 'workerId' },
+  establishment: { table: 'establishment', idColumn: 'establishment_id', param: 'establishmentId' }
+};
+
+const documentNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Document not found',
+    'documentId'
+  )
+);
+
+const fetchDocument = async (documentId) => {
+  const { data, error } = await supabase
+    .from('document')
+    .select('*')
+    .eq('document_id', documentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Check the upload and store it for a worker or establishment
+ */
+const saveUpload = async (req, res, ownerType) => {
+  const owner = OWNER_TABLES[ownerType];
+  const ownerId = parseInt(req.params[owner.param]);
+  const { documentType } = req.body;
+  const type = DOCUMENT_TYPES[documentType];
+
+  if (!type || !type.owners.includes(ownerType)) {
+    const allowed = Object.keys(DOCUMENT_TYPES).filter(key => DOCUMENT_TYPES[key].owners.includes(ownerType));
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        `documentType must be one of: ${allowed.join(', ')}`,
+        'documentType'
+      )
+    );
+  }
+
+  if (!req.file || req.file.size === 0) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        'A non-empty file is required in the "file" field',
+        'file'
+      )
+    );
+  }
+
+  // Judge the file by its content, not the name or declared type
+  const mimeType = detectMimeType(req.file.buffer);
+  if (!mimeType || !type.mimeTypes.includes(mimeType)) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        `${type.label} must be one of: ${type.mimeTypes.join(', ')}`,
+        'file'
+      )
+    );
+  }
+
+  const { data: ownerRow, error: ownerError } = await supabase
+    .from(owner.table)
+    .select(owner.idColumn)
+    .eq(owner.idColumn, ownerId)
+    .maybeSingle();
+
+  if (ownerError) throw ownerError;
+
+  if (!ownerRow) {
+    return res.status(404).json(
+      errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        `${ownerType === 'worker' ? 'Worker' : 'Establishment'} not found`,
+        owner.param
+      )
+    );
+  }
+
+  const storage = getDocumentStorage();
+  const storageKey = `${ownerType}/${ownerId}/${uuidv4()}${FILE_EXTENSIONS[mimeType]}`;
+
+  await storage.save(storageKey, req.file.buffer, mimeType);
+
+  const { data: document, error } = await supabase
+    .from('document')
+    .insert({
+      owner_type: ownerType,
+      owner_id: ownerId,
+      document_type: documentType,
+      file_name: path.basename(req.file.originalname || `document${FILE_EXTENSIONS[mimeType]}`).slice(0, 255),
+      mime_type: mimeType,
+      size_bytes: req.file.size,
+      checksum_sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+      storage_backend: storage.name,
+      storage_key: storageKey,
+      uploaded_by_type: req.user.type,
+      uploaded_by_id: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Don't leave an unreferenced file behind
+    await storage.remove(storageKey).catch(removeError =>
+      console.error('Failed to remove orphaned document file:', removeError)
+    );
+    throw error;
+  }
+
+  res.status(201).json(successResponse({
+    message: 'Document uploaded successfully',
+    document: formatDocument(document)
+  }));
+};
+
+/**
+ * List the documents of a worker or establishment
+ */
+const listOwnerDocuments = async (req, res, ownerType) => {
+  const ownerId = parseInt(req.params[OWNER_TABLES[ownerType].param]);
+
+  const { data, error } = await supabase
+    .from('document')
+    .select('*')
+    .eq('owner_type', ownerType)
+    .eq('owner_id', ownerId)
+    .order('uploaded_at', { ascending: false });
+
+  if (error) throw error;
+
+  res.json(successResponse((data || []).map(formatDocument)));
+};
+
+/**
+ * Upload a worker document (multipart: file, documentType)
+ * POST /api/worker/:workerId/documents
+ */
+export const uploadWorkerDocument = async (req, res, next) => {
+  try {
+    await saveUpload(req, res, 'worker');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a worker's documents
+ * GET /api/worker/:workerId/documents
+ */
+export const getWorkerDocuments = async (req, res, next) => {
+  try {
+    await listOwnerDocuments(req, res, 'worker');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an establishment document (multipart: file, documentType)
+ * POST /api/establishment/:establishmentId/documents
+ */
+export const uploadEstablishmentDocument = async (req, res, next) => {
+  try {
+    await saveUpload(req, res, 'establishment');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an establishment's documents
+ * GET /api/establishment/:establishmentId/documents
+ */
+export const getEstablishmentDocuments = async (req, res, next) => {
+  try {
+    await listOwnerDocuments(req, res, 'establishment');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a document file
+ * GET /api/worker/:workerId/documents/:documentId/file
+ * GET /api/establishment/:establishmentId/documents/:documentId/file
+ * GET /api/department/documents/:documentId/file
+ *
+ * Department users can read any document, others only their own. An Aadhaar
+ * copy shows the full number, so department users need the full-Aadhaar
+ * grant (loadAadhaarAccess) to read one.
+ */
+export const downloadDocument = async (req, res, next) => {
+  try {
+    const document = await fetchDocument(req.params.documentId);
+    if (!document) return documentNotFound(res);
+
+    const isDepartment = req.user.type === 'department';
+    const isOwner = document.owner_type === req.user.type && document.owner_id === req.user.id;
+
+    // Owner routes also carry the owner id; it must match the document
+    const ownerParam = OWNER_TABLES[document.owner_type].param;
+    const matchesRoute = !req.params[ownerParam] || parseInt(req.params[ownerParam]) === document.owner_id;
+
+    if (!matchesRoute || (!isDepartment && !isOwner)) {
+      return documentNotFound(res);
+    }
+
+    if (isDepartment && document.document_type === 'aadhaar_copy' && !canViewFullAadhaar(req)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'Viewing an Aadhaar copy needs full Aadhaar access',
+          'documentId'
+        )
+      );
+    }
+
+    const file = await getDocumentStorage(document.storage_backend).read(document.storage_key);
+
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Length': file.length,
+      'Content-Disposition': `inline; filename="${document.file_name.replace(/[^\w.\- ]/g, '_')}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get documents for verification
+ * GET /api/department/documents?status=pending&ownerType=&documentType=&limit=&offset=
+ */
+export const getDocumentsForVerification = async (req, res, next) => {
+  try {
+    const { status = 'pending', ownerType, documentType, limit = 100, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('document')
+      .select('*')
+      .order('uploaded_at', { ascending: true })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (ownerType) query = query.eq('owner_type', ownerType);
+    if (documentType) query = query.eq('document_type', documentType);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatDocument)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a department decision on a pending document
+ */
+const reviewDocument = async (req, res, status) => {
+  const remarks = (req.body.remarks || req.body.reason || '').trim();
+
+  if (status === 'rejected' && !remarks) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        'A reason is required to reject a document',
+        'reason'
+      )
+    );
+  }
+
+  const document = await fetchDocument(req.params.documentId);
+  if (!document) return documentNotFound(res);
+
+  if (document.status !== 'pending') {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Document has already been ${document.status}`,
+        'status'
+      )
+    );
+  }
+
+  const { data: reviewed, error } = await supabase
+    .from('document')
+    .update({
+      status,
+      review_remarks: remarks || null,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('document_id', document.document_id)
+    .eq('status', 'pending') // a concurrent review wins once
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!reviewed) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        'Document was reviewed by someone else in the meantime',
+        'status'
+      )
+    );
+  }
+
+  res.json(successResponse({
+    message: status === 'verified' ? 'Document verified' : 'Document rejected',
+    document: formatDocument(reviewed)
+  }));
+};
+
+/**
+ * Verify a document
+ * PUT /api/department/documents/:documentId/verify
+ */
+export const verifyDocument = async (req, res, next) => {
+  try {
+    await reviewDocument(req, res, 'verified');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a document with a reason
+ * PUT /api/department/documents/:documentId/reject
+ */
+export const rejectDocument = async (req, res, next) => {
+  try {
+    await reviewDocument(req, res, 'rejected');
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,145 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { ESTABLISHMENT_WORKFLOW, applyStatusAction } from '../utils/statusWorkflow.js';
+
+const ESTABLISHMENT_STATUS = {
+  table: 'establishment',
+  idColumn: 'establishment_id',
+  workflow: ESTABLISHMENT_WORKFLOW,
+  columns: ['establishment_id', 'establishment_name', 'status', 'status_remarks', 'status_updated_at']
+};
+
+/**
+ * Move an establishment through the approval workflow and record it
+ */
+const applyAction = async (req, res, action, changedBy = req.user.id) => {
+  const remarks = (req.body.remarks || '').trim();
+  const result = await applyStatusAction(ESTABLISHMENT_STATUS, req.params.establishmentId, action, remarks, changedBy);
+
+  if (result.notFound) {
+    return res.status(404).json(
+      errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        'Establishment not found',
+        'establishmentId'
+      )
+    );
+  }
+
+  if (result.error) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        result.error,
+        result.target || 'status'
+      )
+    );
+  }
+
+  res.json(successResponse({
+    message: `Establishment status changed from ${result.from} to ${result.to}`,
+    establishment: result.record
+  }));
+};
+
+/**
+ * Approve an establishment
+ * PUT /api/department/establishments/:establishmentId/approve
+ */
+export const approveEstablishment = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'approve');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject an establishment
+ * PUT /api/department/establishments/:establishmentId/reject
+ */
+export const rejectEstablishment = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'reject');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ask an establishment to correct its registration
+ * PUT /api/department/establishments/:establishmentId/request-changes
+ */
+export const requestEstablishmentChanges = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'request_changes');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a corrected registration back for approval, taken by the
+ * establishment; its remarks say what was changed
+ * PUT /api/establishment/:establishmentId/resubmit
+ */
+export const resubmitEstablishment = async (req, res, next) => {
+  try {
+    // changed_by names department users; a resubmission has none
+    await applyAction(req, res, 'resubmit', null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend an approved establishment
+ * PUT /api/department/establishments/:establishmentId/suspend
+ */
+export const suspendEstablishment = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'suspend');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reinstate a suspended establishment
+ * PUT /api/department/establishments/:establishmentId/reinstate
+ */
+export const reinstateEstablishment = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'reinstate');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the approval history of an establishment
+ * GET /api/department/establishments/:establishmentId/history
+ */
+export const getEstablishmentStatusHistory = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('establishment_status_history')
+      .select(`
+        *,
+        department_user:changed_by (
+          department_user_id,
+          first_name,
+          last_name
+        )
+      `)
+      .eq('establishment_id', req.params.establishmentId)
+      .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(successResponse(data || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
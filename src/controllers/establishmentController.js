@@ -4,8 +4,69 @@ import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.j
 import {
   validateEmail,
   validateMobileNumber,
+  validatePincode,
+  validateAadhaar,
   validateRequiredFields
 } from '../utils/validation.js';
+import { isPincodeInDistrict } from '../utils/pincode.js';
+import { aadhaarBlindIndex, maskAadhaar, presentAadhaar } from '../utils/aadhaar.js';
+import { parseCoordinates, parseSitePolygon, polygonCenter } from '../utils/geo.js';
+import { zonedDayBounds, getEstablishmentTimeZone } from '../utils/dateTime.js';
+import { ESTABLISHMENT_APPLICANT_STATUSES } from '../utils/statusWorkflow.js';
+
+/**
+ * Why an establishment that is not approved (`active`) is refused,
+ * including the department's remarks where they help
+ */
+const notApprovedMessage = (establishment) => {
+  switch (establishment.status) {
+    case 'pending':
+      return 'Your registration is awaiting department approval.';
+    case 'changes_requested':
+      return `The department has requested changes to your registration: ${establishment.status_remarks || 'please contact the department.'}`;
+    case 'rejected':
+      return `Your registration was rejected: ${establishment.status_remarks || 'please contact the department.'}`;
+    case 'suspended':
+      return 'Your account is suspended. Please contact administrator.';
+    default:
+      return 'Your establishment is not approved. Please contact administrator.';
+  }
+};
+
+/**
+ * Read the site position from a request body: latitude/longitude and/or a
+ * sitePolygon (its center is used when no position is given)
+ * Returns { columns } to store (empty when nothing was sent) or { error, target }.
+ */
+const parseSiteLocation = (body) => {
+  const { latitude, longitude, sitePolygon } = body;
+  const hasPosition = latitude !== undefined || longitude !== undefined;
+  const columns = {};
+
+  if (hasPosition) {
+    const position = parseCoordinates(latitude, longitude);
+    if (!position) {
+      return { error: 'latitude and longitude must be valid coordinates', target: 'location' };
+    }
+    Object.assign(columns, position);
+  }
+
+  if (sitePolygon) {
+    const { polygon, error } = parseSitePolygon(sitePolygon);
+    if (error) return { error, target: 'sitePolygon' };
+
+    columns.site_polygon = polygon;
+    if (!hasPosition) Object.assign(columns, polygonCenter(polygon));
+  } else if (sitePolygon === null) {
+    columns.site_polygon = null;
+  }
+
+  if (Object.keys(columns).length > 0) {
+    columns.location_updated_at = new Date().toISOString();
+  }
+
+  return { columns };
+};
 
 /**
  * Register new establishment
@@ -55,6 +116,41 @@ export const registerEstablishment = async (req, res, next) => {
       );
     }
 
+    // Validate pincode and check it belongs to the chosen district
+    if (estData.pincode) {
+      if (!validatePincode(estData.pincode)) {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.VALIDATION_ERROR,
+            'Invalid pincode. Must be 6 digits.',
+            'pincode'
+          )
+        );
+      }
+
+      if (estData.districtId && !(await isPincodeInDistrict(estData.pincode, estData.districtId))) {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.VALIDATION_ERROR,
+            'Pincode does not belong to the selected district',
+            'pincode'
+          )
+        );
+      }
+    }
+
+    // Site position and optional boundary
+    const siteLocation = parseSiteLocation(estData);
+    if (siteLocation.error) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          siteLocation.error,
+          siteLocation.target
+        )
+      );
+    }
+
     // Hash password (default or provided)
     const password = estData.password || 'Password@123';
     const hashedPassword = await hashPassword(password);
@@ -102,6 +198,9 @@ export const registerEstablishment = async (req, res, next) => {
       // Terms
       is_accepted_terms_and_conditions: estData.isAcceptedTermsAndConditions || 'Y',
 
+      // Site location
+      ...siteLocation.columns,
+
       status: 'pending' // Admin approval required
     };
 
@@ -142,6 +241,302 @@ export const registerEstablishment = async (req, res, next) => {
   }
 };
 
+/**
+ * Update the site position and boundary
+ * PUT /api/establishment/:establishmentId/location
+ *
+ * Body: { latitude?, longitude?, sitePolygon? } (sitePolygon: null removes it)
+ */
+export const updateEstablishmentLocation = async (req, res, next) => {
+  try {
+    const { columns, error: locationError, target } = parseSiteLocation(req.body);
+
+    if (locationError || Object.keys(columns).length === 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          locationError || 'latitude and longitude or sitePolygon are required',
+          target || 'location'
+        )
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('establishment')
+      .update(columns)
+      .eq('establishment_id', req.params.establishmentId)
+      .select('establishment_id, latitude, longitude, site_polygon, location_updated_at')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      message: 'Location updated successfully',
+      establishmentId: data.establishment_id,
+      latitude: data.latitude === null ? null : Number(data.latitude),
+      longitude: data.longitude === null ? null : Number(data.longitude),
+      sitePolygon: data.site_polygon,
+      locationUpdatedAt: data.location_updated_at
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Registration fields an establishment awaiting approval may correct; the
+// mobile number (its sign-in) and password are not among them
+const REGISTRATION_FIELDS = {
+  establishmentName: { column: 'establishment_name', type: 'text', required: true },
+  contactPerson: { column: 'contact_person', type: 'text', required: true },
+  emailId: { column: 'email_id', type: 'text', required: true },
+  doorNumber: { column: 'door_number', type: 'text' },
+  street: { column: 'street', type: 'text' },
+  districtId: { column: 'district_id', type: 'integer' },
+  districtCode: { column: 'district_code', type: 'text' },
+  districtName: { column: 'district_name', type: 'text' },
+  cityId: { column: 'city_id', type: 'integer' },
+  cityCode: { column: 'city_code', type: 'text' },
+  cityName: { column: 'city_name', type: 'text' },
+  villageOrAreaId: { column: 'village_or_area_id', type: 'integer' },
+  villageOrAreaCode: { column: 'village_or_area_code', type: 'text' },
+  villageOrAreaName: { column: 'village_or_area_name', type: 'text' },
+  pincode: { column: 'pincode', type: 'integer' },
+  isPlanApprovalId: { column: 'is_plan_approval_id', type: 'text' },
+  planApprovalId: { column: 'plan_approval_id', type: 'text' },
+  categoryId: { column: 'category_id', type: 'integer', required: true },
+  workNatureId: { column: 'work_nature_id', type: 'integer', required: true },
+  commencementDate: { column: 'commencement_date', type: 'text', required: true },
+  completionDate: { column: 'completion_date', type: 'text' },
+  constructionEstimatedCost: { column: 'construction_estimated_cost', type: 'number' },
+  constructionArea: { column: 'construction_area', type: 'number' },
+  builtUpArea: { column: 'built_up_area', type: 'number' },
+  basicEstimatedCost: { column: 'basic_estimated_cost', type: 'number' },
+  noOfMaleWorkers: { column: 'no_of_male_workers', type: 'integer' },
+  noOfFemaleWorkers: { column: 'no_of_female_workers', type: 'integer' }
+};
+
+const REGISTRATION_SELECT = `establishment_id, status, status_remarks, status_updated_at, mobile_number,
+  latitude, longitude, site_polygon, ${Object.values(REGISTRATION_FIELDS).map(field => field.column).join(', ')}`;
+
+/**
+ * Columns to update from the registration fields present in a body
+ * Returns { columns } or { error, target }.
+ */
+const parseRegistrationFields = (body) => {
+  const columns = {};
+
+  for (const [field, { column, type, required }] of Object.entries(REGISTRATION_FIELDS)) {
+    if (body[field] === undefined) continue;
+
+    const value = body[field];
+    const empty = value === null || value === '';
+
+    if (empty) {
+      if (required) return { error: `${field} cannot be empty`, target: field };
+      columns[column] = null;
+      continue;
+    }
+
+    if (type === 'text') {
+      columns[column] = String(value).trim();
+    } else {
+      const number = type === 'integer' ? Number.parseInt(value) : Number.parseFloat(value);
+      if (Number.isNaN(number)) return { error: `${field} must be a number`, target: field };
+      columns[column] = number;
+    }
+  }
+
+  return { columns };
+};
+
+/**
+ * Load the establishment's registration
+ */
+const fetchRegistration = async (establishmentId) => {
+  const { data, error } = await supabase
+    .from('establishment')
+    .select(REGISTRATION_SELECT)
+    .eq('establishment_id', establishmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get the establishment's registration and where its approval stands
+ * GET /api/establishment/:establishmentId/registration
+ */
+export const getEstablishmentRegistration = async (req, res, next) => {
+  try {
+    const registration = await fetchRegistration(req.params.establishmentId);
+
+    if (!registration) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    res.json(successResponse(registration));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Correct the registration while it awaits approval (pending or
+ * changes_requested); send it back with PUT /:establishmentId/resubmit
+ * PUT /api/establishment/:establishmentId/registration
+ *
+ * Body: any registration fields, plus latitude/longitude/sitePolygon
+ */
+export const updateEstablishmentRegistration = async (req, res, next) => {
+  try {
+    const { establishmentId } = req.params;
+    const fields = parseRegistrationFields(req.body);
+    const siteLocation = parseSiteLocation(req.body);
+    const invalid = fields.error ? fields : siteLocation;
+
+    if (invalid.error) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          invalid.error,
+          invalid.target
+        )
+      );
+    }
+
+    const columns = { ...fields.columns, ...siteLocation.columns };
+
+    if (Object.keys(columns).length === 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'No registration fields to update',
+          'validation'
+        )
+      );
+    }
+
+    if (columns.email_id && !validateEmail(columns.email_id)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Invalid email address',
+          'emailId'
+        )
+      );
+    }
+
+    const current = await fetchRegistration(establishmentId);
+
+    if (!current) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    if (!ESTABLISHMENT_APPLICANT_STATUSES.includes(current.status)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `A registration with status "${current.status}" cannot be changed here`,
+          'status'
+        )
+      );
+    }
+
+    // The pincode must still belong to the district, whichever of them changed
+    const pincode = columns.pincode !== undefined ? columns.pincode : current.pincode;
+    const districtId = columns.district_id !== undefined ? columns.district_id : current.district_id;
+
+    if (columns.pincode !== undefined || columns.district_id !== undefined) {
+      if (pincode !== null && !validatePincode(String(pincode))) {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.VALIDATION_ERROR,
+            'Invalid pincode. Must be 6 digits.',
+            'pincode'
+          )
+        );
+      }
+
+      if (pincode !== null && districtId && !(await isPincodeInDistrict(pincode, districtId))) {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.VALIDATION_ERROR,
+            'Pincode does not belong to the selected district',
+            'pincode'
+          )
+        );
+      }
+    }
+
+    const { data: registration, error } = await supabase
+      .from('establishment')
+      .update(columns)
+      .eq('establishment_id', establishmentId)
+      .in('status', ESTABLISHMENT_APPLICANT_STATUSES) // the department may have decided meanwhile
+      .select(REGISTRATION_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.DUPLICATE_ENTRY,
+            'Establishment with this email already exists',
+            'emailId'
+          )
+        );
+      }
+
+      throw error;
+    }
+
+    if (!registration) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Status changed in the meantime. Reload and try again.',
+          'status'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      message: registration.status === 'changes_requested'
+        ? 'Registration updated. Resubmit it when all changes are made.'
+        : 'Registration updated',
+      registration
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Establishment login
  * POST /api/establishment/login
@@ -178,17 +573,6 @@ export const loginEstablishment = async (req, res, next) => {
       );
     }
 
-    // Check status
-    if (establishment.status === 'suspended') {
-      return res.status(403).json(
-        errorResponse(
-          ERROR_CODES.AUTHORIZATION_ERROR,
-          'Your account is suspended. Please contact administrator.',
-          'status'
-        )
-      );
-    }
-
     // Verify password
     const isPasswordValid = await comparePassword(password, establishment.password);
     if (!isPasswordValid) {
@@ -201,6 +585,40 @@ export const loginEstablishment = async (req, res, next) => {
       );
     }
 
+    // Establishments awaiting approval sign in only to correct their
+    // registration and documents (checked after the password so department
+    // remarks are not shown to anyone who knows the number)
+    if (ESTABLISHMENT_APPLICANT_STATUSES.includes(establishment.status)) {
+      return res.json(successResponse({
+        establishmentId: establishment.establishment_id,
+        establishmentName: establishment.establishment_name,
+        status: establishment.status,
+        statusRemarks: establishment.status_remarks,
+        message: notApprovedMessage(establishment),
+        type: 'establishment',
+        registrationOnly: true,
+        // No session: attendance and worker routes stay closed until approval
+        token: generateToken({
+          id: establishment.establishment_id,
+          type: 'establishment',
+          mobileNumber: establishment.mobile_number,
+          registrationOnly: true
+        })
+      }));
+    }
+
+    // Everyone else must be approved
+    if (establishment.status !== 'active') {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          notApprovedMessage(establishment),
+          'status',
+          [{ status: establishment.status }]
+        )
+      );
+    }
+
     // Update last logged in
     await supabase
       .from('establishment')
@@ -270,21 +688,23 @@ export const getEstablishmentCardDetails = async (req, res, next) => {
       .eq('establishment_id', establishmentId)
       .eq('status', 'active');
 
-    // Get today's attendance
-    const today = new Date().toISOString().split('T')[0];
+    // Get today's attendance (the establishment's calendar day)
+    const today = zonedDayBounds(new Date(), await getEstablishmentTimeZone(establishmentId));
 
     const { count: presentToday } = await supabase
       .from('attendance')
       .select('*', { count: 'exact', head: true })
       .eq('establishment_id', establishmentId)
-      .gte('check_in_date_time', `${today}T00:00:00`)
+      .gte('check_in_date_time', today.start)
+      .lt('check_in_date_time', today.end)
       .eq('status', 'i');
 
     const { count: absentToday } = await supabase
       .from('attendance')
       .select('*', { count: 'exact', head: true })
       .eq('establishment_id', establishmentId)
-      .gte('check_in_date_time', `${today}T00:00:00`)
+      .gte('check_in_date_time', today.start)
+      .lt('check_in_date_time', today.end)
       .eq('status', 'o');
 
     // Get currently logged in (checked in but not checked out)
@@ -345,6 +765,8 @@ export const getWorkerDetailsByEstablishment = async (req, res, next) => {
           last_name,
           full_name,
           aadhaar_number,
+          aadhaar_encrypted,
+          aadhaar_last4,
           mobile_number,
           email_id,
           status
@@ -354,7 +776,16 @@ export const getWorkerDetailsByEstablishment = async (req, res, next) => {
 
     if (error) throw error;
 
-    res.json(successResponse(workers || []));
+    const formatted = (workers || []).map(row => {
+      const worker = presentAadhaar(row.worker, req);
+      return {
+        ...row,
+        aadhaar_card_number: worker?.aadhaar_number || maskAadhaar(row.aadhaar_card_number),
+        worker
+      };
+    });
+
+    res.json(successResponse(formatted));
 
   } catch (error) {
     next(error);
@@ -388,6 +819,89 @@ export const persistWorkerDetails = async (req, res, next) => {
       );
     }
 
+    // Workers can only be assigned to approved establishments
+    const { data: establishment, error: establishmentError } = await supabase
+      .from('establishment')
+      .select('establishment_id, status, status_remarks')
+      .eq('establishment_id', establishmentId)
+      .maybeSingle();
+
+    if (establishmentError) throw establishmentError;
+
+    if (!establishment) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    if (establishment.status !== 'active') {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          `Workers cannot be assigned to an establishment with status "${establishment.status}"`,
+          'establishmentId'
+        )
+      );
+    }
+
+    // The masked number from availableaadhaarcarddetails is accepted as is
+    const isMasked = /^XXXX-XXXX-\d{4}$/.test(String(aadhaarCardNumber));
+
+    if (!isMasked && !validateAadhaar(aadhaarCardNumber)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Invalid Aadhaar number. Must be 12 digits with a valid check digit.',
+          'aadhaarCardNumber'
+        )
+      );
+    }
+
+    // The Aadhaar entered must be the worker's own
+    const { data: worker, error: workerError } = await supabase
+      .from('worker')
+      .select('worker_id, status, aadhaar_hash, aadhaar_last4, aadhaar_number')
+      .eq('worker_id', workerId)
+      .maybeSingle();
+
+    if (workerError) throw workerError;
+
+    if (worker && worker.status !== 'approved') {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          `Workers with status "${worker.status}" cannot be assigned`,
+          'workerId'
+        )
+      );
+    }
+
+    let matchesWorker = false;
+    if (worker && isMasked) {
+      matchesWorker = maskAadhaar(worker.aadhaar_last4 || worker.aadhaar_number) === aadhaarCardNumber;
+    } else if (worker) {
+      matchesWorker = worker.aadhaar_hash
+        ? worker.aadhaar_hash === aadhaarBlindIndex(aadhaarCardNumber)
+        : String(worker.aadhaar_number) === String(aadhaarCardNumber);
+    }
+
+    if (!matchesWorker) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Aadhaar number does not match the selected worker',
+          'aadhaarCardNumber'
+        )
+      );
+    }
+
+    // Only the masked number is kept on the assignment
+    const maskedAadhaar = maskAadhaar(aadhaarCardNumber);
+
     let result;
 
     if (estmtWorkerId) {
@@ -395,7 +909,7 @@ export const persistWorkerDetails = async (req, res, next) => {
       const { data, error } = await supabase
         .from('establishment_worker')
         .update({
-          aadhaar_card_number: aadhaarCardNumber,
+          aadhaar_card_number: maskedAadhaar,
           working_from_date: workingFromDate,
           working_to_date: workingToDate || null,
           status: status || 'active'
@@ -413,7 +927,7 @@ export const persistWorkerDetails = async (req, res, next) => {
         .insert({
           establishment_id: establishmentId,
           worker_id: workerId,
-          aadhaar_card_number: aadhaarCardNumber,
+          aadhaar_card_number: maskedAadhaar,
           working_from_date: workingFromDate,
           working_to_date: workingToDate || null,
           status: status || 'active'
@@ -448,15 +962,23 @@ export const persistWorkerDetails = async (req, res, next) => {
 
 /**
  * Get available workers (registered workers not yet assigned)
- * GET /api/establishment/availableaadhaarcarddetails
+ * GET /api/establishment/availableaadhaarcarddetails?aadhaarNumber={aadhaar}
  */
 export const getAvailableAadhaarCardDetails = async (req, res, next) => {
   try {
-    // Get all workers
-    const { data: allWorkers, error: workersError } = await supabase
+    const { aadhaarNumber } = req.query;
+
+    // Get all workers, or the one holding the Aadhaar searched for
+    let workersQuery = supabase
       .from('worker')
-      .select('worker_id, aadhaar_number, full_name, first_name, last_name')
-      .eq('status', 'active');
+      .select('worker_id, aadhaar_number, aadhaar_encrypted, aadhaar_last4, full_name, first_name, last_name')
+      .eq('status', 'approved');
+
+    if (aadhaarNumber) {
+      workersQuery = workersQuery.eq('aadhaar_hash', aadhaarBlindIndex(String(aadhaarNumber).replace(/\s|-/g, '')));
+    }
+
+    const { data: allWorkers, error: workersError } = await workersQuery;
 
     if (workersError) throw workersError;
 
@@ -475,7 +997,7 @@ export const getAvailableAadhaarCardDetails = async (req, res, next) => {
     // Format response
     const formattedWorkers = availableWorkers.map(w => ({
       workerId: w.worker_id,
-      aadhaarCardNumber: w.aadhaar_number,
+      aadhaarCardNumber: presentAadhaar(w, req).aadhaar_number,
       workerName: w.full_name
     }));
 
@@ -0,0 +1,228 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { parseCoordinates, parseSitePolygon } from '../utils/geo.js';
+import { GEOFENCE_MODES, formatGeofence } from '../utils/geofence.js';
+
+const MAX_RADIUS_M = 5000;
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+const geofenceNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Geofence not found',
+    'geofenceId'
+  )
+);
+
+/**
+ * Read a fence shape from the body: { polygon } or { latitude, longitude, radius }
+ * Returns { columns } or { error, target }.
+ */
+const parseShape = (body) => {
+  if (body.polygon) {
+    const { polygon, error } = parseSitePolygon(body.polygon);
+    if (error) return { error, target: 'polygon' };
+
+    return {
+      columns: { shape: 'polygon', polygon, center_latitude: null, center_longitude: null, radius_m: null }
+    };
+  }
+
+  const center = parseCoordinates(body.latitude, body.longitude);
+  const radius = Number(body.radius);
+
+  if (!center) {
+    return { error: 'Send a polygon, or latitude and longitude with a radius', target: 'shape' };
+  }
+
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+    return { error: `radius must be between 1 and ${MAX_RADIUS_M} metres`, target: 'radius' };
+  }
+
+  return {
+    columns: {
+      shape: 'circle',
+      center_latitude: center.latitude,
+      center_longitude: center.longitude,
+      radius_m: radius,
+      polygon: null
+    }
+  };
+};
+
+/**
+ * Get an establishment's geofences
+ * GET /api/establishment/:establishmentId/geofences
+ */
+export const getGeofences = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('site_geofence')
+      .select('*')
+      .eq('establishment_id', req.params.establishmentId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatGeofence)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a site geofence
+ * POST /api/establishment/:establishmentId/geofences
+ *
+ * Body: { name, polygon } or { name, latitude, longitude, radius (metres) }
+ */
+export const createGeofence = async (req, res, next) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return validationError(res, 'name is required', 'name');
+    }
+
+    const shape = parseShape(req.body);
+    if (shape.error) return validationError(res, shape.error, shape.target);
+
+    const { data, error } = await supabase
+      .from('site_geofence')
+      .insert({
+        establishment_id: parseInt(req.params.establishmentId),
+        name: name.slice(0, 100),
+        ...shape.columns
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(successResponse(formatGeofence(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename, reshape, or switch a geofence on or off
+ * PUT /api/establishment/:establishmentId/geofences/:geofenceId
+ *
+ * Body: any of { name, isActive, polygon | latitude, longitude, radius }
+ */
+export const updateGeofence = async (req, res, next) => {
+  try {
+    const { name, isActive, polygon, latitude, longitude, radius } = req.body;
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return validationError(res, 'name cannot be empty', 'name');
+      updates.name = String(name).trim().slice(0, 100);
+    }
+
+    if (isActive !== undefined) updates.is_active = Boolean(isActive);
+
+    if ([polygon, latitude, longitude, radius].some(value => value !== undefined)) {
+      const shape = parseShape(req.body);
+      if (shape.error) return validationError(res, shape.error, shape.target);
+      Object.assign(updates, shape.columns);
+    }
+
+    const { data, error } = await supabase
+      .from('site_geofence')
+      .update(updates)
+      .eq('geofence_id', req.params.geofenceId)
+      .eq('establishment_id', req.params.establishmentId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return geofenceNotFound(res);
+
+    res.json(successResponse(formatGeofence(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch a geofence off (kept so past punches still refer to it)
+ * DELETE /api/establishment/:establishmentId/geofences/:geofenceId
+ */
+export const deactivateGeofence = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('site_geofence')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('geofence_id', req.params.geofenceId)
+      .eq('establishment_id', req.params.establishmentId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return geofenceNotFound(res);
+
+    res.json(successResponse({
+      message: 'Geofence deactivated',
+      geofence: formatGeofence(data)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set how an establishment's out-of-fence punches are handled
+ * PUT /api/department/establishments/:establishmentId/geofence-mode
+ *
+ * Body: { mode: off | flag | reject | null (use the GEOFENCE_MODE default) }
+ */
+export const setGeofenceMode = async (req, res, next) => {
+  try {
+    const { mode } = req.body;
+
+    if (mode !== null && !GEOFENCE_MODES.includes(mode)) {
+      return validationError(res, `mode must be one of: ${GEOFENCE_MODES.join(', ')}, or null`, 'mode');
+    }
+
+    const { data, error } = await supabase
+      .from('establishment')
+      .update({ geofence_mode: mode })
+      .eq('establishment_id', req.params.establishmentId)
+      .select('establishment_id, establishment_name, geofence_mode')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    res.json(successResponse({
+      establishmentId: data.establishment_id,
+      establishmentName: data.establishment_name,
+      geofenceMode: data.geofence_mode
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,590 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validateDate } from '../utils/validation.js';
+import { parseCoordinates, parseAccuracy } from '../utils/geo.js';
+import { FILE_EXTENSIONS, detectMimeType } from '../utils/documents.js';
+import { getDocumentStorage } from '../utils/documentStorage.js';
+import { COMPLIANCE_ITEMS, formatComplianceRecord } from '../utils/compliance.js';
+import { toZonedDate, applyDateRange } from '../utils/dateTime.js';
+
+const INSPECTION_STATUSES = ['scheduled', 'completed', 'cancelled'];
+const CHECKLIST_RESULTS = ['compliant', 'non_compliant', 'not_applicable'];
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+const INSPECTION_SELECT = `
+  *,
+  establishment:establishment_id (establishment_name, district_id),
+  inspector:inspector_id (department_user_id, first_name, last_name)
+`;
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+const inspectionNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Inspection not found',
+    'inspectionId'
+  )
+);
+
+const fetchInspection = async (inspectionId) => {
+  const { data, error } = await supabase
+    .from('inspection')
+    .select('*')
+    .eq('inspection_id', inspectionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Check that a department user exists and is active
+ */
+const isActiveDepartmentUser = async (departmentUserId) => {
+  const { data, error } = await supabase
+    .from('department_user')
+    .select('department_user_id, status')
+    .eq('department_user_id', departmentUserId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data && data.status === 'active');
+};
+
+/**
+ * Map an inspection row to the API shape
+ */
+const formatInspection = (row) => ({
+  inspectionId: row.inspection_id,
+  establishmentId: row.establishment_id,
+  establishmentName: row.establishment?.establishment_name,
+  inspector: row.inspector ? {
+    departmentUserId: row.inspector.department_user_id,
+    name: `${row.inspector.first_name} ${row.inspector.last_name || ''}`.trim()
+  } : { departmentUserId: row.inspector_id },
+  scheduledFor: row.scheduled_for,
+  purpose: row.purpose,
+  status: row.status,
+  report: row.status === 'completed' ? {
+    inspectedAt: row.inspected_at,
+    summary: row.summary,
+    checklist: row.checklist,
+    location: {
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      accuracy: row.gps_accuracy_m === null ? null : Number(row.gps_accuracy_m)
+    }
+  } : null,
+  cancelRemarks: row.cancel_remarks,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatPhoto = (row) => ({
+  photoId: row.photo_id,
+  inspectionId: row.inspection_id,
+  caption: row.caption,
+  mimeType: row.mime_type,
+  sizeBytes: row.size_bytes,
+  location: row.latitude === null ? null : { latitude: Number(row.latitude), longitude: Number(row.longitude) },
+  uploadedBy: row.uploaded_by,
+  uploadedAt: row.uploaded_at
+});
+
+/**
+ * Validate checklist entries: [{ item, result, notes? }]
+ * Returns the cleaned list or an error message.
+ */
+const parseChecklist = (checklist) => {
+  if (!Array.isArray(checklist) || checklist.length === 0) {
+    return { error: 'checklist must be a non-empty array' };
+  }
+
+  const items = [];
+  for (const [index, entry] of checklist.entries()) {
+    const item = String(entry?.item || '').trim();
+    if (!item) return { error: `checklist[${index}].item is required` };
+    if (!CHECKLIST_RESULTS.includes(entry.result)) {
+      return { error: `checklist[${index}].result must be one of: ${CHECKLIST_RESULTS.join(', ')}` };
+    }
+    items.push({ item, result: entry.result, notes: String(entry.notes || '').trim() || null });
+  }
+
+  return { items };
+};
+
+/**
+ * Validate follow-up actions: [{ description, dueDate, itemType? }]
+ * itemType ties the action to a tracked compliance item (default inspection_action).
+ */
+const parseActions = (actions = []) => {
+  if (!Array.isArray(actions)) return { error: 'actions must be an array' };
+
+  const items = [];
+  for (const [index, action] of actions.entries()) {
+    const description = String(action?.description || '').trim();
+    const itemType = action?.itemType || 'inspection_action';
+
+    if (!description) return { error: `actions[${index}].description is required` };
+    if (!action.dueDate || !validateDate(action.dueDate)) {
+      return { error: `actions[${index}].dueDate must be a valid date` };
+    }
+    if (!COMPLIANCE_ITEMS[itemType] || COMPLIANCE_ITEMS[itemType].automatic) {
+      return { error: `actions[${index}].itemType is not a manually assessed compliance item` };
+    }
+
+    items.push({ description, dueDate: action.dueDate, itemType });
+  }
+
+  return { items };
+};
+
+/**
+ * Schedule an inspection
+ * POST /api/department/inspections
+ *
+ * Body: { establishmentId, scheduledFor, purpose?, inspectorId? (defaults to the caller) }
+ */
+export const scheduleInspection = async (req, res, next) => {
+  try {
+    const { establishmentId, scheduledFor, purpose } = req.body;
+    const inspectorId = req.body.inspectorId || req.user.id;
+
+    if (!establishmentId) {
+      return validationError(res, 'establishmentId is required', 'establishmentId');
+    }
+
+    if (!scheduledFor || !validateDate(scheduledFor)) {
+      return validationError(res, 'A valid scheduledFor date and time is required', 'scheduledFor');
+    }
+
+    const { data: establishment, error: estError } = await supabase
+      .from('establishment')
+      .select('establishment_id')
+      .eq('establishment_id', establishmentId)
+      .maybeSingle();
+
+    if (estError) throw estError;
+
+    if (!establishment) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Establishment not found',
+          'establishmentId'
+        )
+      );
+    }
+
+    if (!(await isActiveDepartmentUser(inspectorId))) {
+      return validationError(res, 'inspectorId must be an active department user', 'inspectorId');
+    }
+
+    const { data, error } = await supabase
+      .from('inspection')
+      .insert({
+        establishment_id: establishment.establishment_id,
+        inspector_id: inspectorId,
+        scheduled_for: new Date(scheduledFor).toISOString(),
+        purpose: (purpose || '').trim() || null,
+        scheduled_by: req.user.id
+      })
+      .select(INSPECTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(successResponse(formatInspection(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List inspections
+ * GET /api/department/inspections?establishmentId=&inspectorId=(me|id)&status=&from=&to=
+ */
+export const getInspections = async (req, res, next) => {
+  try {
+    const { establishmentId, inspectorId, status, from, to, limit = 100, offset = 0 } = req.query;
+
+    if (status && !INSPECTION_STATUSES.includes(status)) {
+      return validationError(res, `status must be one of: ${INSPECTION_STATUSES.join(', ')}`, 'status');
+    }
+
+    if ((from && !validateDate(from)) || (to && !validateDate(to))) {
+      return validationError(res, 'from and to must be valid dates', 'dateRange');
+    }
+
+    let query = supabase
+      .from('inspection')
+      .select(INSPECTION_SELECT)
+      .order('scheduled_for', { ascending: true })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (establishmentId) query = query.eq('establishment_id', establishmentId);
+    if (inspectorId) query = query.eq('inspector_id', inspectorId === 'me' ? req.user.id : inspectorId);
+    if (status) query = query.eq('status', status);
+    query = applyDateRange(query, 'scheduled_for', { from, to });
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatInspection)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an inspection with its photos and follow-up actions
+ * GET /api/department/inspections/:inspectionId
+ */
+export const getInspection = async (req, res, next) => {
+  try {
+    const { inspectionId } = req.params;
+
+    const { data, error } = await supabase
+      .from('inspection')
+      .select(INSPECTION_SELECT)
+      .eq('inspection_id', inspectionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return inspectionNotFound(res);
+
+    const [{ data: photos, error: photoError }, { data: actions, error: actionError }] = await Promise.all([
+      supabase.from('inspection_photo').select('*').eq('inspection_id', inspectionId).order('uploaded_at'),
+      supabase.from('compliance_record').select('*').eq('inspection_id', inspectionId).order('due_date')
+    ]);
+
+    if (photoError) throw photoError;
+    if (actionError) throw actionError;
+
+    const today = toZonedDate();
+
+    res.json(successResponse({
+      ...formatInspection(data),
+      photos: (photos || []).map(formatPhoto),
+      actions: (actions || []).map(row => formatComplianceRecord(row, today))
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a scheduled inspection to another inspector or move its date
+ * PUT /api/department/inspections/:inspectionId
+ *
+ * Body: { inspectorId?, scheduledFor?, purpose? }
+ */
+export const updateInspection = async (req, res, next) => {
+  try {
+    const { inspectorId, scheduledFor, purpose } = req.body;
+
+    const inspection = await fetchInspection(req.params.inspectionId);
+    if (!inspection) return inspectionNotFound(res);
+
+    if (inspection.status !== 'scheduled') {
+      return validationError(res, `A ${inspection.status} inspection cannot be changed`, 'status');
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (inspectorId !== undefined) {
+      if (!(await isActiveDepartmentUser(inspectorId))) {
+        return validationError(res, 'inspectorId must be an active department user', 'inspectorId');
+      }
+      updates.inspector_id = inspectorId;
+    }
+
+    if (scheduledFor !== undefined) {
+      if (!validateDate(scheduledFor)) {
+        return validationError(res, 'scheduledFor must be a valid date and time', 'scheduledFor');
+      }
+      updates.scheduled_for = new Date(scheduledFor).toISOString();
+    }
+
+    if (purpose !== undefined) updates.purpose = (purpose || '').trim() || null;
+
+    const { data, error } = await supabase
+      .from('inspection')
+      .update(updates)
+      .eq('inspection_id', inspection.inspection_id)
+      .eq('status', 'scheduled')
+      .select(INSPECTION_SELECT)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return validationError(res, 'Inspection changed in the meantime. Reload and try again.', 'status');
+    }
+
+    res.json(successResponse(formatInspection(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled inspection (remarks required)
+ * PUT /api/department/inspections/:inspectionId/cancel
+ */
+export const cancelInspection = async (req, res, next) => {
+  try {
+    const remarks = (req.body.remarks || '').trim();
+
+    if (!remarks) {
+      return validationError(res, 'Remarks are required', 'remarks');
+    }
+
+    const { data, error } = await supabase
+      .from('inspection')
+      .update({
+        status: 'cancelled',
+        cancel_remarks: remarks,
+        updated_at: new Date().toISOString()
+      })
+      .eq('inspection_id', req.params.inspectionId)
+      .eq('status', 'scheduled')
+      .select(INSPECTION_SELECT)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      const inspection = await fetchInspection(req.params.inspectionId);
+      if (!inspection) return inspectionNotFound(res);
+      return validationError(res, `A ${inspection.status} inspection cannot be cancelled`, 'status');
+    }
+
+    res.json(successResponse(formatInspection(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * File the inspection report (assigned inspector only)
+ * PUT /api/department/inspections/:inspectionId/report
+ *
+ * Body: { checklist: [{ item, result, notes? }], summary?, latitude, longitude,
+ * accuracy?, inspectedAt?, actions?: [{ description, dueDate, itemType? }] }
+ * Each action becomes a compliance record of the establishment.
+ */
+export const submitInspectionReport = async (req, res, next) => {
+  try {
+    const { summary, inspectedAt } = req.body;
+
+    const inspection = await fetchInspection(req.params.inspectionId);
+    if (!inspection) return inspectionNotFound(res);
+
+    if (inspection.inspector_id !== req.user.id) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'Only the assigned inspector can file the report',
+          'inspectorId'
+        )
+      );
+    }
+
+    if (inspection.status !== 'scheduled') {
+      return validationError(res, `A ${inspection.status} inspection cannot be reported`, 'status');
+    }
+
+    const checklist = parseChecklist(req.body.checklist);
+    if (checklist.error) return validationError(res, checklist.error, 'checklist');
+
+    const actions = parseActions(req.body.actions);
+    if (actions.error) return validationError(res, actions.error, 'actions');
+
+    const position = parseCoordinates(req.body.latitude, req.body.longitude);
+    if (!position) {
+      return validationError(res, 'Valid latitude and longitude are required', 'location');
+    }
+
+    if (inspectedAt && !validateDate(inspectedAt)) {
+      return validationError(res, 'inspectedAt must be a valid date and time', 'inspectedAt');
+    }
+
+    const now = new Date().toISOString();
+
+    // Completed together with its follow-up actions in one transaction
+    // (db/migrations/025_submit_inspection_report_function.sql)
+    const { data: report, error } = await supabase
+      .rpc('submit_inspection_report', {
+        p_inspection_id: inspection.inspection_id,
+        p_report: {
+          checklist: checklist.items,
+          summary: (summary || '').trim() || null,
+          latitude: position.latitude,
+          longitude: position.longitude,
+          gps_accuracy_m: parseAccuracy(req.body.accuracy),
+          inspected_at: inspectedAt ? new Date(inspectedAt).toISOString() : now,
+          updated_at: now
+        },
+        p_actions: actions.items.map(action => ({
+          item_type: action.itemType,
+          description: action.description,
+          due_date: action.dueDate
+        })),
+        p_created_by: req.user.id
+      });
+
+    if (error) throw error;
+
+    if (!report) {
+      return validationError(res, 'Inspection changed in the meantime. Reload and try again.', 'status');
+    }
+
+    const { data, error: fetchError } = await supabase
+      .from('inspection')
+      .select(INSPECTION_SELECT)
+      .eq('inspection_id', inspection.inspection_id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const followUps = report.actions || [];
+    const today = toZonedDate(now);
+
+    res.json(successResponse({
+      ...formatInspection(data),
+      actions: followUps.map(row => formatComplianceRecord(row, today))
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a photo to an inspection (multipart: file, caption?, latitude?, longitude?)
+ * POST /api/department/inspections/:inspectionId/photos
+ */
+export const uploadInspectionPhoto = async (req, res, next) => {
+  try {
+    const inspection = await fetchInspection(req.params.inspectionId);
+    if (!inspection) return inspectionNotFound(res);
+
+    if (inspection.inspector_id !== req.user.id) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'Only the assigned inspector can add photos',
+          'inspectorId'
+        )
+      );
+    }
+
+    if (inspection.status === 'cancelled') {
+      return validationError(res, 'A cancelled inspection cannot take photos', 'status');
+    }
+
+    if (!req.file || req.file.size === 0) {
+      return validationError(res, 'A non-empty file is required in the "file" field', 'file');
+    }
+
+    const mimeType = detectMimeType(req.file.buffer);
+    if (!PHOTO_MIME_TYPES.includes(mimeType)) {
+      return validationError(res, `Photos must be one of: ${PHOTO_MIME_TYPES.join(', ')}`, 'file');
+    }
+
+    const hasPosition = req.body.latitude !== undefined || req.body.longitude !== undefined;
+    const position = parseCoordinates(req.body.latitude, req.body.longitude);
+    if (hasPosition && !position) {
+      return validationError(res, 'latitude and longitude must be valid coordinates', 'location');
+    }
+
+    const storage = getDocumentStorage();
+    const storageKey = `inspection/${inspection.inspection_id}/${uuidv4()}${FILE_EXTENSIONS[mimeType]}`;
+
+    await storage.save(storageKey, req.file.buffer, mimeType);
+
+    const { data, error } = await supabase
+      .from('inspection_photo')
+      .insert({
+        inspection_id: inspection.inspection_id,
+        caption: (req.body.caption || '').trim().slice(0, 255) || null,
+        mime_type: mimeType,
+        size_bytes: req.file.size,
+        storage_backend: storage.name,
+        storage_key: storageKey,
+        latitude: position?.latitude ?? null,
+        longitude: position?.longitude ?? null,
+        uploaded_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Don't leave an unreferenced file behind
+      await storage.remove(storageKey).catch(removeError =>
+        console.error('Failed to remove orphaned inspection photo:', removeError)
+      );
+      throw error;
+    }
+
+    res.status(201).json(successResponse(formatPhoto(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an inspection photo
+ * GET /api/department/inspections/:inspectionId/photos/:photoId/file
+ */
+export const downloadInspectionPhoto = async (req, res, next) => {
+  try {
+    const { data: photo, error } = await supabase
+      .from('inspection_photo')
+      .select('*')
+      .eq('photo_id', req.params.photoId)
+      .eq('inspection_id', req.params.inspectionId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!photo) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Photo not found',
+          'photoId'
+        )
+      );
+    }
+
+    const file = await getDocumentStorage(photo.storage_backend).read(photo.storage_key);
+
+    res.set({
+      'Content-Type': photo.mime_type,
+      'Content-Length': file.length,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+
+  } catch (error) {
+    next(error);
+  }
+};
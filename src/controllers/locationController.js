@@ -1,5 +1,115 @@
 import { supabase } from '../config/supabase.js';
 import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validatePincode } from '../utils/validation.js';
+import { toSearchKey, scoreMatch } from '../utils/locationSearch.js';
+import { getPincodeLocations } from '../utils/pincode.js';
+import { getOrLoad, CACHE_TTL } from '../utils/cache.js';
+
+const SEARCH_LEVELS = ['state', 'district', 'subdivision', 'mandal', 'village'];
+const SEARCH_PAGE_SIZE = 1000;
+
+/**
+ * Read every active row of a table, page by page (Supabase caps responses at 1000 rows)
+ */
+const fetchAllRows = async (table, columns) => {
+  const rows = [];
+
+  for (let from = 0; ; from += SEARCH_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .eq('is_active', true)
+      .order(columns.split(',')[0].trim())
+      .range(from, from + SEARCH_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < SEARCH_PAGE_SIZE) return rows;
+  }
+};
+
+/**
+ * Load every location into a flat list of searchable entries
+ *
+ * Each entry carries the ids of its ancestors so a picked result can fill
+ * the cascading dropdowns in one go.
+ */
+const buildSearchIndex = async () => {
+  const [states, districts, subdivisions, mandals, villages] = await Promise.all([
+    fetchAllRows('state', 'state_id, state_code, state_name'),
+    fetchAllRows('district', 'district_id, district_code, district_name, state_id'),
+    fetchAllRows('subdivision', 'subdivision_id, subdivision_code, subdivision_name, district_id'),
+    fetchAllRows('city_mandal', 'city_id, city_code, city_name, district_id, subdivision_id'),
+    fetchAllRows('village_area', 'village_or_area_id, village_or_area_code, village_or_area_name, city_id')
+  ]);
+
+  const stateById = new Map(states.map(s => [s.state_id, s]));
+  const districtById = new Map(districts.map(d => [d.district_id, d]));
+  const mandalById = new Map(mandals.map(m => [m.city_id, m]));
+
+  const entries = [];
+  const addEntry = (level, id, code, name, parents, context) => {
+    entries.push({
+      level,
+      id,
+      code,
+      name,
+      label: [name, ...context.filter(Boolean)].join(', '),
+      searchKey: toSearchKey(name),
+      ...parents
+    });
+  };
+
+  states.forEach(s => {
+    addEntry('state', s.state_id, s.state_code, s.state_name, { stateId: s.state_id }, []);
+  });
+
+  districts.forEach(d => {
+    const state = stateById.get(d.state_id);
+    addEntry('district', d.district_id, d.district_code, d.district_name, {
+      stateId: d.state_id,
+      districtId: d.district_id
+    }, [state?.state_name]);
+  });
+
+  subdivisions.forEach(s => {
+    const district = districtById.get(s.district_id);
+    addEntry('subdivision', s.subdivision_id, s.subdivision_code, s.subdivision_name, {
+      stateId: district?.state_id,
+      districtId: s.district_id,
+      subdivisionId: s.subdivision_id
+    }, [district?.district_name]);
+  });
+
+  mandals.forEach(m => {
+    const district = districtById.get(m.district_id);
+    addEntry('mandal', m.city_id, m.city_code, m.city_name, {
+      stateId: district?.state_id,
+      districtId: m.district_id,
+      subdivisionId: m.subdivision_id || null,
+      cityId: m.city_id
+    }, [district?.district_name]);
+  });
+
+  villages.forEach(v => {
+    const mandal = mandalById.get(v.city_id);
+    const district = districtById.get(mandal?.district_id);
+    addEntry('village', v.village_or_area_id, v.village_or_area_code, v.village_or_area_name, {
+      stateId: district?.state_id,
+      districtId: mandal?.district_id,
+      subdivisionId: mandal?.subdivision_id || null,
+      cityId: v.city_id,
+      villageId: v.village_or_area_id
+    }, [mandal?.city_name, district?.district_name]);
+  });
+
+  return entries;
+};
+
+/**
+ * Current search index, cached with the rest of the location data
+ */
+const getSearchIndex = () => getOrLoad('location:search-index', CACHE_TTL.location, buildSearchIndex);
 
 /**
  * Get all states
@@ -10,6 +120,7 @@ export const getStates = async (req, res, next) => {
     const { data: states, error } = await supabase
       .from('state')
       .select('*')
+      .eq('is_active', true)
       .order('state_name');
 
     if (error) throw error;
@@ -51,6 +162,7 @@ export const getDistricts = async (req, res, next) => {
     const { data: districts, error } = await supabase
       .from('district')
       .select('*')
+      .eq('is_active', true)
       .eq('state_id', stateId)
       .order('district_name');
 
@@ -73,10 +185,10 @@ export const getDistricts = async (req, res, next) => {
 };
 
 /**
- * Get cities/mandals by district
- * GET /api/location/cities?districtId={id}
+ * Get subdivisions by district
+ * GET /api/location/subdivisions?districtId={id}
  */
-export const getCities = async (req, res, next) => {
+export const getSubdivisions = async (req, res, next) => {
   try {
     const { districtId } = req.query;
 
@@ -90,12 +202,65 @@ export const getCities = async (req, res, next) => {
       );
     }
 
-    const { data: cities, error } = await supabase
-      .from('city_mandal')
+    const { data: subdivisions, error } = await supabase
+      .from('subdivision')
       .select('*')
+      .eq('is_active', true)
       .eq('district_id', districtId)
+      .order('subdivision_name');
+
+    if (error) throw error;
+
+    // Format for frontend
+    const formattedSubdivisions = subdivisions?.map(s => ({
+      id: s.subdivision_id,
+      value: s.subdivision_id.toString(),
+      label: s.subdivision_name,
+      code: s.subdivision_code,
+      name: s.subdivision_name
+    })) || [];
+
+    res.json(successResponse(formattedSubdivisions));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get cities/mandals by district or subdivision
+ * GET /api/location/cities?districtId={id}&subdivisionId={id}
+ */
+export const getCities = async (req, res, next) => {
+  try {
+    const { districtId, subdivisionId } = req.query;
+
+    if (!districtId && !subdivisionId) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'districtId or subdivisionId is required',
+          'districtId'
+        )
+      );
+    }
+
+    let query = supabase
+      .from('city_mandal')
+      .select('*')
+      .eq('is_active', true)
       .order('city_name');
 
+    if (districtId) {
+      query = query.eq('district_id', districtId);
+    }
+
+    if (subdivisionId) {
+      query = query.eq('subdivision_id', subdivisionId);
+    }
+
+    const { data: cities, error } = await query;
+
     if (error) throw error;
 
     // Format for frontend
@@ -104,7 +269,8 @@ export const getCities = async (req, res, next) => {
       value: c.city_id.toString(),
       label: c.city_name,
       code: c.city_code,
-      name: c.city_name
+      name: c.city_name,
+      subdivisionId: c.subdivision_id || null
     })) || [];
 
     res.json(successResponse(formattedCities));
@@ -135,6 +301,7 @@ export const getVillages = async (req, res, next) => {
     const { data: villages, error } = await supabase
       .from('village_area')
       .select('*')
+      .eq('is_active', true)
       .eq('city_id', cityId)
       .order('village_or_area_name');
 
@@ -156,6 +323,212 @@ export const getVillages = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the full location chain of a village
+ * GET /api/location/hierarchy/:villageId
+ */
+export const getLocationHierarchy = async (req, res, next) => {
+  try {
+    const { villageId } = req.params;
+
+    const { data: village, error } = await supabase
+      .from('village_area')
+      .select(`
+        village_or_area_id,
+        village_or_area_code,
+        village_or_area_name,
+        city:city_id (
+          city_id,
+          city_code,
+          city_name,
+          subdivision:subdivision_id (
+            subdivision_id,
+            subdivision_code,
+            subdivision_name
+          ),
+          district:district_id (
+            district_id,
+            district_code,
+            district_name,
+            state:state_id (
+              state_id,
+              state_code,
+              state_name
+            )
+          )
+        )
+      `)
+      .eq('village_or_area_id', villageId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!village) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Village not found',
+          'villageId'
+        )
+      );
+    }
+
+    const mandal = village.city;
+    const subdivision = mandal?.subdivision;
+    const district = mandal?.district;
+    const state = district?.state;
+
+    const level = (id, code, name) => ({ id, code, name });
+
+    res.json(successResponse({
+      state: state ? level(state.state_id, state.state_code, state.state_name) : null,
+      district: district ? level(district.district_id, district.district_code, district.district_name) : null,
+      subdivision: subdivision ? level(subdivision.subdivision_id, subdivision.subdivision_code, subdivision.subdivision_name) : null,
+      mandal: mandal ? level(mandal.city_id, mandal.city_code, mandal.city_name) : null,
+      village: level(village.village_or_area_id, village.village_or_area_code, village.village_or_area_name)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Typeahead search across location levels
+ * GET /api/location/search?q={text}&level={level}&districtId={id}&limit={n}
+ */
+export const searchLocations = async (req, res, next) => {
+  try {
+    const { q, level, districtId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const queryKey = toSearchKey(q);
+
+    if (queryKey.replace(/ /g, '').length < 2) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'q must contain at least 2 letters',
+          'q'
+        )
+      );
+    }
+
+    if (level && !SEARCH_LEVELS.includes(level)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `level must be one of: ${SEARCH_LEVELS.join(', ')}`,
+          'level'
+        )
+      );
+    }
+
+    const entries = await getSearchIndex();
+
+    const matches = [];
+    entries.forEach(entry => {
+      if (level && entry.level !== level) return;
+      if (districtId && String(entry.districtId) !== String(districtId)) return;
+
+      const score = scoreMatch(queryKey, entry.searchKey);
+      if (score > 0) {
+        matches.push({ entry, score });
+      }
+    });
+
+    // Broader levels first, then best match, then alphabetical
+    matches.sort((a, b) =>
+      SEARCH_LEVELS.indexOf(a.entry.level) - SEARCH_LEVELS.indexOf(b.entry.level) ||
+      b.score - a.score ||
+      a.entry.name.localeCompare(b.entry.name)
+    );
+
+    const results = matches.slice(0, limit).map(({ entry, score }) => {
+      const { searchKey, ...result } = entry;
+      return { ...result, value: entry.id.toString(), score };
+    });
+
+    res.json(successResponse(results));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a pincode to its district and mandals
+ * GET /api/location/pincode/:pin
+ */
+export const getPincodeDetails = async (req, res, next) => {
+  try {
+    const { pin } = req.params;
+
+    if (!validatePincode(pin)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Invalid pincode. Must be 6 digits.',
+          'pin'
+        )
+      );
+    }
+
+    const rows = await getPincodeLocations(pin);
+
+    if (rows.length === 0) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Pincode not found',
+          'pin'
+        )
+      );
+    }
+
+    // Group mandals under their district (a pincode rarely spans districts)
+    const districts = new Map();
+    rows.forEach(row => {
+      if (!row.district) return;
+
+      if (!districts.has(row.district.district_id)) {
+        districts.set(row.district.district_id, {
+          id: row.district.district_id,
+          code: row.district.district_code,
+          name: row.district.district_name,
+          stateId: row.district.state_id,
+          mandals: [],
+          postOffices: []
+        });
+      }
+
+      const district = districts.get(row.district.district_id);
+
+      if (row.city && !district.mandals.some(m => m.id === row.city.city_id)) {
+        district.mandals.push({
+          id: row.city.city_id,
+          value: row.city.city_id.toString(),
+          label: row.city.city_name,
+          code: row.city.city_code,
+          name: row.city.city_name
+        });
+      }
+
+      if (row.post_office_name && !district.postOffices.includes(row.post_office_name)) {
+        district.postOffices.push(row.post_office_name);
+      }
+    });
+
+    res.json(successResponse({
+      pincode: parseInt(pin),
+      districts: [...districts.values()]
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all establishment categories
  * GET /api/establishmentcategory/details
@@ -165,6 +538,7 @@ export const getEstablishmentCategories = async (req, res, next) => {
     const { data: categories, error } = await supabase
       .from('establishment_category')
       .select('*')
+      .eq('is_active', true)
       .order('category_name');
 
     if (error) throw error;
@@ -206,6 +580,7 @@ export const getWorkNaturesByCategory = async (req, res, next) => {
     const { data: workNatures, error } = await supabase
       .from('establishment_work_nature')
       .select('*')
+      .eq('is_active', true)
       .eq('category_id', categoryId)
       .order('work_nature_name');
 
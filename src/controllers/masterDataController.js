@@ -0,0 +1,408 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { sanitizeInput } from '../utils/validation.js';
+import { invalidateCache } from '../utils/cache.js';
+
+/**
+ * Master tables editable by department admins
+ *
+ * `fields` maps request body keys to columns, `parents` lists the foreign
+ * keys that must point at an existing, active row, and `cache` is the cache
+ * namespace dropped after every change.
+ */
+const MASTER_ENTITIES = {
+  categories: {
+    table: 'establishment_category',
+    idColumn: 'category_id',
+    orderColumn: 'category_name',
+    cache: 'master',
+    fields: { categoryName: 'category_name', description: 'description' },
+    required: ['categoryName']
+  },
+  worknatures: {
+    table: 'establishment_work_nature',
+    idColumn: 'work_nature_id',
+    orderColumn: 'work_nature_name',
+    cache: 'master',
+    fields: { workNatureName: 'work_nature_name', description: 'description', categoryId: 'category_id' },
+    required: ['workNatureName', 'categoryId'],
+    parents: { categoryId: 'categories' }
+  },
+  states: {
+    table: 'state',
+    idColumn: 'state_id',
+    orderColumn: 'state_name',
+    cache: 'location',
+    fields: { stateName: 'state_name', stateCode: 'state_code' },
+    required: ['stateName', 'stateCode']
+  },
+  districts: {
+    table: 'district',
+    idColumn: 'district_id',
+    orderColumn: 'district_name',
+    cache: 'location',
+    fields: { districtName: 'district_name', districtCode: 'district_code', stateId: 'state_id' },
+    required: ['districtName', 'districtCode', 'stateId'],
+    parents: { stateId: 'states' }
+  },
+  subdivisions: {
+    table: 'subdivision',
+    idColumn: 'subdivision_id',
+    orderColumn: 'subdivision_name',
+    cache: 'location',
+    fields: { subdivisionName: 'subdivision_name', subdivisionCode: 'subdivision_code', districtId: 'district_id' },
+    required: ['subdivisionName', 'subdivisionCode', 'districtId'],
+    parents: { districtId: 'districts' }
+  },
+  mandals: {
+    table: 'city_mandal',
+    idColumn: 'city_id',
+    orderColumn: 'city_name',
+    cache: 'location',
+    fields: { cityName: 'city_name', cityCode: 'city_code', districtId: 'district_id', subdivisionId: 'subdivision_id' },
+    required: ['cityName', 'cityCode', 'districtId'],
+    parents: { districtId: 'districts', subdivisionId: 'subdivisions' }
+  },
+  villages: {
+    table: 'village_area',
+    idColumn: 'village_or_area_id',
+    orderColumn: 'village_or_area_name',
+    cache: 'location',
+    fields: { villageOrAreaName: 'village_or_area_name', villageOrAreaCode: 'village_or_area_code', cityId: 'city_id' },
+    required: ['villageOrAreaName', 'villageOrAreaCode', 'cityId'],
+    parents: { cityId: 'mandals' }
+  }
+};
+
+/**
+ * Resolve :entity or send a 404
+ */
+const resolveEntity = (req, res) => {
+  const entity = MASTER_ENTITIES[req.params.entity];
+
+  if (!entity) {
+    res.status(404).json(
+      errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        `Unknown master table "${req.params.entity}". Expected one of: ${Object.keys(MASTER_ENTITIES).join(', ')}`,
+        'entity'
+      )
+    );
+  }
+
+  return entity;
+};
+
+/**
+ * Map request body keys to columns, keeping only keys that were sent
+ */
+const toColumns = (entity, body) => {
+  const values = {};
+
+  Object.entries(entity.fields).forEach(([key, column]) => {
+    if (body[key] !== undefined) {
+      values[column] = body[key] === '' ? null : sanitizeInput(body[key]);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Check every parent reference points at an active row
+ * Returns the offending body key, or null
+ */
+const findInvalidParent = async (entity, values) => {
+  for (const [key, parentName] of Object.entries(entity.parents || {})) {
+    const parentId = values[entity.fields[key]];
+    if (parentId === undefined || parentId === null) continue;
+
+    const parent = MASTER_ENTITIES[parentName];
+    const { data, error } = await supabase
+      .from(parent.table)
+      .select(`${parent.idColumn}, is_active`)
+      .eq(parent.idColumn, parentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || !data.is_active) return key;
+  }
+
+  return null;
+};
+
+const fetchRecord = async (entity, id) => {
+  const { data, error } = await supabase
+    .from(entity.table)
+    .select('*')
+    .eq(entity.idColumn, id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Append an entry to the master data audit trail
+ */
+const recordAudit = async (req, entity, recordId, action, oldValues, newValues) => {
+  const { error } = await supabase
+    .from('master_data_audit')
+    .insert({
+      table_name: entity.table,
+      record_id: recordId,
+      action,
+      old_values: oldValues,
+      new_values: newValues,
+      changed_by: req.user?.id || null
+    });
+
+  if (error) throw error;
+};
+
+const notFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Record not found',
+    'id'
+  )
+);
+
+/**
+ * List master records, including deactivated ones
+ * GET /api/department/master/:entity?includeInactive=true
+ */
+export const listMasterRecords = async (req, res, next) => {
+  try {
+    const entity = resolveEntity(req, res);
+    if (!entity) return;
+
+    const { includeInactive, limit = 100, offset = 0 } = req.query;
+
+    let query = supabase
+      .from(entity.table)
+      .select('*')
+      .order(entity.orderColumn)
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (includeInactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse(data || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a master record
+ * POST /api/department/master/:entity
+ */
+export const createMasterRecord = async (req, res, next) => {
+  try {
+    const entity = resolveEntity(req, res);
+    if (!entity) return;
+
+    const missing = entity.required.filter(key => req.body[key] === undefined || req.body[key] === null || req.body[key] === '');
+
+    if (missing.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Missing required fields: ${missing.join(', ')}`,
+          'validation',
+          missing
+        )
+      );
+    }
+
+    const values = toColumns(entity, req.body);
+
+    const invalidParent = await findInvalidParent(entity, values);
+    if (invalidParent) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `${invalidParent} does not refer to an active record`,
+          invalidParent
+        )
+      );
+    }
+
+    const { data: record, error } = await supabase
+      .from(entity.table)
+      .insert({ ...values, is_active: true })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, entity, record[entity.idColumn], 'create', null, record);
+    invalidateCache(entity.cache);
+
+    res.status(201).json(successResponse(record));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a master record
+ * PUT /api/department/master/:entity/:id
+ *
+ * Only the fields sent are changed. `isActive: true` reactivates a record.
+ */
+export const updateMasterRecord = async (req, res, next) => {
+  try {
+    const entity = resolveEntity(req, res);
+    if (!entity) return;
+
+    const existing = await fetchRecord(entity, req.params.id);
+    if (!existing) return notFound(res);
+
+    const values = toColumns(entity, req.body);
+
+    const clearedRequired = entity.required.filter(key => values[entity.fields[key]] === null);
+    if (clearedRequired.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Required fields cannot be cleared: ${clearedRequired.join(', ')}`,
+          'validation',
+          clearedRequired
+        )
+      );
+    }
+
+    if (req.body.isActive === true) {
+      values.is_active = true;
+    }
+
+    // Keep only real changes so the audit trail stays meaningful
+    const oldValues = {};
+    const newValues = {};
+    Object.entries(values).forEach(([column, value]) => {
+      if (String(existing[column] ?? '') !== String(value ?? '')) {
+        oldValues[column] = existing[column];
+        newValues[column] = value;
+      }
+    });
+
+    if (Object.keys(newValues).length === 0) {
+      return res.json(successResponse(existing));
+    }
+
+    const invalidParent = await findInvalidParent(entity, newValues);
+    if (invalidParent) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `${invalidParent} does not refer to an active record`,
+          invalidParent
+        )
+      );
+    }
+
+    const { data: record, error } = await supabase
+      .from(entity.table)
+      .update(newValues)
+      .eq(entity.idColumn, req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const action = newValues.is_active === true ? 'reactivate' : 'update';
+    await recordAudit(req, entity, record[entity.idColumn], action, oldValues, newValues);
+    invalidateCache(entity.cache);
+
+    res.json(successResponse(record));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate (soft delete) a master record
+ * DELETE /api/department/master/:entity/:id
+ *
+ * The row stays so existing foreign keys remain valid; it just stops being
+ * offered in the public dropdowns.
+ */
+export const deactivateMasterRecord = async (req, res, next) => {
+  try {
+    const entity = resolveEntity(req, res);
+    if (!entity) return;
+
+    const existing = await fetchRecord(entity, req.params.id);
+    if (!existing) return notFound(res);
+
+    if (!existing.is_active) {
+      return res.json(successResponse({
+        message: 'Record is already inactive',
+        data: existing
+      }));
+    }
+
+    const { data: record, error } = await supabase
+      .from(entity.table)
+      .update({ is_active: false })
+      .eq(entity.idColumn, req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, entity, record[entity.idColumn], 'deactivate', { is_active: true }, { is_active: false });
+    invalidateCache(entity.cache);
+
+    res.json(successResponse({
+      message: 'Record deactivated successfully',
+      data: record
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the audit trail of a master record
+ * GET /api/department/master/:entity/:id/audit
+ */
+export const getMasterRecordAudit = async (req, res, next) => {
+  try {
+    const entity = resolveEntity(req, res);
+    if (!entity) return;
+
+    const { data, error } = await supabase
+      .from('master_data_audit')
+      .select(`
+        *,
+        department_user:changed_by (
+          department_user_id,
+          first_name,
+          last_name,
+          email_id
+        )
+      `)
+      .eq('table_name', entity.table)
+      .eq('record_id', req.params.id)
+      .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(successResponse(data || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,65 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { formatNotification } from '../utils/notifications.js';
+
+/**
+ * Get an establishment's notifications (newest first)
+ * GET /api/establishment/:establishmentId/notifications?unread=true&limit=&offset=
+ */
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('establishment_notification')
+      .select('*')
+      .eq('establishment_id', req.params.establishmentId)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (unread === 'true') query = query.is('read_at', null);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatNotification)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * PUT /api/establishment/:establishmentId/notifications/:notificationId/read
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('establishment_notification')
+      .update({ read_at: new Date().toISOString() })
+      .eq('notification_id', req.params.notificationId)
+      .eq('establishment_id', req.params.establishmentId)
+      .is('read_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'No unread notification with this id',
+          'notificationId'
+        )
+      );
+    }
+
+    res.json(successResponse(formatNotification(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,569 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validateDate } from '../utils/validation.js';
+import { getEstablishmentTimeZone } from '../utils/dateTime.js';
+import { resolveShift, checkInShiftColumns, lateMinutes, earlyExitMinutes } from '../utils/shifts.js';
+import { canAccessAttendance, scopedColumns, scopeAttendanceQuery } from '../middleware/attendancePolicy.js';
+
+const REGULARIZATION_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_SESSION_HOURS = 24;
+
+const REGULARIZATION_SELECT = `
+  *,
+  worker:worker_id (worker_id, full_name),
+  establishment:establishment_id (establishment_id, establishment_name)
+`;
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+const regularizationNotFound = (res) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    'Regularization request not found',
+    'regularizationId'
+  )
+);
+
+/**
+ * Who the caller acts as, for the audit columns: { type, id }
+ */
+const actorOf = (scope) => {
+  if (scope.role === 'worker') return { type: 'worker', id: scope.workerId };
+  if (scope.role === 'establishment') return { type: 'establishment', id: scope.establishmentId };
+  return { type: 'department', id: scope.departmentUserId };
+};
+
+const formatRegularization = (row) => ({
+  regularizationId: row.regularization_id,
+  attendanceId: row.attendance_id,
+  establishmentId: row.establishment_id,
+  establishmentName: row.establishment?.establishment_name ?? null,
+  workerId: row.worker_id,
+  workerName: row.worker?.full_name ?? null,
+  original: {
+    checkIn: row.original_check_in,
+    checkOut: row.original_check_out
+  },
+  requested: {
+    checkIn: row.requested_check_in,
+    checkOut: row.requested_check_out
+  },
+  reason: row.reason,
+  status: row.status,
+  requestedBy: { type: row.requested_by_type, id: row.requested_by_id },
+  decidedBy: row.decided_by_type ? { type: row.decided_by_type, id: row.decided_by_id } : null,
+  decidedAt: row.decided_at,
+  decisionRemarks: row.decision_remarks,
+  createdAt: row.created_at
+});
+
+/**
+ * Active establishment_worker link of a worker at an establishment
+ */
+const findWorkerLink = async (establishmentId, workerId) => {
+  const { data, error } = await supabase
+    .from('establishment_worker')
+    .select('estmt_worker_id')
+    .eq('establishment_id', establishmentId)
+    .eq('worker_id', workerId)
+    .eq('status', 'active')
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Why a missed session from `checkIn` to `checkOut` (ISO timestamps) cannot
+ * be added for a worker, or null: it overlaps one of the worker's sessions,
+ * or another missed session pending or being approved. `regularizationId`
+ * leaves out the request being checked.
+ */
+const findOverlap = async (workerId, checkIn, checkOut, regularizationId = null) => {
+  const { data: sessions, error: sessionsError } = await supabase
+    .from('attendance')
+    .select('attendance_id')
+    .eq('worker_id', workerId)
+    .lt('check_in_date_time', checkOut)
+    .or(`check_out_date_time.is.null,check_out_date_time.gt.${checkIn}`)
+    .limit(1);
+
+  if (sessionsError) throw sessionsError;
+
+  if (sessions.length > 0) {
+    return `Worker already has attendance ${sessions[0].attendance_id} in this period`;
+  }
+
+  // Approved ones without an attendance row are being applied right now
+  let requestsQuery = supabase
+    .from('attendance_regularization')
+    .select('regularization_id')
+    .eq('worker_id', workerId)
+    .is('attendance_id', null)
+    .in('status', ['pending', 'approved'])
+    .lt('requested_check_in', checkOut)
+    .gt('requested_check_out', checkIn)
+    .limit(1);
+
+  if (regularizationId) requestsQuery = requestsQuery.neq('regularization_id', regularizationId);
+
+  const { data: requests, error: requestsError } = await requestsQuery;
+
+  if (requestsError) throw requestsError;
+
+  if (requests.length > 0) {
+    return `Regularization ${requests[0].regularization_id} already covers this period`;
+  }
+
+  return null;
+};
+
+const overlapConflict = (res, message) => res.status(409).json(
+  errorResponse(
+    ERROR_CODES.DUPLICATE_ENTRY,
+    message,
+    'checkInDateTime'
+  )
+);
+
+/**
+ * Request a correction to a punch, or a session that was never punched
+ * POST /api/attendance/regularizations
+ *
+ * Body: { attendanceId, checkInDateTime?, checkOutDateTime?, reason } to
+ * correct a session, or { establishmentId | workerId, checkInDateTime,
+ * checkOutDateTime, reason } for a missed one (workers name the establishment,
+ * establishments the worker). Workers and establishments only.
+ */
+export const createRegularization = async (req, res, next) => {
+  try {
+    const requester = actorOf(req.attendanceScope);
+
+    const { attendanceId, checkInDateTime, checkOutDateTime } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return validationError(res, 'reason is required', 'reason');
+    }
+
+    if (!checkInDateTime && !checkOutDateTime) {
+      return validationError(res, 'Send the corrected checkInDateTime, checkOutDateTime or both', 'checkInDateTime');
+    }
+
+    for (const [field, value] of [['checkInDateTime', checkInDateTime], ['checkOutDateTime', checkOutDateTime]]) {
+      if (!value) continue;
+      if (!validateDate(value)) return validationError(res, `${field} must be a valid timestamp`, field);
+      if (new Date(value) > new Date()) return validationError(res, `${field} cannot be in the future`, field);
+    }
+
+    const requestedCheckIn = checkInDateTime ? new Date(checkInDateTime).toISOString() : null;
+    const requestedCheckOut = checkOutDateTime ? new Date(checkOutDateTime).toISOString() : null;
+    let target;
+
+    if (attendanceId) {
+      const { data: attendance, error: attendanceError } = await supabase
+        .from('attendance')
+        .select(scopedColumns('attendance_id, establishment_id, worker_id, check_in_date_time, check_out_date_time', req.attendanceScope))
+        .eq('attendance_id', attendanceId)
+        .maybeSingle();
+
+      if (attendanceError) throw attendanceError;
+
+      if (!attendance || !canAccessAttendance(req.attendanceScope, attendance)) {
+        return res.status(404).json(
+          errorResponse(
+            ERROR_CODES.NOT_FOUND,
+            'Attendance record not found',
+            'attendanceId'
+          )
+        );
+      }
+
+      target = {
+        attendance_id: attendance.attendance_id,
+        establishment_id: attendance.establishment_id,
+        worker_id: attendance.worker_id,
+        original_check_in: attendance.check_in_date_time,
+        original_check_out: attendance.check_out_date_time
+      };
+    } else {
+      const establishmentId = requester.type === 'establishment' ? requester.id : req.body.establishmentId;
+      const workerId = requester.type === 'worker' ? requester.id : req.body.workerId;
+
+      if (!establishmentId || !workerId) {
+        return validationError(
+          res,
+          requester.type === 'worker' ? 'establishmentId is required for a missed session' : 'workerId is required for a missed session',
+          requester.type === 'worker' ? 'establishmentId' : 'workerId'
+        );
+      }
+
+      if (!requestedCheckIn || !requestedCheckOut) {
+        return validationError(res, 'A missed session needs both checkInDateTime and checkOutDateTime', 'checkInDateTime');
+      }
+
+      if (!(await findWorkerLink(establishmentId, workerId))) {
+        return validationError(res, 'Worker is not working at this establishment', 'workerId');
+      }
+
+      target = {
+        attendance_id: null,
+        establishment_id: establishmentId,
+        worker_id: workerId,
+        original_check_in: null,
+        original_check_out: null
+      };
+    }
+
+    const checkIn = Date.parse(requestedCheckIn || target.original_check_in);
+    const checkOut = requestedCheckOut || target.original_check_out ? Date.parse(requestedCheckOut || target.original_check_out) : null;
+
+    if (checkOut !== null && checkOut <= checkIn) {
+      return validationError(res, 'Check-out must be after check-in', 'checkOutDateTime');
+    }
+
+    if (checkOut !== null && checkOut - checkIn > MAX_SESSION_HOURS * 60 * 60 * 1000) {
+      return validationError(res, `A session cannot be longer than ${MAX_SESSION_HOURS} hours`, 'checkOutDateTime');
+    }
+
+    if (!target.attendance_id) {
+      const overlap = await findOverlap(target.worker_id, requestedCheckIn, requestedCheckOut);
+      if (overlap) return overlapConflict(res, overlap);
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_regularization')
+      .insert({
+        ...target,
+        requested_check_in: requestedCheckIn,
+        requested_check_out: requestedCheckOut,
+        reason,
+        requested_by_type: requester.type,
+        requested_by_id: requester.id
+      })
+      .select(REGULARIZATION_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(
+          errorResponse(
+            ERROR_CODES.DUPLICATE_ENTRY,
+            'A regularization request for this attendance is already pending',
+            'attendanceId'
+          )
+        );
+      }
+      throw error;
+    }
+
+    res.status(201).json(successResponse(formatRegularization(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get regularization requests (oldest first)
+ * GET /api/attendance/regularizations?status=pending&establishmentId=&workerId=
+ *
+ * Workers see their own requests, establishments their site's and department
+ * users their district's.
+ */
+export const getRegularizations = async (req, res, next) => {
+  try {
+    const scope = req.attendanceScope;
+    const { status = 'pending', limit = 100, offset = 0 } = req.query;
+
+    if (status !== 'all' && !REGULARIZATION_STATUSES.includes(status)) {
+      return validationError(res, `status must be one of: ${REGULARIZATION_STATUSES.join(', ')}, all`, 'status');
+    }
+
+    let query = supabase
+      .from('attendance_regularization')
+      .select(scopedColumns(REGULARIZATION_SELECT, scope))
+      .order('created_at', { ascending: true })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status !== 'all') query = query.eq('status', status);
+
+    query = scopeAttendanceQuery(query, scope);
+
+    if (req.query.establishmentId) {
+      query = query.eq('establishment_id', req.query.establishmentId);
+    }
+
+    if (scope.role !== 'worker' && req.query.workerId) {
+      query = query.eq('worker_id', req.query.workerId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatRegularization)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Write an approved request into attendance, keeping the first recorded punch
+ * Returns the attendance row. Each path makes one lasting change, so a failure
+ * leaves attendance as it was and the claim can be released.
+ */
+const applyRegularization = async (request, decider, decidedAt) => {
+  if (!request.attendance_id) {
+    // Missed session: a new, closed row attached to its shift like a punch
+    const checkIn = new Date(request.requested_check_in);
+    const checkOut = new Date(request.requested_check_out);
+    const timeZone = await getEstablishmentTimeZone(request.establishment_id);
+    const shift = await resolveShift(request.establishment_id, request.worker_id, checkIn, timeZone);
+    const shiftColumns = checkInShiftColumns(shift, checkIn, timeZone);
+    const link = await findWorkerLink(request.establishment_id, request.worker_id);
+
+    const { data, error } = await supabase
+      .from('attendance')
+      .insert({
+        establishment_id: request.establishment_id,
+        worker_id: request.worker_id,
+        estmt_worker_id: link?.estmt_worker_id ?? null,
+        work_location: '',
+        check_in_date_time: checkIn.toISOString(),
+        check_out_date_time: checkOut.toISOString(),
+        ...shiftColumns,
+        early_exit_minutes: shift ? earlyExitMinutes(shift.shift, shiftColumns.scheduled_end, checkOut) : null,
+        regularization_id: request.regularization_id,
+        regularized_at: decidedAt,
+        status: 'o'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: linkError } = await supabase
+      .from('attendance_regularization')
+      .update({ attendance_id: data.attendance_id })
+      .eq('regularization_id', request.regularization_id);
+
+    if (linkError) {
+      // Drop the new session so approving again does not add a second one
+      const { error: undoError } = await supabase
+        .from('attendance')
+        .delete()
+        .eq('attendance_id', data.attendance_id);
+
+      if (undoError) console.error(`⚠️  Regularization ${request.regularization_id}: could not remove attendance ${data.attendance_id}:`, undoError.message);
+      throw linkError;
+    }
+
+    return data;
+  }
+
+  const { data: attendance, error: attendanceError } = await supabase
+    .from('attendance')
+    .select('*, shift:shift_id (grace_minutes)')
+    .eq('attendance_id', request.attendance_id)
+    .single();
+
+  if (attendanceError) throw attendanceError;
+
+  const checkIn = request.requested_check_in || attendance.check_in_date_time;
+  const checkOut = request.requested_check_out || attendance.check_out_date_time;
+
+  const updates = {
+    check_in_date_time: checkIn,
+    check_out_date_time: checkOut,
+    status: checkOut ? 'o' : 'i',
+    regularization_id: request.regularization_id,
+    regularized_at: decidedAt
+  };
+
+  // Only the first correction records the original punch
+  if (!attendance.regularized_at) {
+    updates.original_check_in_date_time = attendance.check_in_date_time;
+    updates.original_check_out_date_time = attendance.check_out_date_time;
+  }
+
+  if (attendance.shift_id && attendance.shift) {
+    updates.late_minutes = lateMinutes(attendance.shift, { start: new Date(attendance.scheduled_start) }, new Date(checkIn));
+    updates.early_exit_minutes = checkOut
+      ? earlyExitMinutes(attendance.shift, attendance.scheduled_end, new Date(checkOut))
+      : null;
+  }
+
+  // A corrected check-out settles an automatic check-out held for review.
+  // Only a review raised by the auto check-out itself: one raised for the
+  // punch (e.g. outside the geofence) still needs a reviewer's decision
+  const heldOnlyForAutoClose = attendance.review_status === 'pending'
+    && attendance.review_reason === 'auto_closed'
+    && attendance.auto_closed_at !== null;
+
+  if (heldOnlyForAutoClose && request.requested_check_out) {
+    Object.assign(updates, {
+      review_status: 'accepted',
+      review_remarks: `Check-out corrected by regularization ${request.regularization_id}`,
+      reviewed_by_type: decider.type,
+      reviewed_by_id: decider.id,
+      reviewed_at: decidedAt
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('attendance')
+    .update(updates)
+    .eq('attendance_id', attendance.attendance_id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Put an approved request whose correction could not be applied back to
+ * pending, so it can be decided again
+ */
+const releaseApproval = async (request, decidedAt) => {
+  const { error } = await supabase
+    .from('attendance_regularization')
+    .update({
+      status: 'pending',
+      decided_by_type: null,
+      decided_by_id: null,
+      decided_at: null,
+      decision_remarks: null
+    })
+    .eq('regularization_id', request.regularization_id)
+    .eq('status', 'approved')
+    .eq('decided_at', decidedAt);
+
+  if (error) console.error(`⚠️  Regularization ${request.regularization_id}: could not release approval:`, error.message);
+};
+
+/**
+ * Approve or reject a pending request within the caller's scope
+ */
+const decide = async (req, res, decision) => {
+  const decider = actorOf(req.attendanceScope);
+
+  const remarks = (req.body.remarks || '').trim();
+
+  if (decision === 'rejected' && !remarks) {
+    return validationError(res, 'Remarks are required', 'remarks');
+  }
+
+  let lookup = supabase
+    .from('attendance_regularization')
+    .select(scopedColumns('status, requested_by_type, requested_by_id', req.attendanceScope))
+    .eq('regularization_id', req.params.regularizationId);
+
+  lookup = scopeAttendanceQuery(lookup, req.attendanceScope);
+
+  const { data: existing, error: lookupError } = await lookup.maybeSingle();
+
+  if (lookupError) throw lookupError;
+  if (!existing) return regularizationNotFound(res);
+
+  if (existing.status !== 'pending') {
+    return validationError(res, `Request is already ${existing.status}`, 'status');
+  }
+
+  // Nobody decides their own request; an establishment's goes to the department
+  if (existing.requested_by_type === decider.type && String(existing.requested_by_id) === String(decider.id)) {
+    return res.status(403).json(
+      errorResponse(
+        ERROR_CODES.AUTHORIZATION_ERROR,
+        'You cannot decide a request you raised; the department decides it',
+        'regularizationId'
+      )
+    );
+  }
+
+  const decidedAt = new Date().toISOString();
+
+  // Claim the request first so it is applied once
+  const { data: request, error } = await supabase
+    .from('attendance_regularization')
+    .update({
+      status: decision,
+      decided_by_type: decider.type,
+      decided_by_id: decider.id,
+      decided_at: decidedAt,
+      decision_remarks: remarks || null
+    })
+    .eq('regularization_id', req.params.regularizationId)
+    .eq('status', 'pending')
+    .select(REGULARIZATION_SELECT)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // Decided by someone else in the meantime
+  if (!request) {
+    return validationError(res, 'Request has already been decided', 'status');
+  }
+
+  let attendance = null;
+
+  if (decision === 'approved') {
+    try {
+      // Sessions may have been punched or approved since the request was raised
+      const overlap = request.attendance_id
+        ? null
+        : await findOverlap(request.worker_id, request.requested_check_in, request.requested_check_out, request.regularization_id);
+
+      if (overlap) {
+        await releaseApproval(request, decidedAt);
+        return overlapConflict(res, overlap);
+      }
+
+      attendance = await applyRegularization(request, decider, decidedAt);
+    } catch (applyError) {
+      await releaseApproval(request, decidedAt);
+      throw applyError;
+    }
+  }
+
+  res.json(successResponse({
+    message: `Regularization ${decision}`,
+    regularization: formatRegularization({ ...request, attendance_id: attendance?.attendance_id ?? request.attendance_id }),
+    attendance
+  }));
+};
+
+/**
+ * Approve a regularization request; the attendance row takes the new times
+ * PUT /api/attendance/regularizations/:regularizationId/approve
+ */
+export const approveRegularization = async (req, res, next) => {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a regularization request
+ * PUT /api/attendance/regularizations/:regularizationId/reject
+ *
+ * Body: { remarks } (required)
+ */
+export const rejectRegularization = async (req, res, next) => {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    next(error);
+  }
+};
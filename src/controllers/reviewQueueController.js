@@ -0,0 +1,248 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { validateDate } from '../utils/validation.js';
+import { countDocumentsByOwner } from '../utils/documents.js';
+import { computeSla } from '../utils/reviewSla.js';
+import { applyDateRange } from '../utils/dateTime.js';
+
+const APPLICATION_TYPES = {
+  worker: { table: 'worker', idColumn: 'worker_id', registrationPrefix: 'WK', idPrefix: 'W' },
+  establishment: { table: 'establishment', idColumn: 'establishment_id', registrationPrefix: 'EST', idPrefix: 'E' }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Cursors are opaque to clients: the sort key of the last item returned
+ */
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify({ s: row.submitted_at, q: row.queue_id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, q } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return s && q && validateDate(s) ? { submittedAt: s, queueId: q } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Map ids to names for a lookup table
+ */
+const loadNames = async (table, idColumn, nameSelect, ids) => {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from(table)
+    .select(`${idColumn}, ${nameSelect}`)
+    .in(idColumn, uniqueIds);
+
+  if (error) throw error;
+  return new Map((data || []).map(row => [row[idColumn], row]));
+};
+
+const invalidFilter = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+/**
+ * Get applications for review (workers and establishments in one queue)
+ * GET /api/department/applications
+ *
+ * Filters: type, status (default: everything awaiting review), districtId,
+ * mandalId, from, to (submission dates), assignedTo (me | unassigned | id).
+ * Oldest first; pass the returned nextCursor as `cursor` for the next page.
+ */
+export const getApplicationsForReview = async (req, res, next) => {
+  try {
+    const { type, status, districtId, mandalId, from, to, assignedTo, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    if (type && !APPLICATION_TYPES[type]) {
+      return invalidFilter(res, `type must be one of: ${Object.keys(APPLICATION_TYPES).join(', ')}`, 'type');
+    }
+
+    if ((from && !validateDate(from)) || (to && !validateDate(to))) {
+      return invalidFilter(res, 'from and to must be valid dates', from && !validateDate(from) ? 'from' : 'to');
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return invalidFilter(res, 'Invalid cursor', 'cursor');
+    }
+
+    let query = supabase
+      .from('review_queue')
+      .select('*')
+      .order('submitted_at', { ascending: true })
+      .order('queue_id', { ascending: true })
+      .limit(limit + 1);
+
+    if (type) query = query.eq('item_type', type);
+    query = status ? query.eq('status', status) : query.eq('awaiting_review', true);
+    if (districtId) query = query.eq('district_id', districtId);
+    if (mandalId) query = query.eq('city_id', mandalId);
+    query = applyDateRange(query, 'submitted_at', { from, to });
+
+    if (assignedTo === 'unassigned') {
+      query = query.is('reviewer_id', null);
+    } else if (assignedTo === 'me') {
+      query = query.eq('reviewer_id', req.user.id);
+    } else if (assignedTo) {
+      query = query.eq('reviewer_id', assignedTo);
+    }
+
+    if (after) {
+      query = query.or(
+        `submitted_at.gt."${after.submittedAt}",and(submitted_at.eq."${after.submittedAt}",queue_id.gt."${after.queueId}")`
+      );
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const rows = (data || []).slice(0, limit);
+    const hasMore = (data || []).length > limit;
+
+    const idsOf = (itemType) => rows.filter(r => r.item_type === itemType).map(r => r.item_id);
+    const [workerDocuments, establishmentDocuments, districts, mandals, reviewers] = await Promise.all([
+      countDocumentsByOwner('worker', idsOf('worker')),
+      countDocumentsByOwner('establishment', idsOf('establishment')),
+      loadNames('district', 'district_id', 'district_name', rows.map(r => r.district_id)),
+      loadNames('city_mandal', 'city_id', 'city_name', rows.map(r => r.city_id)),
+      loadNames('department_user', 'department_user_id', 'first_name, last_name', rows.map(r => r.reviewer_id))
+    ]);
+
+    const now = new Date();
+    const applications = rows.map(row => {
+      const config = APPLICATION_TYPES[row.item_type];
+      const sla = computeSla(row.item_type, row.submitted_at, now);
+      const reviewer = reviewers.get(row.reviewer_id);
+
+      return {
+        id: `${config.idPrefix}${row.item_id}`,
+        type: row.item_type,
+        itemId: row.item_id,
+        applicantName: row.applicant_name,
+        registrationId: `${config.registrationPrefix}${row.item_id}`,
+        submissionDate: row.submitted_at,
+        status: row.status,
+        priority: sla.priority,
+        sla: {
+          dueAt: sla.dueAt,
+          waitingHours: sla.waitingHours,
+          overdue: sla.overdue
+        },
+        contactInfo: {
+          mobile: row.mobile_number,
+          email: row.email_id
+        },
+        location: {
+          district: districts.get(row.district_id)?.district_name || '',
+          mandal: mandals.get(row.city_id)?.city_name || ''
+        },
+        assignedTo: row.reviewer_id ? {
+          departmentUserId: row.reviewer_id,
+          name: reviewer ? `${reviewer.first_name} ${reviewer.last_name || ''}`.trim() : null,
+          assignedAt: row.reviewer_assigned_at
+        } : null,
+        documents: (row.item_type === 'worker' ? workerDocuments : establishmentDocuments).get(row.item_id)
+      };
+    });
+
+    res.json(successResponse({
+      applications,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign an application to a reviewer
+ * PUT /api/department/applications/:type/:itemId/assign
+ *
+ * Body { reviewerId } assigns to that department user, { reviewerId: null }
+ * clears the assignment, and an empty body assigns it to the caller.
+ */
+export const assignApplication = async (req, res, next) => {
+  try {
+    const { type, itemId } = req.params;
+    const config = APPLICATION_TYPES[type];
+
+    if (!config) {
+      return invalidFilter(res, `type must be one of: ${Object.keys(APPLICATION_TYPES).join(', ')}`, 'type');
+    }
+
+    const reviewerId = req.body.reviewerId === undefined ? req.user.id : req.body.reviewerId;
+
+    const { data: item, error: itemError } = await supabase
+      .from('review_queue')
+      .select('queue_id, awaiting_review')
+      .eq('queue_id', `${type}:${itemId}`)
+      .maybeSingle();
+
+    if (itemError) throw itemError;
+
+    if (!item) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Application not found',
+          'itemId'
+        )
+      );
+    }
+
+    if (!item.awaiting_review && reviewerId !== null) {
+      return invalidFilter(res, 'Only applications awaiting review can be assigned', 'status');
+    }
+
+    if (reviewerId !== null) {
+      const { data: reviewer, error: reviewerError } = await supabase
+        .from('department_user')
+        .select('department_user_id, status')
+        .eq('department_user_id', reviewerId)
+        .maybeSingle();
+
+      if (reviewerError) throw reviewerError;
+
+      if (!reviewer || reviewer.status !== 'active') {
+        return invalidFilter(res, 'reviewerId must be an active department user', 'reviewerId');
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from(config.table)
+      .update({
+        reviewer_id: reviewerId,
+        reviewer_assigned_at: reviewerId === null ? null : new Date().toISOString()
+      })
+      .eq(config.idColumn, itemId)
+      .select(`${config.idColumn}, status, reviewer_id, reviewer_assigned_at`)
+      .single();
+
+    if (error) throw error;
+
+    res.json(successResponse({
+      message: reviewerId === null ? 'Assignment cleared' : 'Application assigned',
+      type,
+      itemId: updated[config.idColumn],
+      reviewerId: updated.reviewer_id,
+      assignedAt: updated.reviewer_assigned_at
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,423 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { TIME_OF_DAY, formatShift, formatRosterEntry } from '../utils/shifts.js';
+import { toZonedDate, addDays, getEstablishmentTimeZone } from '../utils/dateTime.js';
+
+const MAX_GRACE_MINUTES = 240;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const validationError = (res, message, target) => res.status(400).json(
+  errorResponse(
+    ERROR_CODES.VALIDATION_ERROR,
+    message,
+    target
+  )
+);
+
+const notFound = (res, message, target) => res.status(404).json(
+  errorResponse(
+    ERROR_CODES.NOT_FOUND,
+    message,
+    target
+  )
+);
+
+const isValidDate = (value) => DATE_ONLY.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Check a shift's times, merged over the current row when updating
+ * Returns { columns } or { error, target }.
+ */
+const parseShift = (body, current = {}) => {
+  const columns = {};
+
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return { error: 'name cannot be empty', target: 'name' };
+    columns.name = String(body.name).trim().slice(0, 60);
+  }
+
+  for (const [field, column] of [['startTime', 'start_time'], ['endTime', 'end_time']]) {
+    if (body[field] === undefined) continue;
+    if (!TIME_OF_DAY.test(body[field])) return { error: `${field} must be a time as HH:MM`, target: field };
+    columns[column] = body[field];
+  }
+
+  for (const [field, column] of [['graceMinutes', 'grace_minutes'], ['breakMinutes', 'break_minutes']]) {
+    if (body[field] === undefined) continue;
+    const minutes = Number(body[field]);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      return { error: `${field} must be a whole number of minutes`, target: field };
+    }
+    columns[column] = minutes;
+  }
+
+  const shift = { ...current, ...columns };
+
+  if (!shift.start_time || !shift.end_time) {
+    return { error: 'startTime and endTime are required', target: 'startTime' };
+  }
+
+  // Compare as HH:MM:SS so 22:00 and 22:00:00 are the same time
+  const normalize = (time) => (time.length === 5 ? `${time}:00` : time);
+  const crossesMidnight = normalize(shift.end_time) <= normalize(shift.start_time);
+
+  if (body.isOvernight !== undefined && Boolean(body.isOvernight) !== crossesMidnight) {
+    return {
+      error: crossesMidnight
+        ? 'A shift ending at or before its start time is overnight'
+        : 'An overnight shift must end at or before its start time',
+      target: 'isOvernight'
+    };
+  }
+  columns.is_overnight = crossesMidnight;
+
+  if ((shift.grace_minutes ?? 0) > MAX_GRACE_MINUTES) {
+    return { error: `graceMinutes cannot exceed ${MAX_GRACE_MINUTES}`, target: 'graceMinutes' };
+  }
+
+  const [startHour, startMinute] = shift.start_time.split(':').map(Number);
+  const [endHour, endMinute] = shift.end_time.split(':').map(Number);
+  const span = (endHour * 60 + endMinute) - (startHour * 60 + startMinute);
+  if ((shift.break_minutes ?? 0) >= (span <= 0 ? span + 24 * 60 : span)) {
+    return { error: 'breakMinutes must be shorter than the shift', target: 'breakMinutes' };
+  }
+
+  return { columns };
+};
+
+/**
+ * Get an establishment's shift templates
+ * GET /api/establishment/:establishmentId/shifts?includeInactive=true
+ */
+export const getShifts = async (req, res, next) => {
+  try {
+    let query = supabase
+      .from('shift_template')
+      .select('*')
+      .eq('establishment_id', req.params.establishmentId)
+      .order('start_time', { ascending: true });
+
+    if (req.query.includeInactive !== 'true') query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse((data || []).map(formatShift)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a shift template
+ * POST /api/establishment/:establishmentId/shifts
+ *
+ * Body: { name, startTime, endTime (HH:MM, local), graceMinutes, breakMinutes,
+ * isOvernight (optional, must agree with the times) }
+ */
+export const createShift = async (req, res, next) => {
+  try {
+    if (!String(req.body.name || '').trim()) {
+      return validationError(res, 'name is required', 'name');
+    }
+
+    const parsed = parseShift(req.body, { grace_minutes: 10, break_minutes: 0 });
+    if (parsed.error) return validationError(res, parsed.error, parsed.target);
+
+    const { data, error } = await supabase
+      .from('shift_template')
+      .insert({
+        establishment_id: parseInt(req.params.establishmentId),
+        ...parsed.columns
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(successResponse(formatShift(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a shift template
+ * PUT /api/establishment/:establishmentId/shifts/:shiftId
+ *
+ * Body: any of the createShift fields, or isActive. Punches already attached
+ * keep the times they were scheduled for.
+ */
+export const updateShift = async (req, res, next) => {
+  try {
+    const { data: current, error: currentError } = await supabase
+      .from('shift_template')
+      .select('*')
+      .eq('shift_id', req.params.shiftId)
+      .eq('establishment_id', req.params.establishmentId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+    if (!current) return notFound(res, 'Shift not found', 'shiftId');
+
+    const parsed = parseShift(req.body, current);
+    if (parsed.error) return validationError(res, parsed.error, parsed.target);
+
+    const updates = { ...parsed.columns, updated_at: new Date().toISOString() };
+    if (req.body.isActive !== undefined) updates.is_active = Boolean(req.body.isActive);
+
+    const { data, error } = await supabase
+      .from('shift_template')
+      .update(updates)
+      .eq('shift_id', current.shift_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(successResponse(formatShift(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch a shift template off (kept so past punches still refer to it)
+ * DELETE /api/establishment/:establishmentId/shifts/:shiftId
+ */
+export const deactivateShift = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('shift_template')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('shift_id', req.params.shiftId)
+      .eq('establishment_id', req.params.establishmentId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return notFound(res, 'Shift not found', 'shiftId');
+
+    res.json(successResponse({
+      message: 'Shift deactivated',
+      shift: formatShift(data)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an establishment's roster
+ * GET /api/establishment/:establishmentId/roster?date=&workerId=&shiftId=
+ *
+ * date (default today, the establishment's day) lists entries in force that day.
+ */
+export const getRoster = async (req, res, next) => {
+  try {
+    const { establishmentId } = req.params;
+    const { workerId, shiftId } = req.query;
+    const date = req.query.date || toZonedDate(new Date(), await getEstablishmentTimeZone(establishmentId));
+
+    if (!isValidDate(date)) {
+      return validationError(res, 'date must be YYYY-MM-DD', 'date');
+    }
+
+    let query = supabase
+      .from('shift_roster')
+      .select(`
+        *,
+        worker:worker_id (worker_id, full_name),
+        shift:shift_id (shift_id, name)
+      `)
+      .eq('establishment_id', establishmentId)
+      .lte('effective_from', date)
+      .or(`effective_to.is.null,effective_to.gte.${date}`)
+      .order('worker_id', { ascending: true });
+
+    if (workerId) query = query.eq('worker_id', workerId);
+    if (shiftId) query = query.eq('shift_id', shiftId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse({
+      date,
+      roster: (data || []).map(formatRosterEntry)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put a worker on a shift
+ * POST /api/establishment/:establishmentId/roster
+ *
+ * Body: { workerId, shiftId, effectiveFrom, effectiveTo (optional, inclusive) }
+ * A worker has one shift at a time; end the current entry first.
+ */
+export const assignShift = async (req, res, next) => {
+  try {
+    const { establishmentId } = req.params;
+    const { workerId, shiftId, effectiveFrom, effectiveTo = null } = req.body;
+
+    if (!workerId || !shiftId || !effectiveFrom) {
+      return validationError(res, 'workerId, shiftId and effectiveFrom are required', 'validation');
+    }
+
+    if (!isValidDate(effectiveFrom)) {
+      return validationError(res, 'effectiveFrom must be YYYY-MM-DD', 'effectiveFrom');
+    }
+
+    if (effectiveTo !== null && (!isValidDate(effectiveTo) || effectiveTo < effectiveFrom)) {
+      return validationError(res, 'effectiveTo must be YYYY-MM-DD, not before effectiveFrom', 'effectiveTo');
+    }
+
+    const [{ data: shift, error: shiftError }, { data: link, error: linkError }] = await Promise.all([
+      supabase
+        .from('shift_template')
+        .select('shift_id, is_active')
+        .eq('shift_id', shiftId)
+        .eq('establishment_id', establishmentId)
+        .maybeSingle(),
+      supabase
+        .from('establishment_worker')
+        .select('estmt_worker_id')
+        .eq('establishment_id', establishmentId)
+        .eq('worker_id', workerId)
+        .eq('status', 'active')
+        .limit(1)
+        .maybeSingle()
+    ]);
+
+    if (shiftError) throw shiftError;
+    if (linkError) throw linkError;
+
+    if (!shift || !shift.is_active) {
+      return validationError(res, 'shiftId must be an active shift of this establishment', 'shiftId');
+    }
+
+    if (!link) {
+      return validationError(res, 'Worker is not working at this establishment', 'workerId');
+    }
+
+    let overlapQuery = supabase
+      .from('shift_roster')
+      .select('roster_id, effective_from, effective_to')
+      .eq('establishment_id', establishmentId)
+      .eq('worker_id', workerId)
+      .or(`effective_to.is.null,effective_to.gte.${effectiveFrom}`);
+
+    if (effectiveTo) overlapQuery = overlapQuery.lte('effective_from', effectiveTo);
+
+    const { data: overlapping, error: overlapError } = await overlapQuery;
+
+    if (overlapError) throw overlapError;
+
+    if (overlapping && overlapping.length > 0) {
+      return res.status(409).json(
+        errorResponse(
+          ERROR_CODES.DUPLICATE_ENTRY,
+          'Worker is already rostered for part of this period',
+          'effectiveFrom',
+          overlapping.map(entry => ({
+            rosterId: entry.roster_id,
+            effectiveFrom: entry.effective_from,
+            effectiveTo: entry.effective_to
+          }))
+        )
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('shift_roster')
+      .insert({
+        establishment_id: parseInt(establishmentId),
+        worker_id: workerId,
+        shift_id: shift.shift_id,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo
+      })
+      .select(`
+        *,
+        worker:worker_id (worker_id, full_name),
+        shift:shift_id (shift_id, name)
+      `)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(successResponse(formatRosterEntry(data)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End a roster entry, or remove it if it has not started
+ * DELETE /api/establishment/:establishmentId/roster/:rosterId?endDate=
+ *
+ * endDate (default yesterday, the establishment's day) is the last day worked.
+ */
+export const endRosterEntry = async (req, res, next) => {
+  try {
+    const { establishmentId, rosterId } = req.params;
+    const endDate = req.query.endDate
+      || addDays(toZonedDate(new Date(), await getEstablishmentTimeZone(establishmentId)), -1);
+
+    if (!isValidDate(endDate)) {
+      return validationError(res, 'endDate must be YYYY-MM-DD', 'endDate');
+    }
+
+    const { data: entry, error: entryError } = await supabase
+      .from('shift_roster')
+      .select('*')
+      .eq('roster_id', rosterId)
+      .eq('establishment_id', establishmentId)
+      .maybeSingle();
+
+    if (entryError) throw entryError;
+    if (!entry) return notFound(res, 'Roster entry not found', 'rosterId');
+
+    if (endDate < entry.effective_from) {
+      const { error } = await supabase
+        .from('shift_roster')
+        .delete()
+        .eq('roster_id', entry.roster_id);
+
+      if (error) throw error;
+
+      return res.json(successResponse({ message: 'Roster entry removed', rosterId: entry.roster_id }));
+    }
+
+    if (entry.effective_to && entry.effective_to <= endDate) {
+      return validationError(res, `Roster entry already ends on ${entry.effective_to}`, 'endDate');
+    }
+
+    const { data, error } = await supabase
+      .from('shift_roster')
+      .update({ effective_to: endDate })
+      .eq('roster_id', entry.roster_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(successResponse({
+      message: 'Roster entry ended',
+      entry: formatRosterEntry(data)
+    }));
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,3 +1,4 @@
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
 import { supabase } from '../config/supabase.js';
 import { hashPassword, comparePassword, generateToken } from '../middleware/auth.js';
 import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
@@ -6,8 +7,122 @@ import {
   validateMobileNumber, 
   validateAadhaar, 
   validatePassword,
+  validatePincode,
+  validateDate,
   validateRequiredFields 
 } from '../utils/validation.js';
+import { isPincodeInDistrict } from '../utils/pincode.js';
+import { findAddressError } from '../utils/addressValidation.js';
+import { toDependentRow, validateDependents } from '../utils/dependents.js';
+import { toAadhaarColumns, presentAadhaar } from '../utils/aadhaar.js';
+import { WORKER_LOGIN_STATUSES } from '../utils/statusWorkflow.js';
+
+// Profile fields a worker can change after registration (body key → column)
+const EDITABLE_PROFILE_FIELDS = {
+  firstName: 'first_name',
+  middleName: 'middle_name',
+  lastName: 'last_name',
+  gender: 'gender',
+  maritalStatus: 'marital_status',
+  dateOfBirth: 'date_of_birth',
+  age: 'age',
+  relativeName: 'relative_name',
+  caste: 'caste',
+  subCaste: 'sub_caste',
+  mobileNumber: 'mobile_number',
+  emailId: 'email_id',
+  perDoorNumber: 'per_door_number',
+  perStreet: 'per_street',
+  perStateId: 'per_state_id',
+  perStateCode: 'per_state_code',
+  perDistrictId: 'per_district_id',
+  perDistrictCode: 'per_district_code',
+  perCityId: 'per_city_id',
+  perCityCode: 'per_city_code',
+  perVillageOrAreaId: 'per_village_or_area_id',
+  perPincode: 'per_pincode',
+  isSameAsPerAddr: 'is_same_as_per_addr',
+  preDoorNumber: 'pre_door_number',
+  preStreet: 'pre_street',
+  preStateId: 'pre_state_id',
+  preStateCode: 'pre_state_code',
+  preDistrictId: 'pre_district_id',
+  preDistrictCode: 'pre_district_code',
+  preCityId: 'pre_city_id',
+  preCityCode: 'pre_city_code',
+  preVillageOrAreaId: 'pre_village_or_area_id',
+  prePincode: 'pre_pincode',
+  isNRESMember: 'is_nres_member',
+  isTradeUnion: 'is_trade_union',
+  tradeUnionNumber: 'trade_union_number'
+};
+
+const REQUIRED_PROFILE_COLUMNS = ['first_name', 'last_name', 'gender', 'date_of_birth', 'mobile_number'];
+
+// Address columns shared by the permanent (per_) and present (pre_) address
+const ADDRESS_COLUMNS = [
+  'door_number', 'street', 'state_id', 'state_code', 'district_id', 'district_code',
+  'city_id', 'city_code', 'village_or_area_id', 'pincode'
+];
+
+/**
+ * Copy the permanent address over the present one when the worker says
+ * they are the same
+ */
+const applySameAsPermanentAddress = (row) => {
+  if (row.is_same_as_per_addr) {
+    ADDRESS_COLUMNS.forEach(column => {
+      row[`pre_${column}`] = row[`per_${column}`];
+    });
+  }
+  return row;
+};
+
+/**
+ * Validate the contact and address columns of a worker row
+ * Shared by registration and profile update; returns { target, message } or null
+ */
+const findWorkerDetailsError = async (row) => {
+  if (!validateMobileNumber(row.mobile_number)) {
+    return { target: 'mobileNumber', message: 'Invalid mobile number' };
+  }
+
+  if (row.email_id && !validateEmail(row.email_id)) {
+    return { target: 'emailId', message: 'Invalid email address' };
+  }
+
+  // The present address is a copy of a checked permanent address when they are the same
+  const prefixes = row.is_same_as_per_addr ? ['per'] : ['per', 'pre'];
+
+  for (const prefix of prefixes) {
+    const addressError = await findAddressError({
+      stateId: row[`${prefix}_state_id`],
+      districtId: row[`${prefix}_district_id`],
+      cityId: row[`${prefix}_city_id`],
+      villageOrAreaId: row[`${prefix}_village_or_area_id`]
+    });
+
+    if (addressError) {
+      const target = prefix + addressError.key.charAt(0).toUpperCase() + addressError.key.slice(1);
+      return { target, message: addressError.message };
+    }
+
+    // Validate pincode and check it belongs to the chosen district
+    const pincode = row[`${prefix}_pincode`];
+    const districtId = row[`${prefix}_district_id`];
+    if (!pincode) continue;
+
+    if (!validatePincode(pincode)) {
+      return { target: `${prefix}Pincode`, message: 'Invalid pincode. Must be 6 digits.' };
+    }
+
+    if (districtId && !(await isPincodeInDistrict(pincode, districtId))) {
+      return { target: `${prefix}Pincode`, message: 'Pincode does not belong to the selected district' };
+    }
+  }
+
+  return null;
+};
 
 /**
  * Register new worker
@@ -40,23 +155,12 @@ export const registerWorker = async (req, res, next) => {
       return res.status(400).json(
         errorResponse(
           ERROR_CODES.VALIDATION_ERROR,
-          'Invalid Aadhaar number. Must be 12 digits.',
+          'Invalid Aadhaar number. Must be 12 digits with a valid check digit.',
           'aadhaarNumber'
         )
       );
     }
 
-    // Validate mobile number
-    if (!validateMobileNumber(workerData.mobileNumber)) {
-      return res.status(400).json(
-        errorResponse(
-          ERROR_CODES.VALIDATION_ERROR,
-          'Invalid mobile number',
-          'mobileNumber'
-        )
-      );
-    }
-
     // Validate password
     if (!validatePassword(workerData.password)) {
       return res.status(400).json(
@@ -68,23 +172,9 @@ export const registerWorker = async (req, res, next) => {
       );
     }
 
-    // Validate email if provided
-    if (workerData.emailId && !validateEmail(workerData.emailId)) {
-      return res.status(400).json(
-        errorResponse(
-          ERROR_CODES.VALIDATION_ERROR,
-          'Invalid email address',
-          'emailId'
-        )
-      );
-    }
-
-    // Hash password
-    const hashedPassword = await hashPassword(workerData.password);
-
     // Prepare worker data for insertion
     const insertData = {
-      aadhaar_number: workerData.aadhaarNumber,
+      ...toAadhaarColumns(String(workerData.aadhaarNumber)),
       e_card_id: workerData.eCardId || null,
       e_sharm_id: workerData.eSharmId || null,
       bo_cw_id: workerData.boCWId || null,
@@ -101,7 +191,6 @@ export const registerWorker = async (req, res, next) => {
       sub_caste: workerData.subCaste || null,
       mobile_number: parseInt(workerData.mobileNumber),
       email_id: workerData.emailId || null,
-      password: hashedPassword,
       
       // Permanent Address
       per_door_number: workerData.perDoorNumber || null,
@@ -116,7 +205,7 @@ export const registerWorker = async (req, res, next) => {
       per_pincode: workerData.perPincode || null,
       
       // Present Address
-      is_same_as_per_addr: workerData.isSameAsPerAddr || false,
+      is_same_as_per_addr: workerData.isSameAsPerAddr === true || workerData.isSameAsPerAddr === 'true' || workerData.isSameAsPerAddr === 'Y',
       pre_door_number: workerData.preDoorNumber || null,
       pre_street: workerData.preStreet || null,
       pre_state_id: workerData.preStateId || null,
@@ -133,20 +222,65 @@ export const registerWorker = async (req, res, next) => {
       is_trade_union: workerData.isTradeUnion || 'N',
       trade_union_number: workerData.tradeUnionNumber || null,
       
-      status: 'active'
+      status: 'submitted' // Department review required
     };
 
-    // Insert worker
-    const { data: worker, error: workerError } = await supabase
-      .from('worker')
-      .insert(insertData)
-      .select()
-      .single();
+    applySameAsPermanentAddress(insertData);
+
+    // Validate mobile number, email, address ids and pincodes
+    const detailsError = await findWorkerDetailsError(insertData);
+    if (detailsError) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          detailsError.message,
+          detailsError.target
+        )
+      );
+    }
 
-    if (workerError) {
-      console.error('Worker registration error:', workerError);
+    // Validate dependents and nominee shares
+    const dependentRows = (workerData.workerDependents || []).map(dep => toDependentRow(dep, null));
+    const dependentErrors = validateDependents(dependentRows, workerData.dateOfBirth);
+    if (dependentErrors.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          dependentErrors[0].message,
+          'workerDependents',
+          dependentErrors
+        )
+      );
+    }
+
+    // Clients that may retry send the same Idempotency-Key on every attempt
+    const registrationKey = req.get('Idempotency-Key') || null;
+    if (registrationKey && !isUuid(registrationKey)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Idempotency-Key must be a UUID',
+          'Idempotency-Key'
+        )
+      );
+    }
+
+    // Hash password
+    insertData.password = await hashPassword(workerData.password);
+
+    // Worker and dependents are inserted in one transaction
+    // (db/migrations/006_register_worker_function.sql)
+    const { data: registration, error: registrationError } = await supabase
+      .rpc('register_worker', {
+        p_worker: insertData,
+        p_dependents: dependentRows,
+        p_registration_key: registrationKey
+      });
+
+    if (registrationError) {
+      console.error('Worker registration error:', registrationError);
       
-      if (workerError.code === '23505') {
+      if (registrationError.code === '23505') {
         return res.status(400).json(
           errorResponse(
             ERROR_CODES.DUPLICATE_ENTRY,
@@ -156,32 +290,15 @@ export const registerWorker = async (req, res, next) => {
         );
       }
       
-      throw workerError;
+      throw registrationError;
     }
 
-    // Insert dependents if provided
-    if (workerData.workerDependents && workerData.workerDependents.length > 0) {
-      const dependents = workerData.workerDependents.map(dep => ({
-        worker_id: worker.worker_id,
-        dependent_name: dep.dependentName,
-        date_of_birth: dep.dateOfBirth,
-        relationship: dep.relationship,
-        is_nominee_selected: dep.isNomineeSelected || false,
-        percentage_of_benefits: dep.percentageOfBenifits || 0
-      }));
-
-      await supabase
-        .from('worker_dependents')
-        .insert(dependents);
-    }
+    const { worker, replayed } = registration;
 
-    // Remove password from response
-    delete worker.password;
-
-    res.status(201).json(successResponse({
-      message: 'Worker registered successfully',
+    res.status(replayed ? 200 : 201).json(successResponse({
+      message: replayed ? 'Worker already registered' : 'Worker registered successfully. Awaiting department review.',
       workerId: worker.worker_id,
-      worker: worker
+      worker: presentAadhaar(worker, req)
     }));
 
   } catch (error) {
@@ -225,17 +342,6 @@ export const loginWorker = async (req, res, next) => {
       );
     }
 
-    // Check if worker is active
-    if (worker.status !== 'active') {
-      return res.status(403).json(
-        errorResponse(
-          ERROR_CODES.AUTHORIZATION_ERROR,
-          'Your account is not active. Please contact administrator.',
-          'status'
-        )
-      );
-    }
-
     // Verify password
     const isPasswordValid = await comparePassword(password, worker.password);
     if (!isPasswordValid) {
@@ -248,6 +354,21 @@ export const loginWorker = async (req, res, next) => {
       );
     }
 
+    // Workers awaiting review may sign in to follow their application;
+    // rejected, suspended, deceased and migrated workers may not
+    if (!WORKER_LOGIN_STATUSES.includes(worker.status)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          worker.status === 'rejected' && worker.status_remarks
+            ? `Your registration was rejected: ${worker.status_remarks}`
+            : `Your account is ${worker.status || 'not active'}. Please contact administrator.`,
+          'status',
+          [{ status: worker.status }]
+        )
+      );
+    }
+
     // Update last logged in
     await supabase
       .from('worker')
@@ -325,10 +446,221 @@ export const getWorkerProfile = async (req, res, next) => {
     // Remove password
     delete worker.password;
 
-    res.json(successResponse(worker));
+    res.json(successResponse(presentAadhaar(worker, req)));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+/**
+ * Update worker profile
+ * PATCH /api/worker/profile/:workerId
+ *
+ * Only the fields sent are changed. Every changed field is written to
+ * worker_profile_history with its old and new value.
+ */
+export const updateWorkerProfile = async (req, res, next) => {
+  try {
+    const { workerId } = req.params;
+    const updates = req.body || {};
+
+    // Identity, credentials and status have their own flows
+    const lockedFields = Object.keys(updates).filter(key => !(key in EDITABLE_PROFILE_FIELDS));
+    if (lockedFields.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `These fields cannot be changed through a profile update: ${lockedFields.join(', ')}`,
+          'validation',
+          lockedFields
+        )
+      );
+    }
+
+    const { data: worker, error: fetchError } = await supabase
+      .from('worker')
+      .select('*')
+      .eq('worker_id', workerId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!worker) {
+      return res.status(404).json(
+        errorResponse(
+          ERROR_CODES.NOT_FOUND,
+          'Worker not found',
+          'workerId'
+        )
+      );
+    }
+
+    // Map body keys to columns
+    const changes = {};
+    Object.entries(updates).forEach(([key, value]) => {
+      const column = EDITABLE_PROFILE_FIELDS[key];
+
+      if (column === 'mobile_number') {
+        changes[column] = parseInt(value);
+      } else if (column === 'is_same_as_per_addr') {
+        changes[column] = value === true || value === 'true' || value === 'Y';
+      } else {
+        changes[column] = value === '' ? null : value;
+      }
+    });
+
+    const clearedFields = REQUIRED_PROFILE_COLUMNS.filter(column => column in changes && changes[column] === null);
+    if (clearedFields.length > 0) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Required fields cannot be cleared: ${clearedFields.join(', ')}`,
+          'validation',
+          clearedFields
+        )
+      );
+    }
+
+    if (changes.date_of_birth && !validateDate(changes.date_of_birth)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'Invalid date of birth',
+          'dateOfBirth'
+        )
+      );
+    }
+
+    // Validate the profile as it will be stored, so a pincode change is
+    // still checked against the stored district and vice versa
+    const updated = applySameAsPermanentAddress({ ...worker, ...changes });
+
+    const detailsError = await findWorkerDetailsError(updated);
+    if (detailsError) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          detailsError.message,
+          detailsError.target
+        )
+      );
+    }
+
+    // Keep only columns whose value actually changes
+    const changedColumns = Object.values(EDITABLE_PROFILE_FIELDS)
+      .filter(column => String(worker[column] ?? '') !== String(updated[column] ?? ''));
+
+    if (changedColumns.length === 0) {
+      delete worker.password;
+      return res.json(successResponse({
+        message: 'No changes to save',
+        changedFields: [],
+        worker: presentAadhaar(worker, req)
+      }));
+    }
+
+    const updateData = Object.fromEntries(changedColumns.map(column => [column, updated[column]]));
+
+    const { data: savedWorker, error: updateError } = await supabase
+      .from('worker')
+      .update(updateData)
+      .eq('worker_id', workerId)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === '23505') {
+        return res.status(400).json(
+          errorResponse(
+            ERROR_CODES.DUPLICATE_ENTRY,
+            'Another worker is already registered with this mobile number',
+            'mobileNumber'
+          )
+        );
+      }
+
+      throw updateError;
+    }
+
+    // Record field-level history
+    const changeId = uuidv4();
+    const { error: historyError } = await supabase
+      .from('worker_profile_history')
+      .insert(changedColumns.map(column => ({
+        worker_id: savedWorker.worker_id,
+        change_id: changeId,
+        field_name: column,
+        old_value: worker[column] === null || worker[column] === undefined ? null : String(worker[column]),
+        new_value: updated[column] === null || updated[column] === undefined ? null : String(updated[column]),
+        changed_by_type: req.user.type,
+        changed_by_id: req.user.id
+      })));
+
+    if (historyError) throw historyError;
+
+    delete savedWorker.password;
+
+    res.json(successResponse({
+      message: 'Worker profile updated successfully',
+      changeId: changeId,
+      changedFields: changedColumns,
+      worker: presentAadhaar(savedWorker, req)
+    }));
 
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Get worker profile change history
+ * GET /api/worker/profile/:workerId/history?since={ISO date}
+ */
+export const getWorkerProfileHistory = async (req, res, next) => {
+  try {
+    const { workerId } = req.params;
+    const { since } = req.query;
+
+    // Workers may only read their own history; department users read any
+    if (req.user.type === 'worker' && String(req.user.id) !== String(workerId)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'You can only access your own data',
+          'workerId'
+        )
+      );
+    }
+
+    if (since && !validateDate(since)) {
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          'since must be a valid date',
+          'since'
+        )
+      );
+    }
+
+    let query = supabase
+      .from('worker_profile_history')
+      .select('*')
+      .eq('worker_id', workerId)
+      .order('changed_at', { ascending: false });
+
+    if (since) {
+      query = query.gte('changed_at', new Date(since).toISOString());
+    }
+
+    const { data: history, error } = await query;
+
+    if (error) throw error;
+
+    res.json(successResponse(history || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
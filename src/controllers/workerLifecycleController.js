@@ -0,0 +1,155 @@
+import { supabase } from '../config/supabase.js';
+import { successResponse, errorResponse, ERROR_CODES } from '../utils/response.js';
+import { WORKER_WORKFLOW, applyStatusAction } from '../utils/statusWorkflow.js';
+
+const WORKER_STATUS = {
+  table: 'worker',
+  idColumn: 'worker_id',
+  workflow: WORKER_WORKFLOW,
+  columns: ['worker_id', 'full_name', 'status', 'status_remarks', 'status_updated_at']
+};
+
+/**
+ * Move a worker through the registration lifecycle and record it
+ */
+const applyAction = async (req, res, action) => {
+  const remarks = (req.body.remarks || req.body.reason || '').trim();
+  const result = await applyStatusAction(WORKER_STATUS, req.params.workerId, action, remarks, req.user.id);
+
+  if (result.notFound) {
+    return res.status(404).json(
+      errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        'Worker not found',
+        'workerId'
+      )
+    );
+  }
+
+  if (result.error) {
+    return res.status(400).json(
+      errorResponse(
+        ERROR_CODES.VALIDATION_ERROR,
+        result.error,
+        result.target || 'status'
+      )
+    );
+  }
+
+  res.json(successResponse({
+    message: `Worker status changed from ${result.from} to ${result.to}`,
+    worker: result.record
+  }));
+};
+
+/**
+ * Take a submitted worker registration up for review
+ * PUT /api/department/workers/:workerId/start-review
+ */
+export const startWorkerReview = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'start_review');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a worker registration
+ * PUT /api/department/workers/:workerId/approve
+ */
+export const approveWorker = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'approve');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a worker registration
+ * PUT /api/department/workers/:workerId/reject
+ */
+export const rejectWorker = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'reject');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend an approved worker
+ * PUT /api/department/workers/:workerId/suspend
+ */
+export const suspendWorker = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'suspend');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reinstate a suspended worker
+ * PUT /api/department/workers/:workerId/reinstate
+ */
+export const reinstateWorker = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'reinstate');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record that a worker has died
+ * PUT /api/department/workers/:workerId/mark-deceased
+ */
+export const markWorkerDeceased = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'mark_deceased');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record that a worker has moved out of the state
+ * PUT /api/department/workers/:workerId/mark-migrated
+ */
+export const markWorkerMigrated = async (req, res, next) => {
+  try {
+    await applyAction(req, res, 'mark_migrated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of a worker
+ * GET /api/department/workers/:workerId/status-history
+ */
+export const getWorkerStatusHistory = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('worker_status_history')
+      .select(`
+        *,
+        department_user:changed_by (
+          department_user_id,
+          first_name,
+          last_name
+        )
+      `)
+      .eq('worker_id', req.params.workerId)
+      .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(successResponse(data || []));
+
+  } catch (error) {
+    next(error);
+  }
+};
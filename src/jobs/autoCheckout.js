@@ -0,0 +1,168 @@
+import { supabase } from '../config/supabase.js';
+import { notifyEstablishment } from '../utils/notifications.js';
+
+/**
+ * Automatic check-out of stale attendance sessions
+ *
+ * Workers who forget to check out would otherwise stay checked in, inflating
+ * the current counts and blocking their next check-in. Every
+ * AUTO_CHECKOUT_INTERVAL_MINUTES (15; 0 turns the job off) open sessions are
+ * closed when either
+ *
+ *   - their shift ended more than AUTO_CHECKOUT_GRACE_MINUTES (120) ago; the
+ *     check-out is set to the scheduled end, or
+ *   - they have been open for AUTO_CHECKOUT_MAX_HOURS (16); the check-out is
+ *     set to check-in plus that duration.
+ *
+ * Closed sessions get auto_closed_at. A session with no review yet is held
+ * for review with review_reason 'auto_closed'; one already under review or
+ * decided (e.g. a rejected geofence punch) keeps that review, so closing it
+ * never reopens or overrides a decision. Each establishment gets one notification
+ * per run listing them. Updates only touch rows that are still open, so
+ * overlapping runs (or several server instances) close a session once.
+ */
+
+const INTERVAL_MINUTES = parseInt(process.env.AUTO_CHECKOUT_INTERVAL_MINUTES ?? '15');
+const GRACE_MINUTES = parseInt(process.env.AUTO_CHECKOUT_GRACE_MINUTES) || 120;
+const MAX_HOURS = parseFloat(process.env.AUTO_CHECKOUT_MAX_HOURS) || 16;
+
+const PAGE_SIZE = 500;
+
+/**
+ * Estimated check-out time for a stale session
+ */
+const autoCheckOutTime = (session) => {
+  const cap = Date.parse(session.check_in_date_time) + MAX_HOURS * 60 * 60 * 1000;
+  const scheduledEnd = session.scheduled_end ? Date.parse(session.scheduled_end) : Infinity;
+  return new Date(Math.min(cap, scheduledEnd));
+};
+
+/**
+ * Close every stale open session; returns the closed rows grouped by
+ * establishment
+ */
+export const closeStaleSessions = async (now = new Date()) => {
+  const shiftCutoff = new Date(now.getTime() - GRACE_MINUTES * 60 * 1000).toISOString();
+  const durationCutoff = new Date(now.getTime() - MAX_HOURS * 60 * 60 * 1000).toISOString();
+  const closedByEstablishment = new Map();
+
+  // Closed rows leave the filter, so always read the first page
+  for (;;) {
+    const { data: sessions, error } = await supabase
+      .from('attendance')
+      .select('attendance_id, establishment_id, worker_id, check_in_date_time, scheduled_end, review_status, worker:worker_id (full_name)')
+      .eq('status', 'i')
+      .is('check_out_date_time', null)
+      .or(`scheduled_end.lt.${shiftCutoff},check_in_date_time.lt.${durationCutoff}`)
+      .order('check_in_date_time', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    if (error) throw error;
+    if (!sessions || sessions.length === 0) break;
+
+    let closedInPage = 0;
+
+    for (const session of sessions) {
+      const unreviewed = session.review_status === null;
+
+      let update = supabase
+        .from('attendance')
+        .update({
+          check_out_date_time: autoCheckOutTime(session).toISOString(),
+          status: 'o',
+          auto_closed_at: now.toISOString(),
+          ...(unreviewed ? { review_status: 'pending', review_reason: 'auto_closed' } : {})
+        })
+        .eq('attendance_id', session.attendance_id)
+        .eq('status', 'i')
+        .is('check_out_date_time', null);
+
+      // A review decided meanwhile is left alone; the next run closes the session
+      update = unreviewed
+        ? update.is('review_status', null)
+        : update.eq('review_status', session.review_status);
+
+      const { data: closed, error: updateError } = await update
+        .select('attendance_id, check_in_date_time, check_out_date_time')
+        .maybeSingle();
+
+      if (updateError) throw updateError;
+      if (!closed) continue;
+
+      closedInPage += 1;
+      if (!closedByEstablishment.has(session.establishment_id)) {
+        closedByEstablishment.set(session.establishment_id, []);
+      }
+      closedByEstablishment.get(session.establishment_id).push({
+        attendanceId: closed.attendance_id,
+        workerId: session.worker_id,
+        workerName: session.worker?.full_name ?? null,
+        checkIn: closed.check_in_date_time,
+        checkOut: closed.check_out_date_time
+      });
+    }
+
+    // Another run got to all of them first
+    if (closedInPage === 0 || sessions.length < PAGE_SIZE) break;
+  }
+
+  return closedByEstablishment;
+};
+
+/**
+ * One run: close sessions, then tell each establishment what was closed
+ */
+export const runAutoCheckout = async () => {
+  const closedByEstablishment = await closeStaleSessions();
+
+  for (const [establishmentId, sessions] of closedByEstablishment) {
+    try {
+      await notifyEstablishment(establishmentId, {
+        type: 'attendance_auto_closed',
+        title: `${sessions.length} attendance session${sessions.length === 1 ? '' : 's'} closed automatically`,
+        message: 'These workers did not check out. Their check-out time was estimated; '
+          + 'review the sessions and correct them if needed.',
+        data: { sessions }
+      });
+    } catch (error) {
+      // The sessions stay closed and held for review either way
+      console.error(`⚠️  Auto check-out: could not notify establishment ${establishmentId}:`, error.message);
+    }
+  }
+
+  const total = [...closedByEstablishment.values()].reduce((sum, sessions) => sum + sessions.length, 0);
+  if (total > 0) {
+    console.log(`🕒 Auto check-out: closed ${total} stale attendance session(s)`);
+  }
+  return total;
+};
+
+/**
+ * Run the job on its interval; returns the timer, or null when disabled
+ */
+export const startAutoCheckoutJob = () => {
+  if (!Number.isFinite(INTERVAL_MINUTES) || INTERVAL_MINUTES <= 0) {
+    console.log('🕒 Auto check-out job disabled');
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAutoCheckout();
+    } catch (error) {
+      console.error('❌ Auto check-out failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  tick();
+
+  console.log(`🕒 Auto check-out job every ${INTERVAL_MINUTES} min`);
+  return timer;
+};
@@ -0,0 +1,35 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Load the caller's full-Aadhaar permission into req.aadhaarFullView
+ *
+ * Only department users can hold it (department_user.can_view_full_aadhaar,
+ * granted by a department admin). It is read on every request so a revoked
+ * grant applies at once. Routes without this middleware always mask.
+ * Works with both JWT (req.user) and session users.
+ */
+export const loadAadhaarAccess = async (req, res, next) => {
+  try {
+    const user = req.user || req.session?.user;
+    const type = user?.type || user?.role;
+    const departmentUserId = type === 'department' ? (user.departmentUserId || user.id) : null;
+
+    req.aadhaarFullView = false;
+
+    if (departmentUserId) {
+      const { data, error } = await supabase
+        .from('department_user')
+        .select('status, can_view_full_aadhaar')
+        .eq('department_user_id', departmentUserId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      req.aadhaarFullView = data?.status === 'active' && data.can_view_full_aadhaar === true;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,259 @@
+import { supabase } from '../config/supabase.js';
+import { errorResponse, ERROR_CODES } from '../utils/response.js';
+import { ATTENDANCE_STATEWIDE_ROLES } from '../utils/departmentRoles.js';
+
+/**
+ * Attendance access policy
+ *
+ * Every attendance route runs attendanceScope after authenticateSession. It
+ * resolves what the session user may reach into req.attendanceScope:
+ *
+ *   worker         their own attendance; they punch only for themselves, at
+ *                  an establishment they are actively linked to
+ *   establishment  attendance at its own site; it punches its own workers
+ *   department     attendance at establishments in their district
+ *                  (department_user.district_id, set by a department admin);
+ *                  roles in ATTENDANCE_STATEWIDE_ROLES see every district and
+ *                  users with neither see nothing. Department users do not punch.
+ *
+ * Route guards below refuse requests naming someone else's worker or
+ * establishment; controllers narrow queries with scopeAttendanceQuery and
+ * check single rows with canAccessAttendance. A district is matched through
+ * the row's establishment (an inner join on establishment.district_id), so
+ * queries select scopedColumns(...) for those to work.
+ */
+
+const denied = (res, message, target = 'authorization') => res.status(403).json(
+  errorResponse(
+    ERROR_CODES.AUTHORIZATION_ERROR,
+    message,
+    target
+  )
+);
+
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+// Establishment of the row, joined for district scopes
+const DISTRICT_EMBED = 'scope_establishment:establishment_id!inner (district_id)';
+
+/**
+ * Scope of a session user, or null if they cannot use attendance
+ */
+const resolveScope = async (user) => {
+  if (user.role === 'worker') {
+    const workerId = user.workerId || user.id;
+    return workerId ? { role: 'worker', workerId: String(workerId) } : null;
+  }
+
+  if (user.role === 'establishment') {
+    return user.establishmentId ? { role: 'establishment', establishmentId: String(user.establishmentId) } : null;
+  }
+
+  if (user.role === 'department') {
+    // Read fresh so district changes and deactivation apply to open sessions
+    const { data: departmentUser, error } = await supabase
+      .from('department_user')
+      .select('department_user_id, status, district_id, department_role:department_role_id (role_name)')
+      .eq('department_user_id', user.departmentUserId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!departmentUser || departmentUser.status !== 'active') return null;
+
+    const roleName = (departmentUser.department_role?.role_name || '').toLowerCase();
+    const statewide = ATTENDANCE_STATEWIDE_ROLES.includes(roleName);
+
+    // No district and no statewide role: nothing to see
+    if (!statewide && !departmentUser.district_id) return null;
+
+    return {
+      role: 'department',
+      departmentUserId: departmentUser.department_user_id,
+      roleName,
+      // null for statewide roles
+      districtId: statewide ? null : departmentUser.district_id
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Resolve req.attendanceScope for the session user
+ */
+export const attendanceScope = async (req, res, next) => {
+  try {
+    const scope = req.user ? await resolveScope(req.user) : null;
+
+    if (!scope) {
+      return denied(res, 'Your account cannot access attendance');
+    }
+
+    req.attendanceScope = scope;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const limitedToDistrict = (scope) => scope.role === 'department' && scope.districtId !== null;
+
+/**
+ * Whether the scope reaches an establishment's attendance
+ */
+export const canAccessEstablishment = async (scope, establishmentId) => {
+  if (scope.role === 'establishment') return sameId(scope.establishmentId, establishmentId);
+  if (scope.role !== 'department') return false;
+  if (!limitedToDistrict(scope)) return true;
+  if (!/^\d+$/.test(String(establishmentId))) return false;
+
+  const { data, error } = await supabase
+    .from('establishment')
+    .select('district_id')
+    .eq('establishment_id', establishmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return sameId(scope.districtId, data?.district_id);
+};
+
+/**
+ * Whether the scope reaches one attendance (or regularization) row, read
+ * with scopedColumns
+ */
+export const canAccessAttendance = (scope, row) => {
+  if (scope.role === 'worker') return sameId(scope.workerId, row.worker_id);
+  if (scope.role === 'establishment') return sameId(scope.establishmentId, row.establishment_id);
+  if (scope.role !== 'department') return false;
+  return !limitedToDistrict(scope) || sameId(scope.districtId, row.scope_establishment?.district_id);
+};
+
+/**
+ * Columns to select from a table with an establishment_id, plus the join a
+ * district scope filters on
+ */
+export const scopedColumns = (columns, scope) =>
+  limitedToDistrict(scope) ? `${columns.trim()}, ${DISTRICT_EMBED}` : columns;
+
+/**
+ * Narrow a select on a table with worker_id and establishment_id columns
+ * (selected with scopedColumns). Updates are not narrowed through the join:
+ * look the row up with this first.
+ */
+export const scopeAttendanceQuery = (query, scope) => {
+  if (scope.role === 'worker') return query.eq('worker_id', scope.workerId);
+  if (scope.role === 'establishment') return query.eq('establishment_id', scope.establishmentId);
+  return limitedToDistrict(scope) ? query.eq('scope_establishment.district_id', scope.districtId) : query;
+};
+
+/**
+ * Allow only some roles through
+ */
+export const requireAttendanceRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.attendanceScope.role)) {
+    return denied(res, 'Access denied. Insufficient permissions.');
+  }
+  next();
+};
+
+/**
+ * Refuse a :workerId (or ?workerId) that is not the calling worker; other
+ * roles are narrowed to their own sites by the query
+ */
+export const authorizeWorkerAccess = (req, res, next) => {
+  const workerId = req.params.workerId ?? req.query.workerId;
+  const scope = req.attendanceScope;
+
+  if (scope.role === 'worker' && workerId !== undefined && !sameId(scope.workerId, workerId)) {
+    return denied(res, 'You can only access your own attendance', 'workerId');
+  }
+  next();
+};
+
+/**
+ * Refuse an :establishmentId (or ?establishmentId) outside the scope
+ */
+export const authorizeEstablishmentAccess = async (req, res, next) => {
+  try {
+    const establishmentId = req.params.establishmentId ?? req.query.establishmentId;
+    const scope = req.attendanceScope;
+
+    if (establishmentId === undefined) return next();
+
+    if (scope.role === 'worker') {
+      // Workers may narrow their own records to one site, nothing more
+      return req.params.establishmentId === undefined
+        ? next()
+        : denied(res, 'Workers cannot view establishment attendance', 'establishmentId');
+    }
+
+    if (!(await canAccessEstablishment(scope, establishmentId))) {
+      return denied(res, 'You can only access attendance for your own establishments', 'establishmentId');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a punch's body against the scope: workers punch for themselves,
+ * establishments for their own site, and a check-in must name the worker's
+ * active link to that establishment. Check-outs are checked against the
+ * session row when the punch is recorded.
+ *
+ * Returns null when allowed, otherwise { message, target }.
+ */
+export const checkPunchAccess = async (scope, punch) => {
+  const { attendanceId, workerId, establishmentId, estmtWorkerId } = punch;
+
+  if (scope.role === 'department') {
+    return { message: 'Department users cannot record attendance', target: 'authorization' };
+  }
+
+  if (scope.role === 'worker' && workerId !== undefined && !sameId(scope.workerId, workerId)) {
+    return { message: 'You can only record your own attendance', target: 'workerId' };
+  }
+
+  if (scope.role === 'establishment' && establishmentId !== undefined && !sameId(scope.establishmentId, establishmentId)) {
+    return { message: 'You can only record attendance at your own establishment', target: 'establishmentId' };
+  }
+
+  const isCheckIn = !attendanceId || attendanceId === 0;
+
+  if (isCheckIn && workerId && establishmentId && estmtWorkerId) {
+    const { data: link, error } = await supabase
+      .from('establishment_worker')
+      .select('estmt_worker_id')
+      .eq('estmt_worker_id', estmtWorkerId)
+      .eq('worker_id', workerId)
+      .eq('establishment_id', establishmentId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!link) {
+      return { message: 'Worker is not actively working at this establishment', target: 'estmtWorkerId' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Refuse a punch body the scope may not record (see checkPunchAccess)
+ */
+export const authorizePunch = async (req, res, next) => {
+  try {
+    const refusal = await checkPunchAccess(req.attendanceScope, req.body);
+
+    if (refusal) {
+      return denied(res, refusal.message, refusal.target);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
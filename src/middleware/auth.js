@@ -39,10 +39,11 @@ export const verifyToken = (token) => {
 };
 
 /**
- * Authentication middleware
- * Validates JWT token from Authorization header
+ * Read and verify the bearer token into req.user
+ * Registration-only tokens (establishments awaiting approval) are refused
+ * unless the route allows them.
  */
-export const authenticateToken = (req, res, next) => {
+const readToken = (allowRegistrationOnly) => (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -67,10 +68,33 @@ export const authenticateToken = (req, res, next) => {
     );
   }
 
+  if (decoded.registrationOnly && !allowRegistrationOnly) {
+    return res.status(403).json(
+      errorResponse(
+        ERROR_CODES.AUTHORIZATION_ERROR,
+        'This sign-in only reaches your registration and documents. Sign in again once your registration is approved.',
+        'authorization'
+      )
+    );
+  }
+
   req.user = decoded;
   next();
 };
 
+/**
+ * Authentication middleware
+ * Validates JWT token from Authorization header
+ */
+export const authenticateToken = readToken(false);
+
+/**
+ * Authentication middleware for the routes an establishment awaiting
+ * approval still needs (its registration and documents)
+ * Also accepts the registration-only token its login issues.
+ */
+export const authenticateApplicantToken = readToken(true);
+
 /**
  * Authorization middleware - Check user role
  */
@@ -100,6 +124,53 @@ export const authorizeRole = (...allowedRoles) => {
   };
 };
 
+/**
+ * Authorization middleware - Restrict department users to named roles
+ * Use after authorizeRole('department'). An empty list allows every role.
+ */
+export const authorizeDepartmentRoles = (roleNames = []) => {
+  return (req, res, next) => {
+    if (roleNames.length === 0) {
+      return next();
+    }
+
+    const roleName = (req.user?.roleName || '').toLowerCase();
+
+    if (!roleNames.some(name => name.toLowerCase() === roleName)) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'Access denied. Your department role cannot perform this action.',
+          'authorization'
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Authorization middleware - Only department users in the named roles
+ * Use after authorizeRole('department'). Unlike authorizeDepartmentRoles, an
+ * empty list allows nobody.
+ */
+export const requireDepartmentRoles = (roleNames = []) => {
+  return (req, res, next) => {
+    if (roleNames.length === 0) {
+      return res.status(403).json(
+        errorResponse(
+          ERROR_CODES.AUTHORIZATION_ERROR,
+          'Access denied. No department role is allowed to perform this action.',
+          'authorization'
+        )
+      );
+    }
+
+    return authorizeDepartmentRoles(roleNames)(req, res, next);
+  };
+};
+
 /**
  * Verify worker owns the resource
  */
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getCached, setCached, cacheGeneration, CACHE_TTL } from '../utils/cache.js';
+
+/**
+ * Build a weak ETag from the response payload
+ *
+ * Only `data` is hashed: the correlationId differs on every response.
+ */
+const buildEtag = (data) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison)
+ */
+const matchesEtag = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+};
+
+/**
+ * Send a cached response, or 304 when the client already has it
+ */
+const sendCached = (req, res, entry, sendJson) => {
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', 'no-cache'); // clients keep a copy but revalidate
+
+  if (matchesEtag(req.headers['if-none-match'], entry.etag)) {
+    return res.status(304).end();
+  }
+
+  return sendJson({ ...entry.body, correlationId: uuidv4() });
+};
+
+/**
+ * Response cache middleware for GET endpoints
+ *
+ * Successful JSON responses are kept for the namespace TTL, keyed on the
+ * router-relative path and query (so /api/states and /api/location/states
+ * share an entry). Every cached response carries an ETag; a matching
+ * If-None-Match gets an empty 304.
+ *
+ * Usage: router.get('/states', cacheResponse('location'), asyncHandler(getStates));
+ */
+export const cacheResponse = (namespace) => {
+  const ttl = CACHE_TTL[namespace];
+
+  return (req, res, next) => {
+    const query = new URLSearchParams(Object.entries(req.query).sort()).toString();
+    const key = `${namespace}:${req.path}?${query}`;
+    const sendJson = res.json.bind(res);
+
+    const cached = getCached(key);
+    if (cached) {
+      return sendCached(req, res, cached, sendJson);
+    }
+
+    // Capture the controller's response on the way out; it is not kept if
+    // the namespace is invalidated while the controller reads
+    const generation = cacheGeneration(namespace);
+
+    res.json = (body) => {
+      if (res.statusCode !== 200 || !body || body.error) {
+        return sendJson(body);
+      }
+
+      const entry = { body, etag: buildEtag(body.data) };
+      setCached(key, entry, ttl, generation);
+      return sendCached(req, res, entry, sendJson);
+    };
+
+    next();
+  };
+};
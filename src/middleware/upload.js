@@ -0,0 +1,39 @@
+import multer from 'multer';
+import { errorResponse, ERROR_CODES } from '../utils/response.js';
+
+// Upload size limit in megabytes
+export const DOCUMENT_MAX_SIZE_MB = parseFloat(process.env.DOCUMENT_MAX_SIZE_MB) || 5;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.floor(DOCUMENT_MAX_SIZE_MB * 1024 * 1024),
+    files: 1
+  }
+}).single('file');
+
+/**
+ * Parse a multipart document upload into req.file and req.body
+ * Multer errors (too large, unexpected field, ...) become 400 responses.
+ */
+export const uploadDocumentFile = (req, res, next) => {
+  documentUpload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${DOCUMENT_MAX_SIZE_MB} MB`
+        : `Invalid upload: ${err.message}`;
+
+      return res.status(400).json(
+        errorResponse(
+          ERROR_CODES.VALIDATION_ERROR,
+          message,
+          err.field || 'file'
+        )
+      );
+    }
+
+    next(err);
+  });
+};
@@ -7,22 +7,64 @@ import {
   getTodayAttendance,
   getCurrentCount
 } from '../controllers/attendanceController.js';
+import {
+  getAttendanceForReview,
+  reviewAttendance
+} from '../controllers/attendanceReviewController.js';
+import { getAttendanceSummary } from '../controllers/attendanceSummaryController.js';
+import { syncAttendance } from '../controllers/attendanceSyncController.js';
+import {
+  createRegularization,
+  getRegularizations,
+  approveRegularization,
+  rejectRegularization
+} from '../controllers/regularizationController.js';
 import { authenticateToken, authenticateSession } from '../middleware/auth.js';
+import {
+  attendanceScope,
+  requireAttendanceRole,
+  authorizeWorkerAccess,
+  authorizeEstablishmentAccess,
+  authorizePunch
+} from '../middleware/attendancePolicy.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+// Every attendance route resolves the caller's scope (see middleware/attendancePolicy.js)
+// Using authenticateSession instead of authenticateToken for SAML-based frontend
+const attendanceAuth = [authenticateSession, attendanceScope];
+const reviewers = requireAttendanceRole('establishment', 'department');
+
 // Check-in/out endpoint
 // checkInOrOut might be called from card scan which handles auth differently or
 // from frontend which needs session. For now, let's allow session auth.
-router.post('/checkinorout', authenticateSession, asyncHandler(checkInOrOut));
+// Workers punch for themselves, establishments for their own site.
+router.post('/checkinorout', attendanceAuth, authorizePunch, asyncHandler(checkInOrOut));
 
-// Protected routes
-// Using authenticateSession instead of authenticateToken for SAML-based frontend
-router.get('/worker/:workerId', authenticateSession, asyncHandler(getWorkerAttendance));
-router.get('/establishment/:establishmentId', authenticateSession, asyncHandler(getEstablishmentAttendance));
-router.get('/current', authenticateSession, asyncHandler(getCurrentlyCheckedInWorkers));
-router.get('/current/count', authenticateSession, asyncHandler(getCurrentCount));
-router.get('/today', authenticateSession, asyncHandler(getTodayAttendance));
+// Punches recorded offline, uploaded in batches; each punch is checked like
+// checkinorout when it is applied
+router.post('/sync', attendanceAuth, requireAttendanceRole('worker', 'establishment'), asyncHandler(syncAttendance));
+
+// Protected routes - lists are narrowed to the caller's own records, site or district
+router.get('/worker/:workerId', attendanceAuth, authorizeWorkerAccess, asyncHandler(getWorkerAttendance));
+router.get('/establishment/:establishmentId', attendanceAuth, authorizeEstablishmentAccess, asyncHandler(getEstablishmentAttendance));
+router.get('/current', attendanceAuth, authorizeEstablishmentAccess, asyncHandler(getCurrentlyCheckedInWorkers));
+router.get('/current/count', attendanceAuth, authorizeEstablishmentAccess, asyncHandler(getCurrentCount));
+router.get('/today', attendanceAuth, authorizeEstablishmentAccess, asyncHandler(getTodayAttendance));
+
+// Worked hours, overtime and weekly rest per worker (for payroll)
+router.get('/summary', attendanceAuth, authorizeWorkerAccess, authorizeEstablishmentAccess, asyncHandler(getAttendanceSummary));
+
+// Corrections to punches (regularization): workers and establishments ask,
+// establishments and department decide
+router.post('/regularizations', attendanceAuth, requireAttendanceRole('worker', 'establishment'), asyncHandler(createRegularization));
+router.get('/regularizations', attendanceAuth, authorizeWorkerAccess, authorizeEstablishmentAccess, asyncHandler(getRegularizations));
+router.put('/regularizations/:regularizationId/approve', attendanceAuth, reviewers, asyncHandler(approveRegularization));
+router.put('/regularizations/:regularizationId/reject', attendanceAuth, reviewers, asyncHandler(rejectRegularization));
+
+// Punches held for review (e.g. outside the site geofence) - establishments and department
+router.get('/review', attendanceAuth, reviewers, authorizeEstablishmentAccess, asyncHandler(getAttendanceForReview));
+router.put('/:attendanceId/review', attendanceAuth, reviewers, asyncHandler(reviewAttendance));
 
 export default router;
@@ -5,13 +5,75 @@ import {
   getDepartmentCardDetails,
   getAllEstablishments,
   getAllWorkers,
-  getComplianceRecords,
-  getApplicationsForReview,
-  getDocumentsForVerification,
-  getActiveLocations
+  getActiveLocations,
+  setEstablishmentTimeZone,
+  setDepartmentUserDistrict,
+  setDepartmentUserAadhaarAccess
 } from '../controllers/departmentController.js';
-import { authenticateToken, authorizeRole } from '../middleware/auth.js';
+import {
+  getDocumentsForVerification,
+  downloadDocument,
+  verifyDocument,
+  rejectDocument
+} from '../controllers/documentController.js';
+import {
+  approveEstablishment,
+  rejectEstablishment,
+  requestEstablishmentChanges,
+  suspendEstablishment,
+  reinstateEstablishment,
+  getEstablishmentStatusHistory
+} from '../controllers/establishmentApprovalController.js';
+import {
+  startWorkerReview,
+  approveWorker,
+  rejectWorker,
+  suspendWorker,
+  reinstateWorker,
+  markWorkerDeceased,
+  markWorkerMigrated,
+  getWorkerStatusHistory
+} from '../controllers/workerLifecycleController.js';
+import {
+  getApplicationsForReview,
+  assignApplication
+} from '../controllers/reviewQueueController.js';
+import {
+  getComplianceRecords,
+  getComplianceScores,
+  createComplianceRecord,
+  updateComplianceEvidence,
+  passComplianceRecord,
+  failComplianceRecord,
+  checkComplianceRecord
+} from '../controllers/complianceController.js';
+import {
+  scheduleInspection,
+  getInspections,
+  getInspection,
+  updateInspection,
+  cancelInspection,
+  submitInspectionReport,
+  uploadInspectionPhoto,
+  downloadInspectionPhoto
+} from '../controllers/inspectionController.js';
+import { setGeofenceMode } from '../controllers/geofenceController.js';
+import {
+  listMasterRecords,
+  createMasterRecord,
+  updateMasterRecord,
+  deactivateMasterRecord,
+  getMasterRecordAudit
+} from '../controllers/masterDataController.js';
+import {
+  authenticateToken,
+  authorizeRole,
+  requireDepartmentRoles
+} from '../middleware/auth.js';
+import { loadAadhaarAccess } from '../middleware/aadhaarAccess.js';
+import { MASTER_DATA_ADMIN_ROLES, DEPARTMENT_ADMIN_ROLES } from '../utils/departmentRoles.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadDocumentFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -22,11 +84,80 @@ router.post('/register', asyncHandler(registerDepartment));
 // Protected routes - Department only
 router.get('/dashboard/carddetails', asyncHandler(getDepartmentCardDetails));
 router.get('/establishments', authenticateToken, authorizeRole('department'), asyncHandler(getAllEstablishments));
-router.get('/workers', authenticateToken, authorizeRole('department'), asyncHandler(getAllWorkers));
-router.get('/compliance', asyncHandler(getComplianceRecords));
-router.get('/applications', asyncHandler(getApplicationsForReview));
-router.get('/documents', asyncHandler(getDocumentsForVerification));
-router.get('/locations', asyncHandler(getActiveLocations));
+router.get('/workers', authenticateToken, authorizeRole('department'), loadAadhaarAccess, asyncHandler(getAllWorkers));
+router.get('/locations', authenticateToken, authorizeRole('department'), asyncHandler(getActiveLocations));
+
+const departmentAuth = [authenticateToken, authorizeRole('department')];
+
+// Establishment approval - every action needs { "remarks": "..." }
+router.put('/establishments/:establishmentId/approve', departmentAuth, asyncHandler(approveEstablishment));
+router.put('/establishments/:establishmentId/reject', departmentAuth, asyncHandler(rejectEstablishment));
+router.put('/establishments/:establishmentId/request-changes', departmentAuth, asyncHandler(requestEstablishmentChanges));
+router.put('/establishments/:establishmentId/suspend', departmentAuth, asyncHandler(suspendEstablishment));
+router.put('/establishments/:establishmentId/reinstate', departmentAuth, asyncHandler(reinstateEstablishment));
+router.get('/establishments/:establishmentId/history', departmentAuth, asyncHandler(getEstablishmentStatusHistory));
+
+// Attendance geofence handling per establishment - { "mode": "off" | "flag" | "reject" | null }
+router.put('/establishments/:establishmentId/geofence-mode', departmentAuth, asyncHandler(setGeofenceMode));
+
+// Calendar days (today's attendance, dashboards) - { "timeZone": "Asia/Kolkata" | null for APP_TIME_ZONE }
+router.put('/establishments/:establishmentId/time-zone', departmentAuth, asyncHandler(setEstablishmentTimeZone));
+
+// Worker lifecycle - reject, suspend, reinstate, mark-deceased and mark-migrated need { "remarks": "..." }
+router.put('/workers/:workerId/start-review', departmentAuth, asyncHandler(startWorkerReview));
+router.put('/workers/:workerId/approve', departmentAuth, asyncHandler(approveWorker));
+router.put('/workers/:workerId/reject', departmentAuth, asyncHandler(rejectWorker));
+router.put('/workers/:workerId/suspend', departmentAuth, asyncHandler(suspendWorker));
+router.put('/workers/:workerId/reinstate', departmentAuth, asyncHandler(reinstateWorker));
+router.put('/workers/:workerId/mark-deceased', departmentAuth, asyncHandler(markWorkerDeceased));
+router.put('/workers/:workerId/mark-migrated', departmentAuth, asyncHandler(markWorkerMigrated));
+router.get('/workers/:workerId/status-history', departmentAuth, asyncHandler(getWorkerStatusHistory));
+
+// Review queue - workers and establishments awaiting review, oldest first
+router.get('/applications', departmentAuth, asyncHandler(getApplicationsForReview));
+router.put('/applications/:type/:itemId/assign', departmentAuth, asyncHandler(assignApplication));
+
+// Compliance - items per establishment, assessed as pass or fail; worker_count is checked by the server
+router.get('/dashboard/compliance', departmentAuth, asyncHandler(getComplianceScores));
+router.get('/compliance', departmentAuth, asyncHandler(getComplianceRecords));
+router.post('/establishments/:establishmentId/compliance', departmentAuth, asyncHandler(createComplianceRecord));
+router.put('/compliance/:complianceId/evidence', departmentAuth, asyncHandler(updateComplianceEvidence));
+router.put('/compliance/:complianceId/pass', departmentAuth, asyncHandler(passComplianceRecord));
+router.put('/compliance/:complianceId/fail', departmentAuth, asyncHandler(failComplianceRecord));
+router.put('/compliance/:complianceId/check', departmentAuth, asyncHandler(checkComplianceRecord));
+
+// Inspections - the assigned inspector files the report and photos; report actions become compliance records
+router.post('/inspections', departmentAuth, asyncHandler(scheduleInspection));
+router.get('/inspections', departmentAuth, asyncHandler(getInspections));
+router.get('/inspections/:inspectionId', departmentAuth, asyncHandler(getInspection));
+router.put('/inspections/:inspectionId', departmentAuth, asyncHandler(updateInspection));
+router.put('/inspections/:inspectionId/cancel', departmentAuth, asyncHandler(cancelInspection));
+router.put('/inspections/:inspectionId/report', departmentAuth, asyncHandler(submitInspectionReport));
+router.post('/inspections/:inspectionId/photos', departmentAuth, uploadDocumentFile, asyncHandler(uploadInspectionPhoto));
+router.get('/inspections/:inspectionId/photos/:photoId/file', departmentAuth, asyncHandler(downloadInspectionPhoto));
+
+// Document verification
+router.get('/documents', departmentAuth, asyncHandler(getDocumentsForVerification));
+router.get('/documents/:documentId/file', departmentAuth, loadAadhaarAccess, asyncHandler(downloadDocument));
+router.put('/documents/:documentId/verify', departmentAuth, asyncHandler(verifyDocument));
+router.put('/documents/:documentId/reject', departmentAuth, asyncHandler(rejectDocument));
+
+// Master data administration - categories, work natures and location tables
+// Only MASTER_DATA_ADMIN_ROLES (comma-separated role names); nobody when unset
+const masterDataAuth = [authenticateToken, authorizeRole('department'), requireDepartmentRoles(MASTER_DATA_ADMIN_ROLES)];
+
+router.get('/master/:entity', masterDataAuth, asyncHandler(listMasterRecords));
+router.post('/master/:entity', masterDataAuth, asyncHandler(createMasterRecord));
+router.put('/master/:entity/:id', masterDataAuth, asyncHandler(updateMasterRecord));
+router.delete('/master/:entity/:id', masterDataAuth, asyncHandler(deactivateMasterRecord));
+router.get('/master/:entity/:id/audit', masterDataAuth, asyncHandler(getMasterRecordAudit));
+
+// Department user administration (district, full Aadhaar access) - DEPARTMENT_ADMIN_ROLES only;
+// nobody when it is empty
+const departmentAdminAuth = [authenticateToken, authorizeRole('department'), requireDepartmentRoles(DEPARTMENT_ADMIN_ROLES)];
+
+router.put('/users/:departmentUserId/district', departmentAdminAuth, asyncHandler(setDepartmentUserDistrict));
+router.put('/users/:departmentUserId/aadhaar-access', departmentAdminAuth, asyncHandler(setDepartmentUserAadhaarAccess));
 
 export default router;
 
@@ -5,10 +5,44 @@ import {
   getEstablishmentCardDetails,
   getWorkerDetailsByEstablishment,
   persistWorkerDetails,
-  getAvailableAadhaarCardDetails
+  getAvailableAadhaarCardDetails,
+  updateEstablishmentLocation,
+  getEstablishmentRegistration,
+  updateEstablishmentRegistration
 } from '../controllers/establishmentController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { resubmitEstablishment } from '../controllers/establishmentApprovalController.js';
+import {
+  uploadEstablishmentDocument,
+  getEstablishmentDocuments,
+  downloadDocument
+} from '../controllers/documentController.js';
+import {
+  getEstablishmentCompliance,
+  submitComplianceEvidence
+} from '../controllers/complianceController.js';
+import {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deactivateGeofence
+} from '../controllers/geofenceController.js';
+import {
+  getShifts,
+  createShift,
+  updateShift,
+  deactivateShift,
+  getRoster,
+  assignShift,
+  endRosterEntry
+} from '../controllers/shiftController.js';
+import {
+  getNotifications,
+  markNotificationRead
+} from '../controllers/notificationController.js';
+import { authenticateToken, authenticateApplicantToken, verifyEstablishmentOwnership } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { loadAadhaarAccess } from '../middleware/aadhaarAccess.js';
+import { uploadDocumentFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -18,10 +52,47 @@ router.post('/login', asyncHandler(loginEstablishment));
 
 // Protected routes
 router.get('/dashboard/carddetails', asyncHandler(getEstablishmentCardDetails));
-router.get('/workerdetails', asyncHandler(getWorkerDetailsByEstablishment));
-router.get('/workers', asyncHandler(getWorkerDetailsByEstablishment)); // Alias for consistency
+router.get('/workerdetails', loadAadhaarAccess, asyncHandler(getWorkerDetailsByEstablishment));
+router.get('/workers', loadAadhaarAccess, asyncHandler(getWorkerDetailsByEstablishment)); // Alias for consistency
 router.post('/persistworkerdetailsbyestablishment', authenticateToken, asyncHandler(persistWorkerDetails));
-router.get('/availableaadhaarcarddetails', authenticateToken, asyncHandler(getAvailableAadhaarCardDetails));
+router.get('/availableaadhaarcarddetails', authenticateToken, loadAadhaarAccess, asyncHandler(getAvailableAadhaarCardDetails));
+
+// Registration, open to establishments awaiting approval: correct it while
+// pending or changes_requested, then resubmit it to the department
+router.get('/:establishmentId/registration', authenticateApplicantToken, verifyEstablishmentOwnership, asyncHandler(getEstablishmentRegistration));
+router.put('/:establishmentId/registration', authenticateApplicantToken, verifyEstablishmentOwnership, asyncHandler(updateEstablishmentRegistration));
+router.put('/:establishmentId/resubmit', authenticateApplicantToken, verifyEstablishmentOwnership, asyncHandler(resubmitEstablishment));
+
+// Site position and boundary (GeoJSON Polygon)
+router.put('/:establishmentId/location', authenticateToken, verifyEstablishmentOwnership, asyncHandler(updateEstablishmentLocation));
+
+// Site geofences for attendance (circle or polygon)
+router.get('/:establishmentId/geofences', authenticateToken, verifyEstablishmentOwnership, asyncHandler(getGeofences));
+router.post('/:establishmentId/geofences', authenticateToken, verifyEstablishmentOwnership, asyncHandler(createGeofence));
+router.put('/:establishmentId/geofences/:geofenceId', authenticateToken, verifyEstablishmentOwnership, asyncHandler(updateGeofence));
+router.delete('/:establishmentId/geofences/:geofenceId', authenticateToken, verifyEstablishmentOwnership, asyncHandler(deactivateGeofence));
+
+// Shift templates and the worker roster (punches are attached to shifts)
+router.get('/:establishmentId/shifts', authenticateToken, verifyEstablishmentOwnership, asyncHandler(getShifts));
+router.post('/:establishmentId/shifts', authenticateToken, verifyEstablishmentOwnership, asyncHandler(createShift));
+router.put('/:establishmentId/shifts/:shiftId', authenticateToken, verifyEstablishmentOwnership, asyncHandler(updateShift));
+router.delete('/:establishmentId/shifts/:shiftId', authenticateToken, verifyEstablishmentOwnership, asyncHandler(deactivateShift));
+router.get('/:establishmentId/roster', authenticateToken, verifyEstablishmentOwnership, asyncHandler(getRoster));
+router.post('/:establishmentId/roster', authenticateToken, verifyEstablishmentOwnership, asyncHandler(assignShift));
+router.delete('/:establishmentId/roster/:rosterId', authenticateToken, verifyEstablishmentOwnership, asyncHandler(endRosterEntry));
+
+// Notifications (e.g. sessions closed by the automatic check-out)
+router.get('/:establishmentId/notifications', authenticateToken, verifyEstablishmentOwnership, asyncHandler(getNotifications));
+router.put('/:establishmentId/notifications/:notificationId/read', authenticateToken, verifyEstablishmentOwnership, asyncHandler(markNotificationRead));
+
+// Documents (BOCW registration, plan approval, photos), also while awaiting approval
+router.post('/:establishmentId/documents', authenticateApplicantToken, verifyEstablishmentOwnership, uploadDocumentFile, asyncHandler(uploadEstablishmentDocument));
+router.get('/:establishmentId/documents', authenticateApplicantToken, verifyEstablishmentOwnership, asyncHandler(getEstablishmentDocuments));
+router.get('/:establishmentId/documents/:documentId/file', authenticateApplicantToken, verifyEstablishmentOwnership, asyncHandler(downloadDocument));
+
+// Compliance - upload the evidence as a document first, then attach it
+router.get('/:establishmentId/compliance', authenticateToken, verifyEstablishmentOwnership, asyncHandler(getEstablishmentCompliance));
+router.put('/:establishmentId/compliance/:complianceId/evidence', authenticateToken, verifyEstablishmentOwnership, asyncHandler(submitComplianceEvidence));
 
 export default router;
 
@@ -2,24 +2,36 @@ import express from 'express';
 import { 
   getStates,
   getDistricts,
+  getSubdivisions,
   getCities,
   getVillages,
+  getLocationHierarchy,
+  searchLocations,
+  getPincodeDetails,
   getEstablishmentCategories,
   getWorkNaturesByCategory
 } from '../controllers/locationController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { cacheResponse } from '../middleware/cache.js';
 
 const router = express.Router();
 
 // All location/master data endpoints are public
-router.get('/states', asyncHandler(getStates));
-router.get('/districts', asyncHandler(getDistricts));
-router.get('/cities', asyncHandler(getCities));
-router.get('/villages', asyncHandler(getVillages));
+// Responses are cached in-process and served with ETags (see middleware/cache.js)
+router.get('/states', cacheResponse('location'), asyncHandler(getStates));
+router.get('/districts', cacheResponse('location'), asyncHandler(getDistricts));
+router.get('/subdivisions', cacheResponse('location'), asyncHandler(getSubdivisions));
+router.get('/cities', cacheResponse('location'), asyncHandler(getCities));
+router.get('/villages', cacheResponse('location'), asyncHandler(getVillages));
+router.get('/hierarchy/:villageId', cacheResponse('location'), asyncHandler(getLocationHierarchy));
+router.get('/pincode/:pin', cacheResponse('location'), asyncHandler(getPincodeDetails));
+
+// Search results vary too much to cache; the index behind them is cached
+router.get('/search', asyncHandler(searchLocations));
 
 // Establishment category and work nature
-router.get('/establishmentcategory/details', asyncHandler(getEstablishmentCategories));
-router.get('/establishmentworknature/details', asyncHandler(getWorkNaturesByCategory));
+router.get('/establishmentcategory/details', cacheResponse('master'), asyncHandler(getEstablishmentCategories));
+router.get('/establishmentworknature/details', cacheResponse('master'), asyncHandler(getWorkNaturesByCategory));
 
 export default router;
 
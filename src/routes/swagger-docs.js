@@ -20,7 +20,7 @@ export const swaggerPaths = {
               type: 'object',
               required: ['aadhaarNumber', 'firstName', 'lastName', 'gender', 'dateOfBirth', 'mobileNumber', 'password'],
               properties: {
-                aadhaarNumber: { type: 'string', pattern: '^[0-9]{12}$', example: '123456789012' },
+                aadhaarNumber: { type: 'string', pattern: '^[0-9]{12}$', example: '234567890124' },
                 firstName: { type: 'string', example: 'John' },
                 middleName: { type: 'string', example: 'Kumar' },
                 lastName: { type: 'string', example: 'Doe' },
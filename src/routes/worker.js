@@ -1,7 +1,27 @@
 import express from 'express';
-import { registerWorker, loginWorker, getWorkerProfile } from '../controllers/workerController.js';
-import { authenticateToken, verifyWorkerOwnership } from '../middleware/auth.js';
+import {
+  registerWorker,
+  loginWorker,
+  getWorkerProfile,
+  updateWorkerProfile,
+  getWorkerProfileHistory
+} from '../controllers/workerController.js';
+import {
+  getWorkerDependents,
+  replaceWorkerDependents,
+  addWorkerDependent,
+  updateWorkerDependent,
+  deleteWorkerDependent
+} from '../controllers/dependentController.js';
+import {
+  uploadWorkerDocument,
+  getWorkerDocuments,
+  downloadDocument
+} from '../controllers/documentController.js';
+import { authenticateToken, authorizeRole, verifyWorkerOwnership } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { loadAadhaarAccess } from '../middleware/aadhaarAccess.js';
+import { uploadDocumentFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -12,8 +32,16 @@ const router = express.Router();
  * /api/worker/register:
  *   post:
  *     summary: Register a new worker
- *     description: Creates a new worker account with personal and address information
+ *     description: Creates a new worker account with personal and address information. The worker and dependents are saved together or not at all.
  *     tags: [Worker]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         description: UUID reused on every retry of the same registration, so a retry never creates a second worker
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
  *       required: true
  *       content:
@@ -32,7 +60,7 @@ const router = express.Router();
  *               aadhaarNumber:
  *                 type: string
  *                 pattern: '^[0-9]{12}$'
- *                 example: "123456789012"
+ *                 example: "234567890124"
  *               firstName:
  *                 type: string
  *                 example: "John"
@@ -81,7 +109,17 @@ const router = express.Router();
  *               isSameAsPerAddr:
  *                 type: boolean
  *                 example: true
+ *               workerDependents:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkerDependent'
  *     responses:
+ *       200:
+ *         description: Replayed request; the worker registered by the first attempt is returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
  *       201:
  *         description: Worker registered successfully
  *         content:
@@ -176,6 +214,380 @@ router.post('/login', asyncHandler(loginWorker));
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/profile/:workerId', authenticateToken, asyncHandler(getWorkerProfile));
+router.get('/profile/:workerId', authenticateToken, loadAadhaarAccess, asyncHandler(getWorkerProfile));
+
+/**
+ * @swagger
+ * /api/worker/profile/{workerId}:
+ *   patch:
+ *     summary: Update worker profile
+ *     description: |
+ *       Updates the fields sent, with the same validation as registration (mobile, email,
+ *       address ids, pincodes). When isSameAsPerAddr is true the permanent address is copied
+ *       to the present address. Each changed field is recorded in the profile history.
+ *       Aadhaar, password and status cannot be changed here.
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Worker ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mobileNumber:
+ *                 type: string
+ *                 pattern: '^[0-9]{10}$'
+ *                 example: "9876543210"
+ *               emailId:
+ *                 type: string
+ *                 example: "worker@example.com"
+ *               perDistrictId:
+ *                 type: integer
+ *                 example: 10
+ *               perCityId:
+ *                 type: integer
+ *                 example: 1
+ *               perVillageOrAreaId:
+ *                 type: integer
+ *                 example: 1234
+ *               perPincode:
+ *                 type: integer
+ *                 example: 500003
+ *               isSameAsPerAddr:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Profile updated (changedFields lists the columns that changed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation error or locked field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Can only update own profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/profile/:workerId', authenticateToken, verifyWorkerOwnership, asyncHandler(updateWorkerProfile));
+
+/**
+ * @swagger
+ * /api/worker/profile/{workerId}/history:
+ *   get:
+ *     summary: Get worker profile change history
+ *     description: Field-level changes made to a worker profile, newest first. Department users can read any worker's history; workers only their own.
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Worker ID
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or after this time (e.g. the approval date)
+ *     responses:
+ *       200:
+ *         description: Change history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: Forbidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/profile/:workerId/history', authenticateToken, authorizeRole('worker', 'department'), asyncHandler(getWorkerProfileHistory));
+
+// Dependents and nominees
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkerDependent:
+ *       type: object
+ *       required:
+ *         - dependentName
+ *         - dateOfBirth
+ *         - relationship
+ *       properties:
+ *         dependentId:
+ *           type: integer
+ *           description: Set when updating an existing dependent
+ *         dependentName:
+ *           type: string
+ *           example: "Lakshmi"
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *           example: "2012-06-01"
+ *         relationship:
+ *           type: string
+ *           enum: [spouse, wife, husband, son, daughter, father, mother, brother, sister, grandfather, grandmother, grandson, granddaughter, father-in-law, mother-in-law, other]
+ *         isNomineeSelected:
+ *           type: boolean
+ *           example: true
+ *         percentageOfBenifits:
+ *           type: number
+ *           description: Share of benefits; nominee shares must add up to exactly 100
+ *           example: 50
+ *         guardianName:
+ *           type: string
+ *           description: Required for nominees under 18
+ *           example: "Ramesh"
+ *         guardianRelationship:
+ *           type: string
+ *           example: "uncle"
+ */
+
+/**
+ * @swagger
+ * /api/worker/{workerId}/dependents:
+ *   get:
+ *     summary: List worker dependents
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dependents retrieved successfully
+ *   put:
+ *     summary: Replace all worker dependents
+ *     description: Dependents with a dependentId are updated, new ones added and missing ones removed. Use this to move nominee shares between dependents.
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dependents:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkerDependent'
+ *     responses:
+ *       200:
+ *         description: Dependents saved successfully
+ *       400:
+ *         description: Dependent rules violated (details lists every problem)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add a worker dependent
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkerDependent'
+ *     responses:
+ *       201:
+ *         description: Dependent added successfully
+ *       400:
+ *         description: Dependent rules violated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:workerId/dependents', authenticateToken, verifyWorkerOwnership, asyncHandler(getWorkerDependents));
+router.put('/:workerId/dependents', authenticateToken, verifyWorkerOwnership, asyncHandler(replaceWorkerDependents));
+router.post('/:workerId/dependents', authenticateToken, verifyWorkerOwnership, asyncHandler(addWorkerDependent));
+
+/**
+ * @swagger
+ * /api/worker/{workerId}/dependents/{dependentId}:
+ *   put:
+ *     summary: Update a worker dependent
+ *     description: Fields not sent keep their stored value. The full set must still satisfy the nominee rules.
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: dependentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkerDependent'
+ *     responses:
+ *       200:
+ *         description: Dependent updated successfully
+ *       404:
+ *         description: Dependent not found
+ *   delete:
+ *     summary: Remove a worker dependent
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: dependentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dependent removed successfully
+ *       400:
+ *         description: Removing would break the nominee share total
+ */
+router.put('/:workerId/dependents/:dependentId', authenticateToken, verifyWorkerOwnership, asyncHandler(updateWorkerDependent));
+router.delete('/:workerId/dependents/:dependentId', authenticateToken, verifyWorkerOwnership, asyncHandler(deleteWorkerDependent));
+
+// Documents
+
+/**
+ * @swagger
+ * /api/worker/{workerId}/documents:
+ *   get:
+ *     summary: List worker documents with their verification status
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *   post:
+ *     summary: Upload a worker document
+ *     description: PDF, JPEG or PNG depending on the document type, up to DOCUMENT_MAX_SIZE_MB (default 5 MB). The file type is checked from its content.
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentType
+ *               - file
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [aadhaar_copy, bocw_registration, photo]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Document uploaded and waiting for verification
+ *       400:
+ *         description: Missing file, wrong file type or file too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:workerId/documents', authenticateToken, verifyWorkerOwnership, uploadDocumentFile, asyncHandler(uploadWorkerDocument));
+router.get('/:workerId/documents', authenticateToken, verifyWorkerOwnership, asyncHandler(getWorkerDocuments));
+
+/**
+ * @swagger
+ * /api/worker/{workerId}/documents/{documentId}/file:
+ *   get:
+ *     summary: Download a worker document
+ *     tags: [Worker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:workerId/documents/:documentId/file', authenticateToken, verifyWorkerOwnership, asyncHandler(downloadDocument));
 
 export default router;
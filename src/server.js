@@ -8,6 +8,7 @@ import { swaggerSpec } from './config/swagger.js';
 import { testConnection } from './config/supabase.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { validateSamlConfig } from './config/saml.js';
+import { startAutoCheckoutJob } from './jobs/autoCheckout.js';
 import signature from 'cookie-signature';
 
 // Import routes
@@ -97,10 +98,12 @@ const corsOptions = {
     'X-App-Origin',        // ✅ Added: Custom header seen in logs
     'X-Device-Platform',   // ✅ Added: Custom header seen in logs
     'X-Session-Token',     // ✅ Added: For header-based session support
+    'If-None-Match',       // ETag revalidation of cached master data
+    'Idempotency-Key',     // Safe retries of worker registration
     'Cookie',
     'Set-Cookie'
   ],
-  exposedHeaders: ['Set-Cookie'],
+  exposedHeaders: ['Set-Cookie', 'ETag'],
   maxAge: 86400, // 24 hours - Cache preflight requests
 };
 
@@ -563,6 +566,9 @@ const startServer = async () => {
       console.log('✨ Server is ready to accept connections');
       console.log('============================================');
       console.log('');
+
+      // Close attendance sessions workers forgot to check out of
+      startAutoCheckoutJob();
     });
 
   } catch (error) {
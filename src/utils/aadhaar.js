@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+/**
+ * Aadhaar protection
+ *
+ * Aadhaar numbers are never stored in plaintext. A worker row keeps:
+ *   aadhaar_encrypted  AES-256-GCM ciphertext, `v1:<iv>:<tag>:<data>` (base64)
+ *   aadhaar_hash       HMAC-SHA256 blind index, for uniqueness and lookup
+ *   aadhaar_last4      last four digits, so masked output needs no decryption
+ *
+ * Keys come from AADHAAR_ENCRYPTION_KEY and AADHAAR_INDEX_KEY (32 bytes each,
+ * base64). Changing the index key invalidates every stored hash.
+ */
+
+const CIPHER = 'aes-256-gcm';
+const KEY_VERSION = 'v1';
+
+const loadKey = (name) => {
+  const value = process.env[name];
+  const key = value ? Buffer.from(value, 'base64') : null;
+
+  if (!key || key.length !== 32) {
+    throw new Error(`${name} must be set to a base64-encoded 32-byte key`);
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt an Aadhaar number for storage
+ */
+export const encryptAadhaar = (aadhaar) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, loadKey('AADHAAR_ENCRYPTION_KEY'), iv);
+  const data = Buffer.concat([cipher.update(String(aadhaar), 'utf8'), cipher.final()]);
+
+  return [KEY_VERSION, iv, cipher.getAuthTag(), data]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a stored Aadhaar number
+ */
+export const decryptAadhaar = (stored) => {
+  if (!stored) return null;
+
+  const [version, iv, tag, data] = stored.split(':');
+  if (version !== KEY_VERSION) {
+    throw new Error(`Unsupported Aadhaar key version: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, loadKey('AADHAAR_ENCRYPTION_KEY'), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Blind index of an Aadhaar number (hex HMAC), used for equality lookups
+ */
+export const aadhaarBlindIndex = (aadhaar) =>
+  crypto.createHmac('sha256', loadKey('AADHAAR_INDEX_KEY')).update(String(aadhaar)).digest('hex');
+
+/**
+ * Columns to store for an Aadhaar number
+ */
+export const toAadhaarColumns = (aadhaar) => ({
+  aadhaar_encrypted: encryptAadhaar(aadhaar),
+  aadhaar_hash: aadhaarBlindIndex(aadhaar),
+  aadhaar_last4: String(aadhaar).slice(-4)
+});
+
+/**
+ * XXXX-XXXX-1234
+ */
+export const maskAadhaar = (last4) => (last4 ? `XXXX-XXXX-${String(last4).slice(-4)}` : null);
+
+/**
+ * Whether the caller holds the "view full Aadhaar" permission, as loaded by
+ * the loadAadhaarAccess middleware
+ */
+export const canViewFullAadhaar = (req) => req.aadhaarFullView === true;
+
+/**
+ * Replace the stored Aadhaar columns of a worker row with `aadhaar_number`,
+ * masked unless the caller may view it in full
+ */
+export const presentAadhaar = (row, req) => {
+  if (!row) return row;
+
+  const { aadhaar_encrypted: encrypted, aadhaar_hash: _hash, aadhaar_last4: last4, ...rest } = row;
+
+  // Rows not yet migrated by scripts/encrypt-aadhaar.js still hold plaintext
+  const plaintext = rest.aadhaar_number;
+
+  if (canViewFullAadhaar(req)) {
+    rest.aadhaar_number = encrypted ? decryptAadhaar(encrypted) : (plaintext || null);
+  } else {
+    rest.aadhaar_number = maskAadhaar(last4 || plaintext);
+  }
+
+  return rest;
+};
@@ -0,0 +1,46 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Address id validation against the location master
+ */
+
+const LEVELS = [
+  { key: 'stateId', table: 'state', idColumn: 'state_id', parentKey: null, parentColumn: null, label: 'State' },
+  { key: 'districtId', table: 'district', idColumn: 'district_id', parentKey: 'stateId', parentColumn: 'state_id', label: 'District' },
+  { key: 'cityId', table: 'city_mandal', idColumn: 'city_id', parentKey: 'districtId', parentColumn: 'district_id', label: 'City/Mandal' },
+  { key: 'villageOrAreaId', table: 'village_area', idColumn: 'village_or_area_id', parentKey: 'cityId', parentColumn: 'city_id', label: 'Village/Area' }
+];
+
+/**
+ * Check that each given address id exists and sits under the given parent
+ *
+ * Missing ids are skipped. Returns { key, message } for the first problem,
+ * where key is one of stateId, districtId, cityId, villageOrAreaId, or null.
+ */
+export const findAddressError = async (address) => {
+  for (const level of LEVELS) {
+    const id = address[level.key];
+    if (id === undefined || id === null || id === '') continue;
+
+    const columns = level.parentColumn ? `${level.idColumn}, ${level.parentColumn}` : level.idColumn;
+    const { data, error } = await supabase
+      .from(level.table)
+      .select(columns)
+      .eq(level.idColumn, id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return { key: level.key, message: `${level.label} not found` };
+    }
+
+    const parentId = level.parentKey ? address[level.parentKey] : null;
+    if (parentId !== undefined && parentId !== null && parentId !== '' &&
+        String(data[level.parentColumn]) !== String(parentId)) {
+      return { key: level.key, message: `${level.label} does not belong to the selected ${LEVELS.find(l => l.key === level.parentKey).label.toLowerCase()}` };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,277 @@
+import { supabase } from '../config/supabase.js';
+import { errorResponse, ERROR_CODES } from './response.js';
+import { parseCoordinates, parseAccuracy } from './geo.js';
+import { checkPunchLocation, rejectionMessage } from './geofence.js';
+import { startOfZonedDay, getEstablishmentTimeZone } from './dateTime.js';
+import { resolveShift, checkInShiftColumns, earlyExitMinutes } from './shifts.js';
+import { validateDate } from './validation.js';
+import { canAccessAttendance, scopedColumns } from '../middleware/attendancePolicy.js';
+
+/**
+ * Recording attendance punches
+ *
+ * recordPunch holds the rules for one check-in or check-out, shared by
+ * POST /api/attendance/checkinorout and the offline sync. It resolves to
+ * { data, message, fence } when the punch is saved, or to { httpStatus, error }
+ * (an errorResponse body) when it is refused. A punch refused because of
+ * another session also carries conflictAttendanceId.
+ */
+
+const refuse = (httpStatus, code, message, target, details = [], conflictAttendanceId = null) => ({
+  httpStatus,
+  error: errorResponse(code, message, target, details),
+  ...(conflictAttendanceId ? { conflictAttendanceId } : {})
+});
+
+const invalid = (message, target, details) => refuse(400, ERROR_CODES.VALIDATION_ERROR, message, target, details);
+
+/**
+ * Refusal for a punch made outside the site geofence (establishments in reject mode)
+ */
+const punchRejected = (check) => refuse(
+  403,
+  ERROR_CODES.AUTHORIZATION_ERROR,
+  rejectionMessage(check),
+  'location',
+  [{ geofenceStatus: check.status, distanceMeters: check.distance, geofenceId: check.geofenceId }]
+);
+
+/**
+ * Attendance columns recording a punch's geofence check, for `prefix`
+ * check_in or check_out; flagged punches are held for review unless the
+ * session already has one, pending or decided
+ */
+const geofenceColumns = (prefix, check, currentReviewStatus = null) => ({
+  [`${prefix}_geofence_status`]: check.status,
+  [`${prefix}_distance_m`]: check.distance,
+  ...(check.flagged && currentReviewStatus == null
+    ? { review_status: 'pending', review_reason: `geofence_${check.status}` }
+    : {})
+});
+
+const alreadyCheckedOut = (attendanceId) => refuse(
+  400,
+  ERROR_CODES.VALIDATION_ERROR,
+  'Worker is already checked out of this session',
+  'attendanceId',
+  ['Submit a regularization request to correct the check-out time'],
+  attendanceId
+);
+
+/**
+ * Check the fields of a punch (the checkinorout body)
+ * Returns { position, gpsAccuracy } or a refusal.
+ */
+const validatePunch = (punch) => {
+  const { establishmentId, workerId, estmtWorkerId, status, checkInDateTime, checkOutDateTime, latitude, longitude } = punch;
+
+  // Validate required fields
+  if (!establishmentId || !workerId || !estmtWorkerId || !status) {
+    return invalid('establishmentId, workerId, estmtWorkerId, and status are required', 'validation');
+  }
+
+  // Validate status
+  if (!['i', 'o'].includes(status)) {
+    return invalid('Status must be either "i" (check-in) or "o" (check-out)', 'status');
+  }
+
+  for (const [field, value] of [['checkInDateTime', checkInDateTime], ['checkOutDateTime', checkOutDateTime]]) {
+    if (value && !validateDate(value)) {
+      return invalid(`${field} must be a valid timestamp`, field);
+    }
+  }
+
+  // Device GPS fix, optional
+  const hasPosition = latitude !== undefined || longitude !== undefined;
+  const position = parseCoordinates(latitude, longitude);
+
+  if (hasPosition && !position) {
+    return invalid('latitude and longitude must be valid coordinates', 'location');
+  }
+
+  return { position, gpsAccuracy: position ? parseAccuracy(punch.accuracy) : null };
+};
+
+/**
+ * Close an open session, fenced by the session's site
+ */
+const checkOut = async (scope, punch, position, gpsAccuracy) => {
+  const { attendanceId, workerId, checkOutDateTime } = punch;
+
+  const { data: session, error: sessionError } = await supabase
+    .from('attendance')
+    .select(scopedColumns(`
+      attendance_id, establishment_id, worker_id, status, check_in_date_time, check_out_date_time,
+      review_status, shift_id, scheduled_end, shift:shift_id (grace_minutes)
+    `, scope))
+    .eq('attendance_id', attendanceId)
+    .maybeSingle();
+
+  if (sessionError) throw sessionError;
+
+  // Sessions outside the caller's scope look the same as missing ones
+  if (!session || !canAccessAttendance(scope, session)) {
+    return refuse(404, ERROR_CODES.NOT_FOUND, 'Attendance record not found', 'attendanceId');
+  }
+
+  if (String(session.worker_id) !== String(workerId)) {
+    return invalid('Attendance record belongs to another worker', 'attendanceId');
+  }
+
+  // A closed session is only changed through a regularization request
+  if (session.status !== 'i' || session.check_out_date_time) {
+    return alreadyCheckedOut(session.attendance_id);
+  }
+
+  const checkOutAt = new Date(checkOutDateTime || Date.now());
+
+  if (checkOutAt <= new Date(session.check_in_date_time)) {
+    return invalid('Check-out must be after check-in', 'checkOutDateTime');
+  }
+
+  const fence = await checkPunchLocation(session.establishment_id, position, gpsAccuracy);
+  if (fence.rejected) return punchRejected(fence);
+
+  const { data, error } = await supabase
+    .from('attendance')
+    .update({
+      check_out_date_time: checkOutAt.toISOString(),
+      check_out_latitude: position?.latitude ?? null,
+      check_out_longitude: position?.longitude ?? null,
+      check_out_accuracy_m: gpsAccuracy,
+      ...geofenceColumns('check_out', fence, session.review_status),
+      early_exit_minutes: session.shift_id ? earlyExitMinutes(session.shift, session.scheduled_end, checkOutAt) : null,
+      status: 'o'
+    })
+    .eq('attendance_id', session.attendance_id)
+    .eq('status', 'i')
+    .is('check_out_date_time', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // Closed in the meantime (another punch, or the automatic check-out)
+  if (!data) return alreadyCheckedOut(session.attendance_id);
+
+  return { data, message: 'Checked out successfully', fence };
+};
+
+/**
+ * Open a session, attached to the rostered shift it falls in
+ */
+const checkIn = async (punch, position, gpsAccuracy) => {
+  const { establishmentId, workerId, estmtWorkerId, workLocation, checkInDateTime, status } = punch;
+
+  // Only approved workers can start a session; check-out stays open so a
+  // worker suspended mid-shift can still be checked out
+  const { data: worker, error: workerError } = await supabase
+    .from('worker')
+    .select('worker_id, status')
+    .eq('worker_id', workerId)
+    .maybeSingle();
+
+  if (workerError) throw workerError;
+
+  if (!worker) {
+    return refuse(404, ERROR_CODES.NOT_FOUND, 'Worker not found', 'workerId');
+  }
+
+  if (worker.status !== 'approved') {
+    return refuse(403, ERROR_CODES.AUTHORIZATION_ERROR, `Worker with status "${worker.status}" cannot check in`, 'workerId');
+  }
+
+  const checkInAt = new Date(checkInDateTime || Date.now());
+  const timeZone = await getEstablishmentTimeZone(establishmentId);
+  const shift = await resolveShift(establishmentId, workerId, checkInAt, timeZone);
+  const shiftColumns = checkInShiftColumns(shift, checkInAt, timeZone);
+
+  // Check if worker is already checked in for this work date; a night
+  // shift's work date is the day it started, so this spans midnight
+  const { data: existingCheckIn, error: checkError } = await supabase
+    .from('attendance')
+    .select('attendance_id')
+    .eq('worker_id', workerId)
+    .eq('establishment_id', establishmentId)
+    .gte('check_in_date_time', startOfZonedDay(shiftColumns.work_date, timeZone).toISOString())
+    .eq('status', 'i')
+    .is('check_out_date_time', null)
+    .order('check_in_date_time', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (checkError) throw checkError;
+
+  if (existingCheckIn && status === 'i') {
+    return refuse(
+      400,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Worker is already checked in. Please check out first.',
+      'workerId',
+      ['Use the existing attendanceId to check out'],
+      existingCheckIn.attendance_id
+    );
+  }
+
+  const fence = await checkPunchLocation(establishmentId, position, gpsAccuracy);
+  if (fence.rejected) return punchRejected(fence);
+
+  // Create new attendance (check-in)
+  const { data, error } = await supabase
+    .from('attendance')
+    .insert({
+      establishment_id: establishmentId,
+      worker_id: workerId,
+      estmt_worker_id: estmtWorkerId,
+      work_location: workLocation || '',
+      check_in_date_time: checkInAt.toISOString(),
+      check_out_date_time: null,
+      check_in_latitude: position?.latitude ?? null,
+      check_in_longitude: position?.longitude ?? null,
+      check_in_accuracy_m: gpsAccuracy,
+      ...geofenceColumns('check_in', fence),
+      ...shiftColumns,
+      status: 'i'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { data, message: 'Checked in successfully', fence };
+};
+
+/**
+ * Record one punch: a check-out when it names an attendanceId, otherwise a
+ * check-in. The caller has already run the access policy on the body.
+ */
+export const recordPunch = async (scope, punch) => {
+  const checked = validatePunch(punch);
+  if (checked.error) return checked;
+
+  const { position, gpsAccuracy } = checked;
+
+  return punch.attendanceId && punch.attendanceId !== 0
+    ? checkOut(scope, punch, position, gpsAccuracy)
+    : checkIn(punch, position, gpsAccuracy);
+};
+
+/**
+ * The response body parts describing a saved punch
+ */
+export const punchSummary = ({ data, message, fence }) => ({
+  message: fence.flagged ? `${message}. Flagged for review: punch was not verified inside the site.` : message,
+  geofence: {
+    status: fence.status,
+    distanceMeters: fence.distance,
+    flagged: fence.flagged
+  },
+  shift: data.shift_id ? {
+    shiftId: data.shift_id,
+    workDate: data.work_date,
+    scheduledStart: data.scheduled_start,
+    scheduledEnd: data.scheduled_end,
+    lateMinutes: data.late_minutes,
+    earlyExitMinutes: data.early_exit_minutes
+  } : null
+});
@@ -0,0 +1,120 @@
+/**
+ * In-process cache for rarely changing data (location and master tables)
+ *
+ * Keys are namespaced as `<namespace>:<rest>` so a whole namespace can be
+ * dropped when its source tables are edited. The cache is per process: each
+ * instance behind a load balancer keeps its own copy and expires it on TTL.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 2000;
+
+/**
+ * TTL in seconds per namespace
+ */
+export const CACHE_TTL = {
+  location: parseInt(process.env.CACHE_TTL_LOCATION_SECONDS) || 6 * 60 * 60,
+  master: parseInt(process.env.CACHE_TTL_MASTER_SECONDS) || 60 * 60
+};
+
+// Map keeps insertion order, which doubles as least-recently-used order
+const entries = new Map();
+const pendingLoads = new Map();
+
+// Bumped by invalidateCache; a value loaded under an older generation may
+// predate the edit and is not stored
+const generations = new Map();
+
+const namespaceOf = (key) => key.slice(0, key.indexOf(':'));
+
+/**
+ * Current generation of a namespace; pass it to setCached with a value
+ * loaded after reading it
+ */
+export const cacheGeneration = (namespace) => generations.get(namespace) || 0;
+
+/**
+ * Get a cached value, or undefined when missing or expired
+ */
+export const getCached = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+
+  // Refresh recency
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Store a value for `ttlSeconds`
+ * With a `generation`, the value is dropped if the namespace was invalidated
+ * since (it may have been read before the edit).
+ */
+export const setCached = (key, value, ttlSeconds, generation) => {
+  if (generation !== undefined && generation !== cacheGeneration(namespaceOf(key))) return;
+
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Get a cached value, loading and storing it on a miss
+ *
+ * Concurrent misses for the same key share a single load.
+ */
+export const getOrLoad = async (key, ttlSeconds, loader) => {
+  const cached = getCached(key);
+  if (cached !== undefined) return cached;
+
+  if (!pendingLoads.has(key)) {
+    const generation = cacheGeneration(namespaceOf(key));
+    const load = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        setCached(key, value, ttlSeconds, generation);
+        return value;
+      })
+      .finally(() => {
+        if (pendingLoads.get(key) === load) pendingLoads.delete(key);
+      });
+
+    pendingLoads.set(key, load);
+  }
+
+  return pendingLoads.get(key);
+};
+
+/**
+ * Drop every entry in a namespace
+ *
+ * Loads still running are not stored when they finish, and later misses
+ * start a fresh load instead of joining them.
+ */
+export const invalidateCache = (namespace) => {
+  const prefix = `${namespace}:`;
+
+  generations.set(namespace, cacheGeneration(namespace) + 1);
+
+  for (const key of [...entries.keys()]) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+    }
+  }
+
+  for (const key of [...pendingLoads.keys()]) {
+    if (key.startsWith(prefix)) {
+      pendingLoads.delete(key);
+    }
+  }
+
+  console.log(`🧹 Cache invalidated: ${namespace}`);
+};
@@ -0,0 +1,116 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Establishment compliance items, states and scoring
+ */
+
+/**
+ * Items tracked per establishment and the document type accepted as evidence.
+ * worker_count is assessed by the server (see assessWorkerCount);
+ * inspection_action records are raised by inspection reports.
+ */
+export const COMPLIANCE_ITEMS = {
+  bocw_registration: { label: 'BOCW registration', evidenceDocumentType: 'bocw_registration' },
+  cess_payment: { label: 'Cess payment', evidenceDocumentType: 'cess_receipt' },
+  welfare_remittance: { label: 'Welfare board remittance', evidenceDocumentType: 'remittance_receipt' },
+  safety_officer: { label: 'Safety officer appointment', evidenceDocumentType: 'safety_officer_appointment' },
+  worker_count: { label: 'Declared vs actual workers', automatic: true },
+  inspection_action: { label: 'Inspection follow-up action', fromInspection: true }
+};
+
+export const COMPLIANCE_STATES = ['pending', 'overdue', 'pass', 'fail'];
+
+/**
+ * Effective state of a record: pending records past their due date are overdue
+ */
+export const complianceState = (record, today) =>
+  record.status === 'pending' && record.due_date < today ? 'overdue' : record.status;
+
+/**
+ * Share of assessed or overdue items that passed, 0-100
+ * Pending items not yet due do not count; null when nothing counts yet.
+ */
+export const computeComplianceScore = (records, today) => {
+  const counts = { pass: 0, fail: 0, overdue: 0, pending: 0 };
+  records.forEach(record => { counts[complianceState(record, today)] += 1; });
+
+  const counted = counts.pass + counts.fail + counts.overdue;
+
+  return {
+    score: counted > 0 ? Math.round((counts.pass / counted) * 100) : null,
+    ...counts,
+    total: records.length
+  };
+};
+
+/**
+ * Map a compliance_record row to the API shape
+ */
+export const formatComplianceRecord = (row, today) => ({
+  complianceId: row.compliance_id,
+  establishmentId: row.establishment_id,
+  establishmentName: row.establishment?.establishment_name,
+  itemType: row.item_type,
+  itemLabel: COMPLIANCE_ITEMS[row.item_type]?.label || row.item_type,
+  period: row.period || null,
+  description: row.description,
+  inspectionId: row.inspection_id,
+  dueDate: row.due_date,
+  status: complianceState(row, today),
+  evidence: {
+    documentId: row.evidence_document_id,
+    reference: row.evidence_reference
+  },
+  details: row.details,
+  remarks: row.remarks,
+  assessedBy: row.assessed_by,
+  assessedAt: row.assessed_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Compare the worker counts declared at registration with the workers
+ * actively assigned to the establishment
+ * Returns { status, details, remarks } ready to store on the record.
+ */
+export const assessWorkerCount = async (establishmentId) => {
+  const { data: establishment, error: estError } = await supabase
+    .from('establishment')
+    .select('no_of_male_workers, no_of_female_workers')
+    .eq('establishment_id', establishmentId)
+    .single();
+
+  if (estError) throw estError;
+
+  const { data: assignments, error } = await supabase
+    .from('establishment_worker')
+    .select('worker:worker_id (gender)')
+    .eq('establishment_id', establishmentId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+
+  const declared = {
+    male: establishment.no_of_male_workers || 0,
+    female: establishment.no_of_female_workers || 0
+  };
+  declared.total = declared.male + declared.female;
+
+  const actual = { male: 0, female: 0, other: 0, total: 0 };
+  (assignments || []).forEach(({ worker }) => {
+    const gender = String(worker?.gender || '').toLowerCase();
+    actual[gender === 'male' || gender === 'female' ? gender : 'other'] += 1;
+    actual.total += 1;
+  });
+
+  const matches = actual.total === declared.total;
+
+  return {
+    status: matches ? 'pass' : 'fail',
+    details: { declared, actual },
+    remarks: matches
+      ? null
+      : `Declared ${declared.total} workers, ${actual.total} actively assigned`
+  };
+};
@@ -0,0 +1,151 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Time-zone aware calendar days
+ *
+ * Timestamps are stored in UTC, but "today" and date filters mean a calendar
+ * day where the work happens. APP_TIME_ZONE (IANA name, default Asia/Kolkata)
+ * sets the deployment's zone; an establishment can override it with its
+ * time_zone column. A day runs from local midnight to the next local
+ * midnight, so 00:00-05:30 IST is the IST day, not the previous UTC one.
+ */
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const APP_TIME_ZONE = isValidTimeZone(process.env.APP_TIME_ZONE) && process.env.APP_TIME_ZONE
+  ? process.env.APP_TIME_ZONE
+  : 'Asia/Kolkata';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock fields of an instant in a zone
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  partsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Offset of the zone from UTC at an instant, in milliseconds
+ */
+const zoneOffsetMs = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a zone
+ */
+export const toZonedDate = (date = new Date(), timeZone = APP_TIME_ZONE) => {
+  const p = zonedParts(new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * The instant a wall-clock time (HH:MM or HH:MM:SS) falls on a calendar day
+ * in a zone
+ */
+export const zonedDateTime = (dateString, time, timeZone = APP_TIME_ZONE) => {
+  const [hour, minute = 0, second = 0] = String(time).split(':').map(Number);
+  const wallClock = Date.parse(`${dateString}T00:00:00Z`) + ((hour * 60 + minute) * 60 + second) * 1000;
+  // Second pass settles days where the offset changes (DST zones)
+  let instant = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - zoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * The instant a calendar day starts in a zone
+ */
+export const startOfZonedDay = (dateString, timeZone = APP_TIME_ZONE) =>
+  zonedDateTime(dateString, '00:00', timeZone);
+
+/**
+ * UTC bounds of a calendar day in a zone: start inclusive, end exclusive
+ * Returns { date, start, end } with ISO timestamps.
+ */
+export const zonedDayBounds = (date = new Date(), timeZone = APP_TIME_ZONE) => {
+  const day = typeof date === 'string' && DATE_ONLY.test(date) ? date : toZonedDate(date, timeZone);
+
+  return {
+    date: day,
+    start: startOfZonedDay(day, timeZone).toISOString(),
+    end: startOfZonedDay(addDays(day, 1), timeZone).toISOString()
+  };
+};
+
+/**
+ * Apply a from/to filter on a timestamp column. Bare dates cover whole days
+ * in the zone (`to` inclusive); full timestamps are used as given.
+ */
+export const applyDateRange = (query, column, { from, to }, timeZone = APP_TIME_ZONE) => {
+  // Unparseable values go through unchanged for the database to refuse
+  const instant = (value) => (isNaN(Date.parse(value)) ? value : new Date(value).toISOString());
+  let result = query;
+
+  if (from) {
+    result = result.gte(column, DATE_ONLY.test(from) ? startOfZonedDay(from, timeZone).toISOString() : instant(from));
+  }
+
+  if (to) {
+    result = DATE_ONLY.test(to)
+      ? result.lt(column, startOfZonedDay(addDays(to, 1), timeZone).toISOString())
+      : result.lte(column, instant(to));
+  }
+
+  return result;
+};
+
+/**
+ * Time zone of an establishment, falling back to APP_TIME_ZONE
+ */
+export const getEstablishmentTimeZone = async (establishmentId) => {
+  if (!establishmentId) return APP_TIME_ZONE;
+
+  const { data, error } = await supabase
+    .from('establishment')
+    .select('time_zone')
+    .eq('establishment_id', establishmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.time_zone || APP_TIME_ZONE;
+};
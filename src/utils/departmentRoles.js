@@ -0,0 +1,31 @@
+/**
+ * Department role names configured through the environment
+ *
+ * Some department_role names carry privileges (statewide attendance, master
+ * data and department user administration). Anyone can register a department
+ * account and pick its role, so these roles are refused at registration and
+ * only given out by changing department_user.department_role_id in the
+ * database.
+ */
+
+/**
+ * Lower-cased role names from a comma-separated environment variable
+ */
+export const roleNamesFrom = (envName) => (process.env[envName] || '')
+  .split(',')
+  .map(role => role.trim().toLowerCase())
+  .filter(Boolean);
+
+export const ATTENDANCE_STATEWIDE_ROLES = roleNamesFrom('ATTENDANCE_STATEWIDE_ROLES');
+export const MASTER_DATA_ADMIN_ROLES = roleNamesFrom('MASTER_DATA_ADMIN_ROLES');
+export const DEPARTMENT_ADMIN_ROLES = roleNamesFrom('DEPARTMENT_ADMIN_ROLES');
+
+/**
+ * Whether a role name grants more than an ordinary department user has
+ */
+export const isPrivilegedRole = (roleName) => {
+  const name = (roleName || '').trim().toLowerCase();
+
+  return [ATTENDANCE_STATEWIDE_ROLES, MASTER_DATA_ADMIN_ROLES, DEPARTMENT_ADMIN_ROLES]
+    .some(roles => roles.includes(name));
+};
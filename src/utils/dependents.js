@@ -0,0 +1,126 @@
+/**
+ * Worker dependent and nominee rules
+ */
+
+export const DEPENDENT_RELATIONSHIPS = [
+  'spouse', 'wife', 'husband',
+  'son', 'daughter',
+  'father', 'mother',
+  'brother', 'sister',
+  'grandfather', 'grandmother',
+  'grandson', 'granddaughter',
+  'father-in-law', 'mother-in-law',
+  'other'
+];
+
+// Relationships that must be older / younger than the worker
+const ELDER_RELATIONSHIPS = ['father', 'mother', 'grandfather', 'grandmother', 'father-in-law', 'mother-in-law'];
+const YOUNGER_RELATIONSHIPS = ['son', 'daughter', 'grandson', 'granddaughter'];
+
+const ADULT_AGE = 18;
+
+/**
+ * Age in whole years on a given day
+ */
+export const ageOn = (dateOfBirth, onDate = new Date()) => {
+  const dob = new Date(dateOfBirth);
+  const age = onDate.getFullYear() - dob.getFullYear();
+  const beforeBirthday = onDate.getMonth() < dob.getMonth() ||
+    (onDate.getMonth() === dob.getMonth() && onDate.getDate() < dob.getDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+/**
+ * Map a dependent from the request body to a worker_dependents row
+ */
+export const toDependentRow = (dep, workerId) => ({
+  worker_id: workerId,
+  dependent_name: dep.dependentName,
+  date_of_birth: dep.dateOfBirth,
+  relationship: String(dep.relationship || '').trim().toLowerCase(),
+  is_nominee_selected: dep.isNomineeSelected === true || dep.isNomineeSelected === 'true' || dep.isNomineeSelected === 'Y',
+  percentage_of_benefits: Number(dep.percentageOfBenifits) || 0,
+  guardian_name: dep.guardianName || null,
+  guardian_relationship: dep.guardianRelationship || null
+});
+
+/**
+ * Map a worker_dependents row to the API shape
+ */
+export const formatDependent = (row) => ({
+  dependentId: row.dependent_id,
+  workerId: row.worker_id,
+  dependentName: row.dependent_name,
+  dateOfBirth: row.date_of_birth,
+  relationship: row.relationship,
+  isNomineeSelected: row.is_nominee_selected,
+  percentageOfBenifits: Number(row.percentage_of_benefits) || 0,
+  guardianName: row.guardian_name,
+  guardianRelationship: row.guardian_relationship
+});
+
+/**
+ * Validate a worker's complete set of dependent rows
+ *
+ * Checks every dependent on its own (name, date of birth, relationship,
+ * minor nominees need a guardian) and the set as a whole (nominee shares
+ * must add up to exactly 100). Returns a list of { index, field, message };
+ * empty when valid. `index` is null for set-level problems.
+ */
+export const validateDependents = (rows, workerDateOfBirth = null) => {
+  const errors = [];
+  const today = new Date();
+  const workerDob = workerDateOfBirth ? new Date(workerDateOfBirth) : null;
+
+  rows.forEach((row, index) => {
+    const dob = new Date(row.date_of_birth);
+    const relationship = String(row.relationship || '').trim().toLowerCase();
+
+    if (!row.dependent_name || !String(row.dependent_name).trim()) {
+      errors.push({ index, field: 'dependentName', message: 'Dependent name is required' });
+    }
+
+    if (!row.date_of_birth || isNaN(dob)) {
+      errors.push({ index, field: 'dateOfBirth', message: 'A valid date of birth is required' });
+    } else if (dob > today) {
+      errors.push({ index, field: 'dateOfBirth', message: 'Date of birth cannot be in the future' });
+    }
+
+    if (!DEPENDENT_RELATIONSHIPS.includes(relationship)) {
+      errors.push({ index, field: 'relationship', message: `Relationship must be one of: ${DEPENDENT_RELATIONSHIPS.join(', ')}` });
+    } else if (workerDob && !isNaN(workerDob) && !isNaN(dob)) {
+      if (ELDER_RELATIONSHIPS.includes(relationship) && dob >= workerDob) {
+        errors.push({ index, field: 'dateOfBirth', message: `A ${relationship} must be older than the worker` });
+      }
+      if (YOUNGER_RELATIONSHIPS.includes(relationship) && dob <= workerDob) {
+        errors.push({ index, field: 'dateOfBirth', message: `A ${relationship} must be younger than the worker` });
+      }
+    }
+
+    const share = Number(row.percentage_of_benefits);
+
+    if (row.is_nominee_selected) {
+      if (!(share > 0 && share <= 100)) {
+        errors.push({ index, field: 'percentageOfBenifits', message: 'A nominee must receive more than 0 and at most 100 percent' });
+      }
+
+      if (!isNaN(dob) && ageOn(dob, today) < ADULT_AGE && !row.guardian_name) {
+        errors.push({ index, field: 'guardianName', message: 'A nominee under 18 needs a guardian' });
+      }
+    } else if (share) {
+      errors.push({ index, field: 'percentageOfBenifits', message: 'Only nominees can receive a share of benefits' });
+    }
+  });
+
+  const nominees = rows.filter(row => row.is_nominee_selected);
+  if (nominees.length > 0) {
+    // Shares may have two decimals (e.g. 33.33); compare in hundredths
+    const total = nominees.reduce((sum, row) => sum + Math.round(Number(row.percentage_of_benefits) * 100), 0);
+
+    if (total !== 10000) {
+      errors.push({ index: null, field: 'percentageOfBenifits', message: `Nominee shares must add up to 100 percent (currently ${total / 100})` });
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Document storage backends
+ *
+ * Every backend exposes the same three calls, keyed by a relative storage key
+ * such as `worker/12/3f2b...pdf`:
+ *
+ *   save(key, buffer, mimeType)  → Promise<void>
+ *   read(key)                    → Promise<Buffer>
+ *   remove(key)                  → Promise<void>
+ *
+ * DOCUMENT_STORAGE picks the backend (default `local`). Add a backend by
+ * adding a factory to STORAGE_BACKENDS.
+ */
+
+/**
+ * Files under DOCUMENT_STORAGE_DIR (default ./uploads)
+ */
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || 'uploads');
+
+  // Keys are generated server-side, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    read: (key) => fs.readFile(resolveKey(key)),
+
+    remove: (key) => fs.rm(resolveKey(key), { force: true })
+  };
+};
+
+/**
+ * Supabase Storage bucket DOCUMENT_STORAGE_BUCKET (default `documents`)
+ */
+const createSupabaseStorage = () => {
+  const bucket = () => supabase.storage.from(process.env.DOCUMENT_STORAGE_BUCKET || 'documents');
+
+  return {
+    name: 'supabase',
+
+    save: async (key, buffer, mimeType) => {
+      const { error } = await bucket().upload(key, buffer, { contentType: mimeType, upsert: false });
+      if (error) throw error;
+    },
+
+    read: async (key) => {
+      const { data, error } = await bucket().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    remove: async (key) => {
+      const { error } = await bucket().remove([key]);
+      if (error) throw error;
+    }
+  };
+};
+
+const STORAGE_BACKENDS = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage
+};
+
+const instances = new Map();
+
+/**
+ * Get a storage backend by name; defaults to DOCUMENT_STORAGE
+ * Stored documents remember their backend, so reads use the one they were saved with.
+ */
+export const getDocumentStorage = (name = process.env.DOCUMENT_STORAGE || 'local') => {
+  if (!STORAGE_BACKENDS[name]) {
+    throw new Error(`Unknown document storage backend "${name}". Expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, STORAGE_BACKENDS[name]());
+  }
+
+  return instances.get(name);
+};
@@ -0,0 +1,92 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Document types, file checks and counts
+ */
+
+const PDF = 'application/pdf';
+const JPEG = 'image/jpeg';
+const PNG = 'image/png';
+
+/**
+ * Document types that can be uploaded, who may upload them and which file
+ * types they accept
+ */
+export const DOCUMENT_TYPES = {
+  aadhaar_copy: { label: 'Aadhaar copy', owners: ['worker'], mimeTypes: [PDF, JPEG, PNG] },
+  bocw_registration: { label: 'BOCW registration', owners: ['worker', 'establishment'], mimeTypes: [PDF, JPEG, PNG] },
+  plan_approval: { label: 'Plan approval', owners: ['establishment'], mimeTypes: [PDF] },
+  photo: { label: 'Photo', owners: ['worker', 'establishment'], mimeTypes: [JPEG, PNG] },
+  cess_receipt: { label: 'Cess payment receipt', owners: ['establishment'], mimeTypes: [PDF, JPEG, PNG] },
+  remittance_receipt: { label: 'Welfare board remittance receipt', owners: ['establishment'], mimeTypes: [PDF, JPEG, PNG] },
+  safety_officer_appointment: { label: 'Safety officer appointment order', owners: ['establishment'], mimeTypes: [PDF, JPEG, PNG] }
+};
+
+export const FILE_EXTENSIONS = {
+  [PDF]: '.pdf',
+  [JPEG]: '.jpg',
+  [PNG]: '.png'
+};
+
+// Leading bytes of each accepted file type
+const FILE_SIGNATURES = [
+  { mimeType: PDF, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: JPEG, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: PNG, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+/**
+ * Detect the MIME type from the file content rather than trusting the
+ * client's Content-Type; null when not an accepted type
+ */
+export const detectMimeType = (buffer) => {
+  const match = FILE_SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)
+  );
+  return match ? match.mimeType : null;
+};
+
+/**
+ * Map a document row to the API shape
+ */
+export const formatDocument = (row) => ({
+  documentId: row.document_id,
+  ownerType: row.owner_type,
+  ownerId: row.owner_id,
+  documentType: row.document_type,
+  documentLabel: DOCUMENT_TYPES[row.document_type]?.label || row.document_type,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  sizeBytes: row.size_bytes,
+  status: row.status,
+  reviewRemarks: row.review_remarks,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at,
+  uploadedAt: row.uploaded_at
+});
+
+/**
+ * Document counts per owner: Map ownerId → { total, verified, pending, rejected }
+ * Owners without documents get zero counts.
+ */
+export const countDocumentsByOwner = async (ownerType, ownerIds) => {
+  const counts = new Map(ownerIds.map(id => [id, { total: 0, verified: 0, pending: 0, rejected: 0 }]));
+  if (ownerIds.length === 0) return counts;
+
+  const { data, error } = await supabase
+    .from('document')
+    .select('owner_id, status')
+    .eq('owner_type', ownerType)
+    .in('owner_id', ownerIds);
+
+  if (error) throw error;
+
+  (data || []).forEach(({ owner_id: ownerId, status }) => {
+    const count = counts.get(ownerId);
+    if (!count) return;
+    count.total++;
+    count[status]++;
+  });
+
+  return counts;
+};
@@ -0,0 +1,165 @@
+/**
+ * GPS coordinates
+ */
+
+/**
+ * Parse a latitude/longitude pair (numbers or numeric strings)
+ * Returns { latitude, longitude } or null when either is missing or out of range.
+ */
+export const parseCoordinates = (latitude, longitude) => {
+  if (latitude === undefined || latitude === null || latitude === '' ||
+      longitude === undefined || longitude === null || longitude === '') {
+    return null;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Parse a GPS accuracy radius in metres; null when absent or invalid
+ */
+export const parseAccuracy = (accuracy) => {
+  const value = Number(accuracy);
+  return accuracy !== undefined && accuracy !== null && accuracy !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : null;
+};
+
+/**
+ * Parse a site polygon: a GeoJSON Polygon or a bare ring of [longitude, latitude]
+ * pairs. Only the outer ring is kept, closed if the caller did not close it.
+ * Returns { polygon } (GeoJSON) or { error }.
+ */
+export const parseSitePolygon = (input) => {
+  const ring = Array.isArray(input) ? input : input?.type === 'Polygon' && input.coordinates?.[0];
+
+  if (!Array.isArray(ring)) {
+    return { error: 'sitePolygon must be a GeoJSON Polygon or an array of [longitude, latitude] pairs' };
+  }
+
+  const positions = [];
+  for (const position of ring) {
+    const point = Array.isArray(position) ? parseCoordinates(position[1], position[0]) : null;
+    if (!point) return { error: 'sitePolygon has an invalid [longitude, latitude] pair' };
+    positions.push([point.longitude, point.latitude]);
+  }
+
+  const [first] = positions;
+  const last = positions[positions.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([...first]);
+  }
+
+  if (positions.length < 4) {
+    return { error: 'sitePolygon needs at least three distinct points' };
+  }
+
+  return { polygon: { type: 'Polygon', coordinates: [positions] } };
+};
+
+/**
+ * Average of a polygon's vertices, good enough as a marker position for a site
+ */
+export const polygonCenter = (polygon) => {
+  const vertices = polygon.coordinates[0].slice(0, -1);
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+
+  return {
+    latitude: round(vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length),
+    longitude: round(vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length)
+  };
+};
+
+/**
+ * Parse a bounding box "minLng,minLat,maxLng,maxLat" (GeoJSON order)
+ * Returns { minLat, minLng, maxLat, maxLng } or null.
+ */
+export const parseBoundingBox = (bbox) => {
+  const parts = String(bbox || '').split(',').map(part => part.trim());
+  if (parts.length !== 4) return null;
+
+  const southWest = parseCoordinates(parts[1], parts[0]);
+  const northEast = parseCoordinates(parts[3], parts[2]);
+
+  if (!southWest || !northEast || southWest.latitude > northEast.latitude || southWest.longitude > northEast.longitude) {
+    return null;
+  }
+
+  return {
+    minLat: southWest.latitude,
+    minLng: southWest.longitude,
+    maxLat: northEast.latitude,
+    maxLng: northEast.longitude
+  };
+};
+
+const EARTH_RADIUS_M = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two { latitude, longitude } points in metres
+ */
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon's outer ring (ray casting)
+ */
+export const isInsidePolygon = (point, polygon) => {
+  const ring = polygon.coordinates[0];
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > point.latitude) !== (yj > point.latitude) &&
+      point.longitude < ((xj - xi) * (point.latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+/**
+ * Distance in metres from a point to a GeoJSON Polygon, 0 when inside
+ * Edges are measured on a flat projection around the point, which is
+ * accurate at site scale.
+ */
+export const distanceToPolygon = (point, polygon) => {
+  if (isInsidePolygon(point, polygon)) return 0;
+
+  const metresPerDegree = toRadians(1) * EARTH_RADIUS_M;
+  const project = ([lng, lat]) => ({
+    x: (lng - point.longitude) * metresPerDegree * Math.cos(toRadians(point.latitude)),
+    y: (lat - point.latitude) * metresPerDegree
+  });
+
+  const ring = polygon.coordinates[0].map(project);
+  let nearest = Infinity;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const a = ring[i];
+    const b = ring[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point of the edge to the origin (the point itself)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return nearest;
+};
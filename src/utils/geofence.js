@@ -0,0 +1,116 @@
+import { supabase } from '../config/supabase.js';
+import { distanceMeters, distanceToPolygon } from './geo.js';
+
+/**
+ * Attendance geofencing
+ *
+ * A punch is compared with the active site geofences of its establishment:
+ *
+ *   inside          within a fence (or within GEOFENCE_TOLERANCE_M of one)
+ *   outside         further away; distance is how far outside the nearest fence
+ *   no_fix          no GPS position was sent
+ *   low_accuracy    the fix is less precise than GEOFENCE_MAX_ACCURACY_M
+ *   not_configured  the establishment has no active geofence
+ *
+ * The establishment's geofence_mode (default GEOFENCE_MODE, `flag`) decides
+ * what happens to outside, no_fix and low_accuracy punches: `reject` refuses
+ * them, `flag` saves them for review and `off` only records the outcome.
+ */
+
+export const GEOFENCE_MODES = ['off', 'flag', 'reject'];
+
+const DEFAULT_MODE = GEOFENCE_MODES.includes(process.env.GEOFENCE_MODE) ? process.env.GEOFENCE_MODE : 'flag';
+const TOLERANCE_M = parseFloat(process.env.GEOFENCE_TOLERANCE_M) || 25;
+const MAX_ACCURACY_M = parseFloat(process.env.GEOFENCE_MAX_ACCURACY_M) || 100;
+
+const UNVERIFIED_STATUSES = ['outside', 'no_fix', 'low_accuracy'];
+
+/**
+ * Distance in metres from a point to a site_geofence row, 0 when inside
+ */
+export const distanceToGeofence = (point, fence) => {
+  if (fence.shape === 'circle') {
+    const center = { latitude: Number(fence.center_latitude), longitude: Number(fence.center_longitude) };
+    return Math.max(0, distanceMeters(point, center) - Number(fence.radius_m));
+  }
+  return distanceToPolygon(point, fence.polygon);
+};
+
+/**
+ * Compare a position with a set of fences
+ * Returns { status, distance, geofenceId } (distance and geofenceId null when not measured)
+ */
+export const evaluatePosition = (fences, position, accuracy) => {
+  if (fences.length === 0) return { status: 'not_configured', distance: null, geofenceId: null };
+  if (!position) return { status: 'no_fix', distance: null, geofenceId: null };
+
+  const nearest = fences
+    .map(fence => ({ fence, distance: distanceToGeofence(position, fence) }))
+    .reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+
+  const distance = Math.round(nearest.distance * 100) / 100;
+  const geofenceId = nearest.fence.geofence_id;
+
+  if (accuracy !== null && accuracy > MAX_ACCURACY_M) {
+    return { status: 'low_accuracy', distance, geofenceId };
+  }
+
+  return { status: distance <= TOLERANCE_M ? 'inside' : 'outside', distance, geofenceId };
+};
+
+/**
+ * Check a punch for an establishment
+ * Returns { mode, status, distance, geofenceId, rejected, flagged }.
+ */
+export const checkPunchLocation = async (establishmentId, position, accuracy) => {
+  const [{ data: establishment, error: estError }, { data: fences, error: fenceError }] = await Promise.all([
+    supabase.from('establishment').select('geofence_mode').eq('establishment_id', establishmentId).maybeSingle(),
+    supabase.from('site_geofence').select('*').eq('establishment_id', establishmentId).eq('is_active', true)
+  ]);
+
+  if (estError) throw estError;
+  if (fenceError) throw fenceError;
+
+  const mode = establishment?.geofence_mode || DEFAULT_MODE;
+  const result = evaluatePosition(fences || [], position, accuracy);
+  const unverified = UNVERIFIED_STATUSES.includes(result.status);
+
+  return {
+    mode,
+    ...result,
+    rejected: unverified && mode === 'reject',
+    flagged: unverified && mode === 'flag'
+  };
+};
+
+/**
+ * Why a punch was refused, for the error message
+ */
+export const rejectionMessage = (check) => {
+  switch (check.status) {
+    case 'no_fix':
+      return 'A GPS position is required to punch at this site';
+    case 'low_accuracy':
+      return `GPS fix is not accurate enough (needs ${MAX_ACCURACY_M} m or better). Move to open sky and try again.`;
+    default:
+      return `You are ${Math.round(check.distance)} m outside the site. Punch from within the site.`;
+  }
+};
+
+/**
+ * Map a site_geofence row to the API shape
+ */
+export const formatGeofence = (row) => ({
+  geofenceId: row.geofence_id,
+  establishmentId: row.establishment_id,
+  name: row.name,
+  shape: row.shape,
+  center: row.shape === 'circle'
+    ? { latitude: Number(row.center_latitude), longitude: Number(row.center_longitude) }
+    : null,
+  radius: row.shape === 'circle' ? Number(row.radius_m) : null,
+  polygon: row.polygon,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
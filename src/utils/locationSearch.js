@@ -0,0 +1,112 @@
+/**
+ * Location name matching utilities
+ *
+ * Place names are transliterated from Telugu in many ways ("Visakhapatnam",
+ * "Vishakapatnam", "Tirupathi", "Tirupati"). Names and queries are reduced to
+ * a search key that folds the common spelling variants together before
+ * matching, and near misses are caught with a small edit distance.
+ */
+
+// Applied in order to each lowercase word
+const TRANSLITERATION_RULES = [
+  [/ksh/g, 'ks'],
+  [/x/g, 'ks'],
+  [/([tdskgbpjc])h/g, '$1'],
+  [/w/g, 'v'],
+  [/z/g, 'j'],
+  [/q/g, 'k'],
+  [/ee/g, 'i'],
+  [/oo/g, 'u'],
+  [/ou/g, 'u'],
+  [/(.)\1+/g, '$1'],
+  [/(.)h$/, '$1']
+];
+
+/**
+ * Reduce a place name or query to its search key
+ */
+export const toSearchKey = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => TRANSLITERATION_RULES.reduce((w, [pattern, replacement]) => w.replace(pattern, replacement), word))
+    .join(' ');
+};
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Typos allowed for a query key of this length
+ */
+const allowedTypos = (length) => {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Score how well a name key matches a query key (0 = no match)
+ *
+ * exact > prefix > word prefix > substring > fuzzy prefix
+ */
+export const scoreMatch = (queryKey, nameKey) => {
+  if (!queryKey || !nameKey) return 0;
+
+  const compactQuery = queryKey.replace(/ /g, '');
+  const compactName = nameKey.replace(/ /g, '');
+
+  if (compactName === compactQuery) return 100;
+  if (compactName.startsWith(compactQuery)) return 80;
+
+  const words = nameKey.split(' ');
+  if (words.some(word => word.startsWith(compactQuery))) return 70;
+  if (compactName.includes(compactQuery)) return 50;
+
+  const maxTypos = allowedTypos(compactQuery.length);
+  if (maxTypos === 0) return 0;
+
+  // Compare against prefixes of the name one character either side of the
+  // query length, so a dropped or doubled letter still lines up
+  const candidates = [compactName, ...words];
+  let best = maxTypos + 1;
+
+  candidates.forEach(candidate => {
+    for (let delta = -1; delta <= 1; delta++) {
+      const prefix = candidate.slice(0, compactQuery.length + delta);
+      if (prefix.length === 0) continue;
+      best = Math.min(best, editDistance(compactQuery, prefix, maxTypos));
+    }
+  });
+
+  return best <= maxTypos ? 40 - best * 10 : 0;
+};
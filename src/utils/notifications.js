@@ -0,0 +1,37 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Establishment notifications
+ *
+ * Messages for an establishment from background work (such as automatic
+ * check-outs), kept in establishment_notification until read through
+ * GET /api/establishment/:establishmentId/notifications.
+ */
+
+export const notifyEstablishment = async (establishmentId, { type, title, message, data = {} }) => {
+  const { data: notification, error } = await supabase
+    .from('establishment_notification')
+    .insert({
+      establishment_id: establishmentId,
+      type,
+      title: title.slice(0, 200),
+      message,
+      data
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return notification;
+};
+
+export const formatNotification = (row) => ({
+  notificationId: row.notification_id,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  data: row.data,
+  read: Boolean(row.read_at),
+  readAt: row.read_at,
+  createdAt: row.created_at
+});
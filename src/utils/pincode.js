@@ -0,0 +1,50 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Pincode master lookups
+ */
+
+/**
+ * Get the pincode master rows for a pincode, with district and mandal
+ */
+export const getPincodeLocations = async (pincode) => {
+  const { data, error } = await supabase
+    .from('pincode_location')
+    .select(`
+      pincode,
+      post_office_name,
+      district:district_id (
+        district_id,
+        district_code,
+        district_name,
+        state_id
+      ),
+      city:city_id (
+        city_id,
+        city_code,
+        city_name
+      )
+    `)
+    .eq('pincode', parseInt(pincode));
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Check that a pincode belongs to a district
+ *
+ * Pincodes that are not in the master yet are accepted, so gaps in the
+ * master never block a registration.
+ */
+export const isPincodeInDistrict = async (pincode, districtId) => {
+  const { data, error } = await supabase
+    .from('pincode_location')
+    .select('district_id')
+    .eq('pincode', parseInt(pincode));
+
+  if (error) throw error;
+  if (!data || data.length === 0) return true;
+
+  return data.some(row => String(row.district_id) === String(districtId));
+};
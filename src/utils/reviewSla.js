@@ -0,0 +1,36 @@
+/**
+ * Review SLA and priority
+ *
+ * An application's priority comes from how much of its SLA it has used up
+ * while waiting: under half is low, under the full SLA is medium, beyond it
+ * is high (and overdue). SLAs are set per type in days.
+ */
+
+export const REVIEW_SLA_DAYS = {
+  worker: parseFloat(process.env.REVIEW_SLA_DAYS_WORKER) || 7,
+  establishment: parseFloat(process.env.REVIEW_SLA_DAYS_ESTABLISHMENT) || 15
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA position of an application submitted at `submittedAt`
+ * Returns { priority, overdue, waitingHours, dueAt }
+ */
+export const computeSla = (type, submittedAt, now = new Date()) => {
+  const slaMs = REVIEW_SLA_DAYS[type] * 24 * HOUR_MS;
+  const submitted = new Date(submittedAt);
+  const waitedMs = Math.max(0, now - submitted);
+  const used = waitedMs / slaMs;
+
+  let priority = 'low';
+  if (used >= 1) priority = 'high';
+  else if (used >= 0.5) priority = 'medium';
+
+  return {
+    priority,
+    overdue: used >= 1,
+    waitingHours: Math.floor(waitedMs / HOUR_MS),
+    dueAt: new Date(submitted.getTime() + slaMs).toISOString()
+  };
+};
@@ -0,0 +1,139 @@
+import { supabase } from '../config/supabase.js';
+import { toZonedDate, addDays, zonedDateTime } from './dateTime.js';
+
+/**
+ * Shift-aware attendance
+ *
+ * A shift template is a local start and end time at an establishment; an
+ * overnight shift ends on the day after it starts. The roster says which
+ * shift a worker works over a date range.
+ *
+ * A check-in is attached to the rostered shift whose window contains it: from
+ * SHIFT_EARLY_CHECK_IN_MINUTES (120) before the start until the end. The
+ * shift's start date is the attendance work_date, so a night shift that runs
+ * 22:00-06:00 is one day of work. Arriving more than grace_minutes after the
+ * start is late, and leaving more than grace_minutes before the end is an
+ * early exit; both are stored as whole minutes from the scheduled time.
+ */
+
+const EARLY_CHECK_IN_MINUTES = parseInt(process.env.SHIFT_EARLY_CHECK_IN_MINUTES) || 120;
+
+export const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const minutesBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / 60000);
+
+/**
+ * Scheduled start and end instants of a shift worked on workDate
+ */
+export const shiftWindow = (shift, workDate, timeZone) => ({
+  workDate,
+  start: zonedDateTime(workDate, shift.start_time, timeZone),
+  end: zonedDateTime(shift.is_overnight ? addDays(workDate, 1) : workDate, shift.end_time, timeZone)
+});
+
+/**
+ * Scheduled length of a shift in minutes, break excluded
+ */
+export const shiftMinutes = (shift) => {
+  const toMinutes = (time) => {
+    const [hour, minute] = String(time).split(':').map(Number);
+    return hour * 60 + minute;
+  };
+  const span = toMinutes(shift.end_time) - toMinutes(shift.start_time);
+  return (span <= 0 ? span + 24 * 60 : span) - (shift.break_minutes || 0);
+};
+
+export const lateMinutes = (shift, window, checkIn) => {
+  const late = minutesBetween(window.start, checkIn);
+  return late > shift.grace_minutes ? late : 0;
+};
+
+export const earlyExitMinutes = (shift, scheduledEnd, checkOut) => {
+  const early = minutesBetween(checkOut, new Date(scheduledEnd));
+  return early > shift.grace_minutes ? early : 0;
+};
+
+/**
+ * Rostered shift a check-in belongs to
+ * Tries the punch's local day and the days either side (yesterday's night
+ * shift, or a shift starting just after midnight); when windows overlap the
+ * nearest start wins. Returns { shift, window } or null if none matches.
+ */
+export const resolveShift = async (establishmentId, workerId, checkIn, timeZone) => {
+  const today = toZonedDate(checkIn, timeZone);
+  const workDates = [addDays(today, -1), today, addDays(today, 1)];
+
+  const { data, error } = await supabase
+    .from('shift_roster')
+    .select('effective_from, effective_to, shift:shift_id (*)')
+    .eq('establishment_id', establishmentId)
+    .eq('worker_id', workerId)
+    .lte('effective_from', workDates[2])
+    .or(`effective_to.is.null,effective_to.gte.${workDates[0]}`);
+
+  if (error) throw error;
+
+  const matches = [];
+
+  for (const entry of data || []) {
+    if (!entry.shift?.is_active) continue;
+
+    for (const workDate of workDates) {
+      if (workDate < entry.effective_from || (entry.effective_to && workDate > entry.effective_to)) continue;
+
+      const window = shiftWindow(entry.shift, workDate, timeZone);
+      const opensAt = window.start.getTime() - EARLY_CHECK_IN_MINUTES * 60000;
+
+      if (checkIn.getTime() >= opensAt && checkIn < window.end) {
+        matches.push({ shift: entry.shift, window });
+      }
+    }
+  }
+
+  const distance = (match) => Math.abs(checkIn - match.window.start);
+  matches.sort((a, b) => distance(a) - distance(b));
+
+  return matches[0] || null;
+};
+
+/**
+ * Attendance columns for a check-in; without a shift the work date is the
+ * local calendar day of the punch
+ */
+export const checkInShiftColumns = (match, checkIn, timeZone) => {
+  if (!match) return { work_date: toZonedDate(checkIn, timeZone) };
+
+  return {
+    shift_id: match.shift.shift_id,
+    work_date: match.window.workDate,
+    scheduled_start: match.window.start.toISOString(),
+    scheduled_end: match.window.end.toISOString(),
+    late_minutes: lateMinutes(match.shift, match.window, checkIn)
+  };
+};
+
+export const formatShift = (row) => ({
+  shiftId: row.shift_id,
+  establishmentId: row.establishment_id,
+  name: row.name,
+  startTime: row.start_time,
+  endTime: row.end_time,
+  graceMinutes: row.grace_minutes,
+  breakMinutes: row.break_minutes,
+  isOvernight: row.is_overnight,
+  scheduledMinutes: shiftMinutes(row),
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export const formatRosterEntry = (row) => ({
+  rosterId: row.roster_id,
+  establishmentId: row.establishment_id,
+  workerId: row.worker_id,
+  workerName: row.worker?.full_name ?? null,
+  shiftId: row.shift_id,
+  shiftName: row.shift?.name ?? null,
+  effectiveFrom: row.effective_from,
+  effectiveTo: row.effective_to
+});
@@ -0,0 +1,117 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Status state machines for department review workflows
+ *
+ * A workflow maps each action to the statuses it may start from and the
+ * status it leads to. Remarks are required unless `remarksOptional` is set:
+ *
+ *   { approve: { from: ['pending'], to: 'active' }, ... }
+ */
+
+/**
+ * Establishment approval
+ * `active` is the approved state; establishments registered before the
+ * workflow existed are already `active`.
+ */
+export const ESTABLISHMENT_WORKFLOW = {
+  approve: { from: ['pending', 'changes_requested'], to: 'active' },
+  reject: { from: ['pending', 'changes_requested'], to: 'rejected' },
+  request_changes: { from: ['pending'], to: 'changes_requested' },
+  // Taken by the establishment itself once it has made the changes
+  resubmit: { from: ['changes_requested'], to: 'pending' },
+  suspend: { from: ['active'], to: 'suspended' },
+  reinstate: { from: ['suspended'], to: 'active' }
+};
+
+// Establishment statuses that may sign in to correct their registration and
+// upload documents, with a registration-only token
+export const ESTABLISHMENT_APPLICANT_STATUSES = ['pending', 'changes_requested'];
+
+/**
+ * Worker registration lifecycle
+ * submitted → under_review → approved | rejected; approved ⇄ suspended;
+ * approved or suspended → deceased | migrated (final)
+ */
+export const WORKER_WORKFLOW = {
+  start_review: { from: ['submitted'], to: 'under_review', remarksOptional: true },
+  approve: { from: ['under_review'], to: 'approved', remarksOptional: true },
+  reject: { from: ['under_review'], to: 'rejected' },
+  suspend: { from: ['approved'], to: 'suspended' },
+  reinstate: { from: ['suspended'], to: 'approved' },
+  mark_deceased: { from: ['approved', 'suspended'], to: 'deceased' },
+  mark_migrated: { from: ['approved', 'suspended'], to: 'migrated' }
+};
+
+// Worker statuses that may still sign in (to follow their application and upload documents)
+export const WORKER_LOGIN_STATUSES = ['submitted', 'under_review', 'approved'];
+
+/**
+ * Resolve an action against the current status
+ * Returns { to } when allowed, or { error } describing why not.
+ */
+export const resolveTransition = (workflow, action, currentStatus) => {
+  const transition = workflow[action];
+
+  if (!transition) {
+    return { error: `Unknown action "${action}". Expected one of: ${Object.keys(workflow).join(', ')}` };
+  }
+
+  if (!transition.from.includes(currentStatus)) {
+    return {
+      error: `Cannot ${action.replace(/_/g, ' ')} from status "${currentStatus}". Allowed from: ${transition.from.join(', ')}`
+    };
+  }
+
+  return { to: transition.to, remarksOptional: Boolean(transition.remarksOptional) };
+};
+
+/**
+ * Apply a workflow action to a row and append it to the history table
+ *
+ * `entity` is { table, idColumn, workflow, columns }. The status and its
+ * history entry are saved in one transaction
+ * (db/migrations/026_apply_status_change_function.sql). Returns
+ * { notFound: true }, { error } for a refused transition or missing remarks,
+ * or { record, from, to } once the change is saved, `record` holding
+ * `columns` of the row.
+ */
+export const applyStatusAction = async (entity, id, action, remarks, changedBy) => {
+  const { data: current, error: fetchError } = await supabase
+    .from(entity.table)
+    .select(`${entity.idColumn}, status`)
+    .eq(entity.idColumn, id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) return { notFound: true };
+
+  const transition = resolveTransition(entity.workflow, action, current.status);
+  if (transition.error) return transition;
+
+  if (!remarks && !transition.remarksOptional) {
+    return { error: 'Remarks are required', target: 'remarks' };
+  }
+
+  const { data: saved, error: saveError } = await supabase
+    .rpc('apply_status_change', {
+      p_table: entity.table,
+      p_id: current[entity.idColumn],
+      p_action: action,
+      p_from: current.status,
+      p_to: transition.to,
+      p_remarks: remarks || null,
+      p_changed_by: changedBy
+    });
+
+  if (saveError) throw saveError;
+
+  // Another reviewer acted meanwhile
+  if (!saved) {
+    return { error: 'Status changed in the meantime. Reload and try again.' };
+  }
+
+  const record = Object.fromEntries(entity.columns.map(column => [column, saved[column]]));
+
+  return { record, from: current.status, to: transition.to };
+};
@@ -13,10 +13,43 @@ export const validateMobileNumber = (mobile) => {
   return mobileRegex.test(String(mobile));
 };
 
+// Verhoeff checksum tables (multiplication, permutation)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+export const validateVerhoeff = (digits) => {
+  let check = 0;
+  const reversed = String(digits).split('').reverse();
+  reversed.forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return check === 0;
+};
+
 export const validateAadhaar = (aadhaar) => {
-  // Aadhaar: 12 digits
+  // Aadhaar: 12 digits, the last being a Verhoeff check digit
   const aadhaarRegex = /^\d{12}$/;
-  return aadhaarRegex.test(String(aadhaar));
+  return aadhaarRegex.test(String(aadhaar)) && validateVerhoeff(aadhaar);
 };
 
 export const validatePassword = (password) => {
@@ -0,0 +1,246 @@
+import { supabase } from '../config/supabase.js';
+import { toZonedDate, addDays, startOfZonedDay } from './dateTime.js';
+import { scopedColumns, scopeAttendanceQuery } from '../middleware/attendancePolicy.js';
+
+/**
+ * Working hours, overtime and weekly rest (BOCW rules)
+ *
+ * Closed attendance sessions are grouped by worker and work_date (the shift's
+ * start date, or the local day of the check-in for older rows). Overlapping
+ * sessions on a day are merged so time at two sites is not counted twice.
+ *
+ *   break     gaps between the day's sessions; when they are shorter than the
+ *             rostered shift break, the rest of the break is taken as unpaid
+ *   worked    time on site minus that unpaid break
+ *   overtime  worked time over OVERTIME_DAILY_HOURS (9) a day, plus whatever
+ *             a Monday-Sunday week still has over OVERTIME_WEEKLY_HOURS (48).
+ *             A week's overtime belongs to the period holding its Sunday, so
+ *             a week split across two months is paid once
+ *   rest      more than MAX_CONSECUTIVE_WORK_DAYS (6) worked days in a row is
+ *             a weekly rest-day violation
+ *
+ * Rejected punches are left out; open sessions and punches still awaiting
+ * review are counted per day so payroll can chase them.
+ */
+
+export const WORK_HOUR_LIMITS = {
+  dailyMinutes: (parseFloat(process.env.OVERTIME_DAILY_HOURS) || 9) * 60,
+  weeklyMinutes: (parseFloat(process.env.OVERTIME_WEEKLY_HOURS) || 48) * 60,
+  maxConsecutiveDays: parseInt(process.env.MAX_CONSECUTIVE_WORK_DAYS) || 6
+};
+
+const PAGE_SIZE = 1000;
+
+const minutes = (ms) => Math.round(ms / 60000);
+
+/**
+ * Monday of the week a YYYY-MM-DD date falls in
+ */
+export const weekStart = (dateString) => {
+  const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return addDays(dateString, -((day + 6) % 7));
+};
+
+/**
+ * Attendance rows needed to summarise from..to: whole weeks, plus enough days
+ * before to see a run of work days leading into the range, limited to what
+ * the caller's attendance scope may see.
+ */
+export const fetchAttendanceForSummary = async ({
+  workerId,
+  establishmentId,
+  from,
+  to,
+  timeZone,
+  scope
+}) => {
+  const fetchFrom = [weekStart(from), addDays(from, -WORK_HOUR_LIMITS.maxConsecutiveDays)].sort()[0];
+  const fetchTo = addDays(weekStart(to), 6);
+  const rows = [];
+
+  // Work dates can differ from the check-in's day by one either way
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('attendance')
+      .select(scopedColumns(`
+        attendance_id, worker_id, establishment_id, check_in_date_time, check_out_date_time,
+        work_date, shift_id, late_minutes, early_exit_minutes, review_status,
+        worker:worker_id (worker_id, full_name),
+        shift:shift_id (break_minutes)
+      `, scope))
+      .gte('check_in_date_time', startOfZonedDay(addDays(fetchFrom, -1), timeZone).toISOString())
+      .lt('check_in_date_time', startOfZonedDay(addDays(fetchTo, 2), timeZone).toISOString())
+      .order('attendance_id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    query = scopeAttendanceQuery(query, scope);
+    if (workerId) query = query.eq('worker_id', workerId);
+    if (establishmentId) query = query.eq('establishment_id', establishmentId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return { rows, fetchFrom, fetchTo };
+};
+
+/**
+ * Hours for one worker's day from its attendance rows
+ */
+const summarizeDay = (date, rows) => {
+  const closed = rows
+    .filter(row => row.check_out_date_time)
+    .map(row => ({
+      start: Date.parse(row.check_in_date_time),
+      end: Date.parse(row.check_out_date_time)
+    }))
+    .filter(span => span.end > span.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const span of closed) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  const onSiteMinutes = merged.reduce((sum, span) => sum + minutes(span.end - span.start), 0);
+  const gapMinutes = merged.slice(1).reduce((sum, span, i) => sum + minutes(span.start - merged[i].end), 0);
+  const rosteredBreak = Math.max(0, ...rows.filter(row => row.check_out_date_time).map(row => row.shift?.break_minutes || 0));
+  const unpaidBreak = Math.min(Math.max(0, rosteredBreak - gapMinutes), onSiteMinutes);
+  const workedMinutes = onSiteMinutes - unpaidBreak;
+
+  return {
+    date,
+    sessions: rows.length,
+    openSessions: rows.filter(row => !row.check_out_date_time).length,
+    pendingReview: rows.filter(row => row.review_status === 'pending').length,
+    firstIn: merged.length ? new Date(merged[0].start).toISOString() : null,
+    lastOut: merged.length ? new Date(merged[merged.length - 1].end).toISOString() : null,
+    onSiteMinutes,
+    breakMinutes: gapMinutes + unpaidBreak,
+    workedMinutes,
+    overtimeMinutes: Math.max(0, workedMinutes - WORK_HOUR_LIMITS.dailyMinutes),
+    lateMinutes: rows.reduce((sum, row) => sum + (row.late_minutes || 0), 0),
+    earlyExitMinutes: rows.reduce((sum, row) => sum + (row.early_exit_minutes || 0), 0)
+  };
+};
+
+/**
+ * Runs of consecutive worked days longer than the weekly rest rule allows
+ */
+const restViolations = (workedDates) => {
+  const violations = [];
+  let runStart = null;
+  let previous = null;
+
+  const closeRun = () => {
+    if (runStart === null) return;
+    const length = Math.round((Date.parse(previous) - Date.parse(runStart)) / 86400000) + 1;
+    if (length > WORK_HOUR_LIMITS.maxConsecutiveDays) {
+      violations.push({ from: runStart, to: previous, consecutiveDays: length });
+    }
+  };
+
+  for (const date of workedDates) {
+    if (previous === null || addDays(previous, 1) !== date) {
+      closeRun();
+      runStart = date;
+    }
+    previous = date;
+  }
+  closeRun();
+
+  return violations;
+};
+
+/**
+ * Per-worker summary of attendance rows over from..to (inclusive dates)
+ */
+export const summarizeAttendance = (rows, { from, to, fetchFrom, fetchTo, timeZone }) => {
+  const byWorker = new Map();
+
+  for (const row of rows) {
+    if (row.review_status === 'rejected') continue;
+
+    const date = row.work_date || toZonedDate(row.check_in_date_time, timeZone);
+    if (date < fetchFrom || date > fetchTo) continue;
+
+    if (!byWorker.has(row.worker_id)) {
+      byWorker.set(row.worker_id, { worker: row.worker, days: new Map() });
+    }
+    const { days } = byWorker.get(row.worker_id);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(row);
+  }
+
+  return [...byWorker.entries()].map(([workerId, { worker, days: rowsByDay }]) => {
+    const allDays = [...rowsByDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, dayRows]) => summarizeDay(date, dayRows));
+
+    const workedDates = allDays.filter(day => day.workedMinutes > 0).map(day => day.date);
+
+    const weeks = new Map();
+    for (const day of allDays) {
+      const start = weekStart(day.date);
+      if (start > to || addDays(start, 6) < from) continue;
+
+      if (!weeks.has(start)) {
+        weeks.set(start, { weekStart: start, weekEnd: addDays(start, 6), workedMinutes: 0, daysWorked: 0, dailyOvertimeMinutes: 0 });
+      }
+      const week = weeks.get(start);
+      week.workedMinutes += day.workedMinutes;
+      week.dailyOvertimeMinutes += day.overtimeMinutes;
+      if (day.workedMinutes > 0) week.daysWorked += 1;
+    }
+
+    const weekList = [...weeks.values()].map(week => {
+      // Weekly overtime is only what daily overtime has not already covered
+      const weeklyOvertimeMinutes = Math.max(
+        0,
+        week.workedMinutes - WORK_HOUR_LIMITS.weeklyMinutes - week.dailyOvertimeMinutes
+      );
+      return {
+        ...week,
+        weeklyOvertimeMinutes,
+        overtimeMinutes: week.dailyOvertimeMinutes + weeklyOvertimeMinutes,
+        // Weeks running past `to` are counted by the next period
+        weeklyOvertimeCounted: week.weekEnd <= to,
+        restDayTaken: week.daysWorked < 7
+      };
+    });
+
+    const days = allDays.filter(day => day.date >= from && day.date <= to);
+    const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+    const dailyOvertimeMinutes = sum(days, 'overtimeMinutes');
+    const weeklyOvertimeMinutes = sum(weekList.filter(week => week.weeklyOvertimeCounted), 'weeklyOvertimeMinutes');
+
+    return {
+      workerId,
+      workerName: worker?.full_name ?? null,
+      totals: {
+        daysWorked: days.filter(day => day.workedMinutes > 0).length,
+        workedMinutes: sum(days, 'workedMinutes'),
+        breakMinutes: sum(days, 'breakMinutes'),
+        dailyOvertimeMinutes,
+        weeklyOvertimeMinutes,
+        overtimeMinutes: dailyOvertimeMinutes + weeklyOvertimeMinutes,
+        lateMinutes: sum(days, 'lateMinutes'),
+        earlyExitMinutes: sum(days, 'earlyExitMinutes'),
+        openSessions: sum(days, 'openSessions'),
+        pendingReview: sum(days, 'pendingReview')
+      },
+      days,
+      weeks: weekList,
+      restViolations: restViolations(workedDates).filter(run => run.to >= from && run.from <= to)
+    };
+  });
+};
@@ -0,0 +1,131 @@
+import './env.js';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../src/config/supabase.js';
+import {
+  checkPunchAccess,
+  canAccessAttendance,
+  authorizeWorkerAccess,
+  authorizeEstablishmentAccess
+} from '../src/middleware/attendancePolicy.js';
+
+const worker = { role: 'worker', workerId: '5' };
+const establishment = { role: 'establishment', establishmentId: '3' };
+const district = { role: 'department', departmentUserId: 7, roleName: 'inspector', districtId: 10 };
+const statewide = { role: 'department', departmentUserId: 8, roleName: 'commissioner', districtId: null };
+
+/**
+ * Answer every supabase.from(...) lookup with one row (or none), recording
+ * the tables asked for
+ */
+const stubLookup = (row) => {
+  const tables = [];
+  mock.method(supabase, 'from', (table) => {
+    tables.push(table);
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => ({ data: row, error: null })
+    };
+    return query;
+  });
+  return tables;
+};
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Run a route guard with a fake request, resolving to the status it sent
+ * (200 when it called next)
+ */
+const runGuard = (guard, scope, { params = {}, query = {} } = {}) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    }
+  };
+  const next = (error) => (error ? reject(error) : resolve({ status: 200 }));
+  guard({ attendanceScope: scope, params, query }, res, next);
+});
+
+test('checkPunchAccess refuses department users', async () => {
+  const refusal = await checkPunchAccess(statewide, { workerId: 5, establishmentId: 3, estmtWorkerId: 1 });
+  assert.equal(refusal.target, 'authorization');
+});
+
+test('checkPunchAccess refuses a worker punching for another worker', async () => {
+  const refusal = await checkPunchAccess(worker, { workerId: 6, establishmentId: 3, estmtWorkerId: 1, status: 'i' });
+  assert.equal(refusal.target, 'workerId');
+});
+
+test('checkPunchAccess refuses an establishment punching at another site', async () => {
+  const refusal = await checkPunchAccess(establishment, { workerId: 5, establishmentId: 4, estmtWorkerId: 1, status: 'i' });
+  assert.equal(refusal.target, 'establishmentId');
+});
+
+test('checkPunchAccess refuses a check-in without an active establishment link', async () => {
+  const tables = stubLookup(null);
+  const refusal = await checkPunchAccess(worker, { workerId: 5, establishmentId: 3, estmtWorkerId: 99, status: 'i' });
+  assert.equal(refusal.target, 'estmtWorkerId');
+  assert.deepEqual(tables, ['establishment_worker']);
+});
+
+test('checkPunchAccess allows a check-in on an active link', async () => {
+  stubLookup({ estmt_worker_id: 1 });
+  assert.equal(await checkPunchAccess(worker, { workerId: 5, establishmentId: 3, estmtWorkerId: 1, status: 'i' }), null);
+});
+
+test('canAccessAttendance refuses rows outside the scope', () => {
+  assert.equal(canAccessAttendance(worker, { worker_id: 6, establishment_id: 3 }), false);
+  assert.equal(canAccessAttendance(establishment, { worker_id: 5, establishment_id: 4 }), false);
+  assert.equal(canAccessAttendance(district, { worker_id: 5, establishment_id: 3, scope_establishment: { district_id: 11 } }), false);
+  // Read without scopedColumns: no district to match, so refused
+  assert.equal(canAccessAttendance(district, { worker_id: 5, establishment_id: 3 }), false);
+  assert.equal(canAccessAttendance({ role: 'unknown' }, { worker_id: 5, establishment_id: 3 }), false);
+});
+
+test('canAccessAttendance allows rows inside the scope', () => {
+  assert.equal(canAccessAttendance(worker, { worker_id: 5, establishment_id: 4 }), true);
+  assert.equal(canAccessAttendance(district, { worker_id: 5, establishment_id: 3, scope_establishment: { district_id: 10 } }), true);
+  assert.equal(canAccessAttendance(statewide, { worker_id: 5, establishment_id: 3 }), true);
+});
+
+test('authorizeWorkerAccess refuses a worker naming another worker', async () => {
+  assert.equal((await runGuard(authorizeWorkerAccess, worker, { params: { workerId: '6' } })).status, 403);
+  assert.equal((await runGuard(authorizeWorkerAccess, worker, { query: { workerId: '6' } })).status, 403);
+  assert.equal((await runGuard(authorizeWorkerAccess, worker, { params: { workerId: '5' } })).status, 200);
+});
+
+test('authorizeEstablishmentAccess refuses workers on an establishment route', async () => {
+  const { status, body } = await runGuard(authorizeEstablishmentAccess, worker, { params: { establishmentId: '3' } });
+  assert.equal(status, 403);
+  assert.equal(body.error.target, 'establishmentId');
+});
+
+test('authorizeEstablishmentAccess refuses another establishment', async () => {
+  assert.equal((await runGuard(authorizeEstablishmentAccess, establishment, { params: { establishmentId: '4' } })).status, 403);
+  assert.equal((await runGuard(authorizeEstablishmentAccess, establishment, { query: { establishmentId: '4' } })).status, 403);
+});
+
+test('authorizeEstablishmentAccess refuses an establishment in another district', async () => {
+  stubLookup({ district_id: 11 });
+  assert.equal((await runGuard(authorizeEstablishmentAccess, district, { params: { establishmentId: '3' } })).status, 403);
+});
+
+test('authorizeEstablishmentAccess refuses an unknown or malformed establishment for a district scope', async () => {
+  const tables = stubLookup(null);
+  assert.equal((await runGuard(authorizeEstablishmentAccess, district, { params: { establishmentId: '404' } })).status, 403);
+  assert.equal((await runGuard(authorizeEstablishmentAccess, district, { params: { establishmentId: '3,4' } })).status, 403);
+  // The malformed id is refused before any lookup
+  assert.deepEqual(tables, ['establishment']);
+});
+
+test('authorizeEstablishmentAccess allows the district and statewide scopes', async () => {
+  stubLookup({ district_id: 10 });
+  assert.equal((await runGuard(authorizeEstablishmentAccess, district, { params: { establishmentId: '3' } })).status, 200);
+  assert.equal((await runGuard(authorizeEstablishmentAccess, statewide, { params: { establishmentId: '3' } })).status, 200);
+});
@@ -0,0 +1,32 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireDepartmentRoles } from '../src/middleware/auth.js';
+
+/**
+ * Run a guard for a department user with `roleName`, resolving to the status
+ * it sent (200 when it called next)
+ */
+const runGuard = (guard, roleName) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      resolve(this.statusCode);
+    }
+  };
+  guard({ user: { type: 'department', roleName } }, res, () => resolve(200));
+});
+
+test('requireDepartmentRoles allows nobody when no role is configured', async () => {
+  assert.equal(await runGuard(requireDepartmentRoles([]), 'Admin'), 403);
+  assert.equal(await runGuard(requireDepartmentRoles([]), ''), 403);
+});
+
+test('requireDepartmentRoles allows only the listed roles, ignoring case', async () => {
+  const guard = requireDepartmentRoles(['super admin']);
+  assert.equal(await runGuard(guard, 'Super Admin'), 200);
+  assert.equal(await runGuard(guard, 'Inspector'), 403);
+});
@@ -0,0 +1,77 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCached, getOrLoad, invalidateCache } from '../src/utils/cache.js';
+import { cacheResponse } from '../src/middleware/cache.js';
+
+/**
+ * A loader that waits until released, so an invalidation can land mid-load
+ */
+const heldLoader = (value) => {
+  let release;
+  const started = new Promise(resolve => { release = resolve; });
+  return { load: () => started.then(() => value), release: () => release() };
+};
+
+test('getOrLoad stores a value when nothing was invalidated', async () => {
+  assert.equal(await getOrLoad('test-fresh:key', 60, async () => 'value'), 'value');
+  assert.equal(getCached('test-fresh:key'), 'value');
+});
+
+test('getOrLoad does not store a value loaded across an invalidation', async () => {
+  const stale = heldLoader('stale');
+  const loading = getOrLoad('test-race:key', 60, stale.load);
+
+  invalidateCache('test-race');
+  stale.release();
+
+  assert.equal(await loading, 'stale');
+  assert.equal(getCached('test-race:key'), undefined);
+});
+
+test('a miss after an invalidation does not join the older load', async () => {
+  const stale = heldLoader('stale');
+  const first = getOrLoad('test-join:key', 60, stale.load);
+
+  invalidateCache('test-join');
+
+  const second = getOrLoad('test-join:key', 60, async () => 'fresh');
+  stale.release();
+
+  assert.equal(await first, 'stale');
+  assert.equal(await second, 'fresh');
+  assert.equal(getCached('test-join:key'), 'fresh');
+});
+
+test('invalidating one namespace leaves loads in another alone', async () => {
+  const other = heldLoader('kept');
+  const loading = getOrLoad('test-other:key', 60, other.load);
+
+  invalidateCache('test-unrelated');
+  other.release();
+
+  await loading;
+  assert.equal(getCached('test-other:key'), 'kept');
+});
+
+test('cacheResponse does not store a response built across an invalidation', () => {
+  const middleware = cacheResponse('master');
+  const req = { path: '/test-race', query: {}, headers: {} };
+  const sent = [];
+  const res = {
+    statusCode: 200,
+    set() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: (body) => sent.push(body)
+  };
+
+  middleware(req, res, () => {});
+  invalidateCache('master');
+  res.json({ data: ['stale'], error: null });
+
+  assert.deepEqual(sent[0].data, ['stale']);
+  assert.equal(getCached('master:/test-race?'), undefined);
+});
@@ -0,0 +1,58 @@
+import './env.js';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../src/config/supabase.js';
+import { getComplianceScores } from '../src/controllers/complianceController.js';
+
+afterEach(() => mock.restoreAll());
+
+// 2500 passed records over two establishments, served like PostgREST: at
+// most 1000 rows a response
+const RECORDS = Array.from({ length: 2500 }, (_, i) => ({
+  compliance_id: i + 1,
+  establishment_id: i < 1200 ? 1 : 2,
+  status: 'pass',
+  due_date: '2026-01-01',
+  establishment: { establishment_name: i < 1200 ? 'Site A' : 'Site B', district_id: 10 }
+}));
+
+const stubRecords = () => {
+  const ranges = [];
+  mock.method(supabase, 'from', () => {
+    let range = [0, 999];
+    const query = {
+      select: () => query,
+      order: () => query,
+      eq: () => query,
+      range: (from, to) => {
+        range = [from, to];
+        ranges.push(range);
+        return query;
+      },
+      then: (resolve, reject) => Promise.resolve({ data: RECORDS.slice(range[0], range[1] + 1), error: null }).then(resolve, reject)
+    };
+    return query;
+  });
+  return ranges;
+};
+
+const callScores = (query = {}) => new Promise((resolve, reject) => {
+  const res = {
+    status() {
+      return this;
+    },
+    json: resolve
+  };
+  getComplianceScores({ query }, res, (error) => reject(error));
+});
+
+test('compliance scores count records past the first 1000 rows', async () => {
+  const ranges = stubRecords();
+  const { data } = await callScores();
+
+  assert.deepEqual(ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+  assert.equal(data.summary.establishments, 2);
+
+  const totals = Object.fromEntries(data.establishments.map(e => [e.establishmentId, e.total]));
+  assert.deepEqual(totals, { 1: 1200, 2: 1300 });
+});
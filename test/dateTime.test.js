@@ -0,0 +1,76 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOfZonedDay, zonedDayBounds, applyDateRange, toZonedDate } from '../src/utils/dateTime.js';
+
+const TZ = 'Asia/Kolkata';
+
+// Midnight IST on 2026-10-19 is 18:30 UTC the day before
+const LAST_SECOND = '2026-10-18T18:29:59.000Z';
+const MIDNIGHT = '2026-10-18T18:30:00.000Z';
+
+/**
+ * Query stand-in recording the filters applied to it
+ */
+const recordingQuery = () => {
+  const filters = [];
+  const query = {
+    filters,
+    gte: (column, value) => (filters.push(['gte', column, value]), query),
+    lt: (column, value) => (filters.push(['lt', column, value]), query),
+    lte: (column, value) => (filters.push(['lte', column, value]), query)
+  };
+  return query;
+};
+
+test('startOfZonedDay is local midnight in UTC', () => {
+  assert.equal(startOfZonedDay('2026-10-19', TZ).toISOString(), MIDNIGHT);
+  assert.equal(startOfZonedDay('2026-10-19', 'UTC').toISOString(), '2026-10-19T00:00:00.000Z');
+});
+
+test('zonedDayBounds puts the second before midnight IST on the previous day', () => {
+  assert.equal(toZonedDate(new Date(LAST_SECOND), TZ), '2026-10-18');
+  assert.deepEqual(zonedDayBounds(new Date(LAST_SECOND), TZ), {
+    date: '2026-10-18',
+    start: '2026-10-17T18:30:00.000Z',
+    end: MIDNIGHT
+  });
+});
+
+test('zonedDayBounds starts the next day at midnight IST', () => {
+  assert.equal(toZonedDate(new Date(MIDNIGHT), TZ), '2026-10-19');
+  assert.deepEqual(zonedDayBounds(new Date(MIDNIGHT), TZ), {
+    date: '2026-10-19',
+    start: MIDNIGHT,
+    end: '2026-10-19T18:30:00.000Z'
+  });
+});
+
+test('zonedDayBounds takes a bare date as that day in the zone', () => {
+  assert.deepEqual(zonedDayBounds('2026-10-19', TZ), zonedDayBounds(new Date(MIDNIGHT), TZ));
+});
+
+test('applyDateRange covers whole IST days for bare dates, `to` inclusive', () => {
+  const query = applyDateRange(recordingQuery(), 'check_in_date_time', { from: '2026-10-19', to: '2026-10-19' }, TZ);
+  assert.deepEqual(query.filters, [
+    ['gte', 'check_in_date_time', MIDNIGHT],
+    ['lt', 'check_in_date_time', '2026-10-19T18:30:00.000Z']
+  ]);
+
+  // 18:29:59Z falls before the range, 18:30:00Z inside it
+  const [[, , start], [, , end]] = query.filters;
+  assert.equal(LAST_SECOND >= start, false);
+  assert.equal(MIDNIGHT >= start && MIDNIGHT < end, true);
+});
+
+test('applyDateRange uses full timestamps as given', () => {
+  const query = applyDateRange(recordingQuery(), 'check_in_date_time', { from: MIDNIGHT, to: '2026-10-19T05:30:00+05:30' }, TZ);
+  assert.deepEqual(query.filters, [
+    ['gte', 'check_in_date_time', MIDNIGHT],
+    ['lte', 'check_in_date_time', '2026-10-19T00:00:00.000Z']
+  ]);
+});
+
+test('applyDateRange leaves the query alone without a range', () => {
+  assert.deepEqual(applyDateRange(recordingQuery(), 'check_in_date_time', {}, TZ).filters, []);
+});
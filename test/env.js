@@ -0,0 +1,3 @@
+// Modules under test create the Supabase client on import; tests never reach it
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_KEY ||= 'test-service-key';
@@ -0,0 +1,64 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePosition, distanceToGeofence } from '../src/utils/geofence.js';
+
+// Metres to degrees of latitude, for points due north of a site
+const north = (metres) => ({ latitude: 17.385 + metres / 111195, longitude: 78.4867 });
+
+// 100 m circle, with numeric columns as PostgREST returns them
+const CIRCLE = {
+  geofence_id: 1,
+  shape: 'circle',
+  center_latitude: '17.385',
+  center_longitude: '78.4867',
+  radius_m: '100'
+};
+
+// Roughly 1.1 km square south of the circle
+const SQUARE = {
+  geofence_id: 2,
+  shape: 'polygon',
+  polygon: {
+    type: 'Polygon',
+    coordinates: [[[78.48, 17.37], [78.49, 17.37], [78.49, 17.38], [78.48, 17.38], [78.48, 17.37]]]
+  }
+};
+
+test('distanceToGeofence is 0 inside a fence and the gap to its edge outside', () => {
+  assert.equal(distanceToGeofence(north(0), CIRCLE), 0);
+  assert.ok(Math.abs(distanceToGeofence(north(200), CIRCLE) - 100) < 0.5);
+
+  assert.equal(distanceToGeofence({ latitude: 17.375, longitude: 78.485 }, SQUARE), 0);
+  assert.ok(Math.abs(distanceToGeofence({ latitude: 17.38 + 100 / 111195, longitude: 78.485 }, SQUARE) - 100) < 0.5);
+});
+
+test('a position inside a fence is inside', () => {
+  assert.deepEqual(evaluatePosition([CIRCLE], north(50), 10), { status: 'inside', distance: 0, geofenceId: 1 });
+});
+
+test('a position just outside a fence is inside within the tolerance', () => {
+  const result = evaluatePosition([CIRCLE], north(110), 10);
+
+  assert.equal(result.status, 'inside');
+  assert.equal(Math.round(result.distance), 10);
+});
+
+test('a position beyond the tolerance is outside, measured to the nearest fence', () => {
+  const result = evaluatePosition([SQUARE, CIRCLE], north(200), null);
+
+  assert.equal(result.status, 'outside');
+  assert.equal(result.geofenceId, 1);
+  assert.equal(Math.round(result.distance), 100);
+});
+
+test('a fix less precise than the limit is low_accuracy, wherever it is', () => {
+  assert.equal(evaluatePosition([CIRCLE], north(0), 150).status, 'low_accuracy');
+  assert.equal(evaluatePosition([CIRCLE], north(200), 150).status, 'low_accuracy');
+  assert.equal(evaluatePosition([CIRCLE], north(0), 100).status, 'inside');
+});
+
+test('no position or no fence is reported without a distance', () => {
+  assert.deepEqual(evaluatePosition([CIRCLE], null, null), { status: 'no_fix', distance: null, geofenceId: null });
+  assert.deepEqual(evaluatePosition([], north(0), 10), { status: 'not_configured', distance: null, geofenceId: null });
+});
@@ -0,0 +1,78 @@
+import './env.js';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../src/config/supabase.js';
+import { resolveShift, shiftWindow, lateMinutes, earlyExitMinutes } from '../src/utils/shifts.js';
+
+const TZ = 'Asia/Kolkata';
+
+afterEach(() => mock.restoreAll());
+
+const NIGHT_SHIFT = {
+  shift_id: 3,
+  name: 'Night',
+  start_time: '22:00:00',
+  end_time: '06:00:00',
+  grace_minutes: 10,
+  break_minutes: 30,
+  is_overnight: true,
+  is_active: true
+};
+
+const stubRoster = (entries) => {
+  mock.method(supabase, 'from', () => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      lte: () => query,
+      or: () => query,
+      then: (resolve, reject) => Promise.resolve({ data: entries, error: null }).then(resolve, reject)
+    };
+    return query;
+  });
+};
+
+const rosterNightShift = () => stubRoster([{ effective_from: '2026-10-01', effective_to: null, shift: NIGHT_SHIFT }]);
+
+// IST is UTC+05:30
+const ist = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+test('a night shift window ends on the next day', () => {
+  const window = shiftWindow(NIGHT_SHIFT, '2026-10-05', TZ);
+
+  assert.equal(window.workDate, '2026-10-05');
+  assert.equal(window.start.toISOString(), ist('2026-10-05', '22:00').toISOString());
+  assert.equal(window.end.toISOString(), ist('2026-10-06', '06:00').toISOString());
+});
+
+test('a check-in after midnight belongs to the shift that started the day before', async () => {
+  rosterNightShift();
+  const match = await resolveShift(1, 1, ist('2026-10-06', '00:30'), TZ);
+
+  assert.equal(match.shift.shift_id, 3);
+  assert.equal(match.window.workDate, '2026-10-05');
+  assert.equal(lateMinutes(match.shift, match.window, ist('2026-10-06', '00:30')), 150);
+});
+
+test('a check-in before the start of a night shift belongs to that day and is not late', async () => {
+  rosterNightShift();
+  const match = await resolveShift(1, 1, ist('2026-10-05', '21:15'), TZ);
+
+  assert.equal(match.window.workDate, '2026-10-05');
+  assert.equal(lateMinutes(match.shift, match.window, ist('2026-10-05', '21:15')), 0);
+  assert.equal(lateMinutes(match.shift, match.window, ist('2026-10-05', '22:10')), 0);
+  assert.equal(lateMinutes(match.shift, match.window, ist('2026-10-05', '22:11')), 11);
+});
+
+test('a check-in after a night shift has ended matches no shift', async () => {
+  rosterNightShift();
+
+  assert.equal(await resolveShift(1, 1, ist('2026-10-06', '07:00'), TZ), null);
+});
+
+test('leaving a night shift early is counted against its end the next morning', () => {
+  const window = shiftWindow(NIGHT_SHIFT, '2026-10-05', TZ);
+
+  assert.equal(earlyExitMinutes(NIGHT_SHIFT, window.end.toISOString(), ist('2026-10-06', '05:00')), 60);
+  assert.equal(earlyExitMinutes(NIGHT_SHIFT, window.end.toISOString(), ist('2026-10-06', '05:55')), 0);
+});
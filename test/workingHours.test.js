@@ -0,0 +1,69 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeAttendance, weekStart } from '../src/utils/workingHours.js';
+import { addDays } from '../src/utils/dateTime.js';
+
+const TZ = 'Asia/Kolkata';
+
+// 09:00-18:00 IST on each date, 9 hours with no break
+const nineHourDays = (dates) => dates.map((date, i) => ({
+  attendance_id: i + 1,
+  worker_id: 1,
+  establishment_id: 1,
+  check_in_date_time: `${date}T03:30:00.000Z`,
+  check_out_date_time: `${date}T12:30:00.000Z`,
+  work_date: date,
+  worker: { worker_id: 1, full_name: 'Test Worker' }
+}));
+
+const summarize = (rows, from, to) => {
+  const fetchFrom = [weekStart(from), addDays(from, -6)].sort()[0];
+  const fetchTo = addDays(weekStart(to), 6);
+  return summarizeAttendance(rows, { from, to, fetchFrom, fetchTo, timeZone: TZ })[0];
+};
+
+// Mon 2026-09-28 to Sat 2026-10-03: 54 hours, 6 over the weekly limit
+const splitWeek = nineHourDays(['2026-09-28', '2026-09-29', '2026-09-30', '2026-10-01', '2026-10-02', '2026-10-03']);
+
+test('a week split across months is not counted in the month it starts in', () => {
+  const september = summarize(splitWeek, '2026-09-01', '2026-09-30');
+
+  assert.equal(september.totals.workedMinutes, 3 * 9 * 60);
+  assert.equal(september.totals.weeklyOvertimeMinutes, 0);
+  assert.equal(september.totals.overtimeMinutes, 0);
+
+  const week = september.weeks.find(w => w.weekStart === '2026-09-28');
+  assert.equal(week.weeklyOvertimeMinutes, 360);
+  assert.equal(week.weeklyOvertimeCounted, false);
+});
+
+test('a week split across months is counted in the month holding its Sunday', () => {
+  const october = summarize(splitWeek, '2026-10-01', '2026-10-31');
+
+  assert.equal(october.totals.workedMinutes, 3 * 9 * 60);
+  assert.equal(october.totals.weeklyOvertimeMinutes, 360);
+  assert.equal(october.weeks.find(w => w.weekStart === '2026-09-28').weeklyOvertimeCounted, true);
+});
+
+test('split week overtime adds up to the whole week across both months', () => {
+  const september = summarize(splitWeek, '2026-09-01', '2026-09-30');
+  const october = summarize(splitWeek, '2026-10-01', '2026-10-31');
+  const whole = summarize(splitWeek, '2026-09-28', '2026-10-04');
+
+  assert.equal(
+    september.totals.weeklyOvertimeMinutes + october.totals.weeklyOvertimeMinutes,
+    whole.totals.weeklyOvertimeMinutes
+  );
+  assert.equal(whole.totals.weeklyOvertimeMinutes, 360);
+});
+
+test('daily overtime stays with the day it was worked', () => {
+  const rows = nineHourDays(['2026-09-30', '2026-10-01']).map(row => ({
+    ...row,
+    check_out_date_time: row.check_out_date_time.replace('12:30', '13:30')
+  }));
+
+  assert.equal(summarize(rows, '2026-09-01', '2026-09-30').totals.dailyOvertimeMinutes, 60);
+  assert.equal(summarize(rows, '2026-10-01', '2026-10-31').totals.dailyOvertimeMinutes, 60);
+});